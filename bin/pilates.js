@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+// 필라테스 자동 예약 명령행 (pilates book|cancel|list|check-login|snapshot|watch|report|config)
+require('dotenv').config();
+
+const fs = require('fs').promises;
+const { parseArgs } = require('util');
+const { PreciseTimingPilatesBooking } = require('../booking-script');
+const { MISSING_ACCOUNTS } = require('../lib/accounts');
+const { normalizeSlot } = require('../lib/class-slot');
+const { loadConfig } = require('../lib/config');
+const { DEFAULT_HISTORY_FILE, loadHistory, summarizeHistory } = require('../lib/history');
+const { parseDate } = require('../lib/kst');
+const { loadSnapshots, snapshotsToCsv, summarizeSnapshots } = require('../lib/snapshot');
+
+// 종료 코드
+const EXIT_CODES = {
+    OK: 0,              // 성공 (예약/대기예약/예약불가/스킵 포함)
+    FAILED: 1,          // 예약/취소/조회 실패, 예기치 못한 오류
+    USAGE: 2,           // 알 수 없는 명령, 잘못된 인자
+    CONFIG: 3,          // 잘못된 설정, 계정 정보 없음
+    LOGIN_FAILED: 4     // 사이트가 계정 정보를 거부 (재시도해도 같은 결과)
+};
+
+const USAGE = `사용법: pilates [명령] [옵션]
+
+명령:
+  book          예약 실행 (기본)
+  cancel        예약 취소 (--date 2026-10-25 [--time 09:30] [--account 이름])
+  list          내 예약 목록 ([--json] [--account 이름])
+  check-login   계정별 로그인 확인 ([--account 이름])
+  snapshot      날짜 시간표 스냅샷 ([--date] [--count] [--interval] [--csv 파일] [--export])
+  watch         대기예약/예약불가 수업 감시 ([--date] [--time] [--interval] [--duration] [--book])
+  report        실행 기록 통계 ([--file] [--since] [--json])
+  config        설정 검증 및 출력
+
+종료 코드: 0 성공, 1 실패, 2 잘못된 인자, 3 설정 오류, 4 로그인 실패`;
+
+// 결과 객체(단일/다중 계정, 감시 결과) → 종료 코드
+// 감시 결과는 계정별 watches 항목의 error(감시 대상 없음/마지막 조회 실패)와 loginFailed로 판정
+const FAILED_STATUSES = ['FAILED', 'CANCEL_FAILED', 'LOGIN_ERROR', 'SNAPSHOT_FAILED'];
+
+function exitCodeOf(result) {
+    if (!result) {
+        return EXIT_CODES.OK;
+    }
+    const items = Array.isArray(result.accounts) ? result.accounts :
+        (Array.isArray(result.watches) ? result.watches : [result]);
+    const loginFailed = item => item.status === 'LOGIN_FAILED' || item.loginFailed;
+    if (items.some(item => FAILED_STATUSES.includes(item.status) || (item.error && !loginFailed(item))) ||
+        (Array.isArray(result.errors) && result.errors.length > 0)) {
+        return EXIT_CODES.FAILED;
+    }
+    if (items.some(loginFailed)) {
+        return EXIT_CODES.LOGIN_FAILED;
+    }
+    return EXIT_CODES.OK;
+}
+
+// --date/--time 인자 검증 (잘못된 값이면 오류 메시지, 정상이면 null)
+function validateArgs(args) {
+    for (const key of ['date', 'since']) {
+        if (args[key] !== undefined && !parseDate(args[key])) {
+            return `잘못된 날짜: --${key} ${args[key]} (예: 2026-10-25)`;
+        }
+    }
+    if (args.time !== undefined) {
+        try {
+            normalizeSlot({ time: args.time });
+        } catch (error) {
+            return `--time ${error.message}`;
+        }
+    }
+    return null;
+}
+
+// 명령별 인자 (기본값은 설정에서)
+function commandOptions(config) {
+    return {
+        book: {},
+        watch: {
+            date: { type: 'string' },
+            time: { type: 'string' },
+            interval: { type: 'string', default: String(config.watch.intervalSeconds) },
+            duration: { type: 'string', default: String(config.watch.durationMinutes) },
+            book: { type: 'boolean', default: false }
+        },
+        cancel: {
+            date: { type: 'string' },
+            time: { type: 'string' },
+            account: { type: 'string' }
+        },
+        list: {
+            account: { type: 'string' },
+            json: { type: 'boolean', default: false }
+        },
+        'check-login': {
+            account: { type: 'string' }
+        },
+        snapshot: {
+            date: { type: 'string' },
+            account: { type: 'string' },
+            count: { type: 'string', default: '1' },
+            interval: { type: 'string', default: '60' },
+            file: { type: 'string', default: config.artifacts.snapshotFile },
+            csv: { type: 'string' },
+            export: { type: 'boolean', default: false }
+        },
+        report: {
+            file: { type: 'string', default: config.artifacts.historyFile || DEFAULT_HISTORY_FILE },
+            since: { type: 'string' },
+            json: { type: 'boolean', default: false }
+        },
+        config: {}
+    };
+}
+
+// 통계 보고서 (계정 정보 없이 실행 기록만 읽음)
+async function runReport(options) {
+    const report = summarizeHistory(loadHistory(options.file), { since: options.since });
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return report;
+    }
+    if (report.overall.runs === 0) {
+        console.log(`📭 실행 기록 없음: ${options.file}`);
+        return report;
+    }
+
+    const columns = ['runs', 'bookedRate', 'waitlistRate', 'unavailableRate', 'failedRate', 'medianTimeToClickMs', 'averageRetries'];
+    console.log(`📊 예약 통계 (${report.firstDate} ~ ${report.lastDate}, ${report.overall.runs}회, 스킵 ${report.skipped}회)`);
+    console.table({ 전체: report.overall }, columns);
+    console.log('📅 요일별');
+    console.table(report.byWeekday, columns);
+    console.log('🕘 수업별');
+    console.table(report.bySlot, columns);
+    console.log(`⚡ 목표 시각 → 첫 클릭 중앙값: ${report.timeToClick.medianMs === null ? '-' : `${report.timeToClick.medianMs}ms`} ` +
+        `(${report.timeToClick.samples}회, 최소 ${report.timeToClick.minMs ?? '-'}ms, 최대 ${report.timeToClick.maxMs ?? '-'}ms)`);
+    console.log(`🔄 재시도 횟수 분포: ${Object.entries(report.retryCounts).map(([count, runs]) => `${count}회 ${runs}건`).join(', ') || '-'}`);
+    return report;
+}
+
+// 누적 스냅샷을 CSV로 내보내고 수업별 추이 출력 (date 지정 시 해당 날짜만)
+async function exportSnapshots(options) {
+    const date = options.date ? options.date.split('-').map(Number).join('-') : null;
+    const snapshots = loadSnapshots(options.file, date);
+    if (snapshots.length === 0) {
+        console.log(`📭 스냅샷 없음: ${options.file}${date ? ` (${date})` : ''}`);
+        return null;
+    }
+
+    await fs.writeFile(options.csv, snapshotsToCsv(snapshots));
+    console.log(`💾 CSV 저장 완료: ${options.csv} (스냅샷 ${snapshots.length}개)`);
+    console.table(summarizeSnapshots(snapshots));
+    return null;
+}
+
+// 검증된 설정 출력 (비밀번호/토큰은 가림)
+async function printConfig(config) {
+    const masked = JSON.parse(JSON.stringify(config, (key, value) =>
+        (/password|pass$|token/i.test(key) && value ? '***' : value)));
+    console.log(JSON.stringify(masked, null, 2));
+    console.log(`✅ 설정 확인 완료 (${config.source || '설정 파일 없음 - 환경변수/기본값'})`);
+    if (!config.accounts) {
+        console.log(`⚠️ ${MISSING_ACCOUNTS}`);
+    }
+    return null;
+}
+
+// 명령 실행 → 종료 코드 (process.exit는 호출하지 않음)
+// options.config / clock / browserFactory: 예약 클래스에 그대로 전달
+async function main(argv, options = {}) {
+    const command = argv[0] && !argv[0].startsWith('-') ? argv[0] : 'book';
+
+    if (command === 'help' || argv.includes('--help') || argv.includes('-h')) {
+        console.log(USAGE);
+        return EXIT_CODES.OK;
+    }
+
+    // 설정 로드 (잘못된 값이 있으면 명령 실행 전에 모두 출력하고 종료)
+    let config = options.config;
+    if (!config) {
+        try {
+            config = loadConfig();
+        } catch (error) {
+            console.error(`❌ 설정 오류: ${error.message}`);
+            console.error('💡 pilates.config.json 또는 환경변수 값을 확인하세요');
+            return EXIT_CODES.CONFIG;
+        }
+    }
+
+    const allOptions = commandOptions(config);
+    if (!allOptions[command]) {
+        console.error(`❌ 알 수 없는 명령: ${command} (${Object.keys(allOptions).join(', ')})`);
+        console.error(USAGE);
+        return EXIT_CODES.USAGE;
+    }
+
+    let args;
+    try {
+        args = parseArgs({
+            args: argv.slice(command === argv[0] ? 1 : 0),
+            options: allOptions[command]
+        }).values;
+    } catch (error) {
+        console.error(`❌ 인자 오류: ${error.message}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const invalid = validateArgs(args);
+    if (invalid) {
+        console.error(`❌ 인자 오류: ${invalid}`);
+        return EXIT_CODES.USAGE;
+    }
+    if (command === 'cancel' && !args.date) {
+        console.error('❌ 취소할 날짜 필요: --date 2026-10-25 [--time 09:30]');
+        return EXIT_CODES.USAGE;
+    }
+    if (command === 'snapshot' && args.export && !args.csv) {
+        console.error('❌ 내보낼 CSV 파일 필요: --export --csv snapshots.csv');
+        return EXIT_CODES.USAGE;
+    }
+
+    // 계정 정보가 필요 없는 명령 (설정/기록 파일만 읽음)
+    const offline = {
+        report: () => runReport(args),
+        config: () => printConfig(config)
+    };
+    if (command === 'snapshot' && args.export) {
+        offline.snapshot = () => exportSnapshots(args);
+    }
+
+    try {
+        if (offline[command]) {
+            return exitCodeOf(await offline[command]());
+        }
+
+        let booking;
+        try {
+            booking = new PreciseTimingPilatesBooking({ config, clock: options.clock, browserFactory: options.browserFactory });
+        } catch (error) {
+            console.error(`❌ 설정 오류: ${error.message}`);
+            console.error('💡 .env 파일을 확인하거나 GitHub Secrets를 설정하세요');
+            return EXIT_CODES.CONFIG;
+        }
+
+        const commands = {
+            book: () => booking.run(),
+            watch: () => booking.runWatch({
+                ...args,
+                interval: Math.max(parseInt(args.interval) || 300, 30),
+                duration: parseInt(args.duration) || 60
+            }),
+            cancel: () => booking.runCancel(args),
+            list: () => booking.runList(args),
+            'check-login': () => booking.runCheckLogin(args),
+            snapshot: async () => {
+                const result = await booking.runSnapshot({
+                    ...args,
+                    count: Math.max(parseInt(args.count) || 1, 1),
+                    interval: Math.max(parseInt(args.interval) || 60, 5)
+                });
+                if (args.csv && result.status === 'SNAPSHOT_OK') {
+                    await exportSnapshots({ ...args, date: result.date });
+                }
+                return result;
+            }
+        };
+
+        return exitCodeOf(await commands[command]());
+    } catch (error) {
+        console.error('💥 치명적 오류:', error);
+        return EXIT_CODES.FAILED;
+    }
+}
+
+// 명령행 실행 (종료 코드로 프로세스 종료)
+function run(argv = process.argv.slice(2)) {
+    return main(argv).then(code => process.exit(code));
+}
+
+module.exports = {
+    EXIT_CODES,
+    exitCodeOf,
+    main,
+    run
+};
+
+if (require.main === module) {
+    run();
+}
@@ -1,17 +1,46 @@
 // 필라테스 자동 예약 시스템 v6.1 - 주말 로직 수정 버전
-require('dotenv').config();
-
+// 예약 클래스 라이브러리 (명령행 실행은 bin/pilates.js)
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
+const { normalizeSlot, extractRawRows, parseTimetableRows, findSlotRow, classifyOpening } = require('./lib/class-slot');
+const { extractCalendarCells, parseCalendarCells, extractCalendarMonth, parseCalendarMonth, monthsBetween, calendarMonthUrl, findDateCell, clickNextMonth } = require('./lib/calendar');
+const { DAY_NAMES, loadSchedule, resolveBooking, skipStatusOf, openingDateOf } = require('./lib/schedule');
+const { loadClosures } = require('./lib/closures');
+const { MISSING_ACCOUNTS } = require('./lib/accounts');
+const { loadConfig } = require('./lib/config');
+const { systemClock, msUntilTarget } = require('./lib/clock');
+const { kstParts, addMonths, formatDate, dateKey, parseDate, toKSTISOString, formatKSTTime } = require('./lib/kst');
+const { Notifier, formatMessage } = require('./lib/notifier');
+const { calibrateServerClock } = require('./lib/server-clock');
+const { HttpBookingClient } = require('./lib/http-engine');
+const { UNKNOWN_DIALOG, classifyMessage } = require('./lib/site-messages');
+const { DEFAULT_HISTORY_FILE, historyEntries, outcomeOf } = require('./lib/history');
+const { buildSnapshot, summarizeSnapshots } = require('./lib/snapshot');
 
 class PreciseTimingPilatesBooking {
-    constructor() {
-        this.username = process.env.PILATES_USERNAME;
-        this.password = process.env.PILATES_PASSWORD;
-        this.baseUrl = 'https://ad2.mbgym.kr';
-        this.maxRetries = parseInt(process.env.RETRY_COUNT) || 2;
-        this.retryDelay = 500;
+    // options.config: 검증된 설정 (없으면 설정 파일/환경변수에서 로드)
+    // options.account: 다중 계정 실행 시 계정별 인스턴스 (없으면 계정 목록을 사용하는 메인 인스턴스)
+    // options.clock: { now(), sleep(ms) } (기본: 시스템 시계)
+    // options.browserFactory: 브라우저 실행 함수 (기본: puppeteer.launch)
+    constructor(options = {}) {
+        const config = options.config || loadConfig();
+        if (!options.account && !config.accounts) {
+            throw new Error(MISSING_ACCOUNTS);
+        }
+        const accounts = options.account ? [options.account] : config.accounts;
+        const account = accounts[0];
+        
+        this.config = config;
+        this.clock = options.clock || systemClock;
+        this.browserFactory = options.browserFactory || null;
+        this.username = account.username;
+        this.password = account.password;
+        this.accountName = account.name;
+        this.logPrefix = options.logPrefix || '';
+        this.baseUrl = config.site.baseUrl;
+        this.maxRetries = config.retries.count;
+        this.retryDelay = config.retries.delayMs;
         
         // GitHub Actions 환경 감지
         this.isGitHubActions = process.env.GITHUB_ACTIONS === 'true';
@@ -19,75 +48,167 @@ class PreciseTimingPilatesBooking {
         this.timingInfo = process.env.TIMING_INFO || '';
         
         // 모드 설정
-        this.testMode = process.env.TEST_MODE === 'true';
-        this.immediateMode = process.env.IMMEDIATE_MODE === 'true';
-        this.debugMode = process.env.DEBUG === 'true';
+        this.testMode = config.mode.test;
+        this.immediateMode = config.mode.immediate;
+        this.debugMode = config.mode.debug;
+        
+        // 실행 기록 (결과 파일은 덮어쓰므로 통계용으로 한 줄씩 누적, BOOKING_HISTORY_FILE로 변경)
+        this.historyFile = config.artifacts.historyFile ||
+            (this.testMode ? 'test-booking-history.jsonl' : DEFAULT_HISTORY_FILE);
         
         // 타이밍 설정
-        this.targetTime = process.env.TARGET_TIME || '00:01:00';
-        this.maxWaitMinutes = parseInt(process.env.MAX_WAIT_MINUTES) || 20;
+        this.targetTime = config.timing.targetTime;
+        this.maxWaitMinutes = config.timing.maxWaitMinutes;
+        
+        // 서버 시계 보정 (CLOCK_CALIBRATION=false로 끄기, offset: 서버 시각 - 로컬 시각)
+        this.clockCalibrationEnabled = config.timing.clockCalibration;
+        this.clockSamples = config.timing.clockSamples;
+        this.clockOffsetMs = 0;
+        this.clockCalibration = null;
+        
+        // 예약 엔진 (BOOKING_ENGINE=http: 첫 시도를 브라우저 없이 HTTP 요청으로, 실패 시 브라우저로 재시도)
+        this.engine = config.site.engine;
+        
+        // 사전 준비 세션 (PREWARM=true: 목표 PREWARM_MINUTES분 전에 로그인/날짜 열기, 목표 시각에는 새로고침 후 클릭만)
+        this.prewarmEnabled = config.timing.prewarm;
+        this.prewarmMinutes = config.timing.prewarmMinutes;
+        this.keepAliveSeconds = config.timing.keepAliveSeconds;
+        this.prewarmedAt = null;
+        this.targetInstant = null;
+        this.clickedAt = null;
+        
+        // 오픈 대기 폴링 (POLL_UNTIL_OPEN=true: 날짜 X/시간표 미오픈이면 재시도 대신 POLL_INTERVAL_MS 간격으로 새로고침)
+        // 폴링 구간: 목표 시각(즉시 실행이면 폴링 시작)부터 POLL_WINDOW_SECONDS초
+        this.pollEnabled = config.timing.pollUntilOpen;
+        this.pollIntervalMs = config.timing.pollIntervalMs;
+        this.pollWindowSeconds = config.timing.pollWindowSeconds;
+        this.pollDeadline = null;
+        this.opening = null;
+        
+        // 예약 대상 수업 (계정별 slot → CLASS_TIME, CLASS_PERIOD, CLASS_INSTRUCTOR, CLASS_ROOM → 설정 파일 slots)
+        // 계정에 고정 수업이 없고 예약 일정(schedule.json)이 있으면 init()에서 요일별 수업으로 교체
+        // preferences: 선호 순서대로 시도할 수업 목록, slot: 1순위 (스크린샷/결과 기본값)
+        this.preferences = account.slots || config.slots;
+        this.slot = this.preferences[0];
+        this.hasFixedSlot = !!account.slots;
+        // 계정 전용 일정(account.schedule)이 없으면 공용 일정 (options.schedule → 설정 scheduleFile)
+        // 다중 계정의 메인 인스턴스는 공용 일정을 쓰고, 계정별 인스턴스가 각자 덮어씀
+        const sharedSchedule = options.schedule !== undefined ? options.schedule : loadSchedule(config.scheduleFile);
+        this.schedule = account.schedule && accounts.length === 1 ? loadSchedule(account.schedule) : sharedSchedule;
+        
+        // 휴무일 (공휴일 + 센터 휴무일 파일, 대상 날짜가 휴무일이면 HOLIDAY_SKIP)
+        this.closures = options.closures !== undefined ? options.closures : loadClosures(config);
+        
+        // 다중 계정: 계정마다 별도 인스턴스(상태/로그/스크린샷 분리), 단일 계정은 자기 자신
+        this.bookers = accounts.length > 1 ?
+            accounts.map(item => new PreciseTimingPilatesBooking({
+                config,
+                clock: this.clock,
+                browserFactory: this.browserFactory,
+                account: item,
+                schedule: sharedSchedule,
+                closures: this.closures,
+                logPrefix: `[${item.name}] `
+            })) : [this];
         
         // 상태 플래그
         this.bookingSuccess = false;
         this.isWaitingReservation = false;
         this.hasConflictError = false;
+        this.waitlistDeclined = false;
+        this.currentPreference = null;
         this.waitingStartTime = null;
         this.actualStartTime = null;
+        this.lastErrorScreenshot = null;
+        
+        // 동시신청 충돌 재요청: 같은 페이지에서 CONFLICT_BACKOFF_MS부터 두 배씩(최대 CONFLICT_BACKOFF_MAX_MS, 지터 적용)
+        // 대기 후 다시 요청, 총 CONFLICT_BUDGET_MS를 넘으면 기존처럼 새 컨텍스트로 재시도
+        this.conflictBackoffMs = config.retries.conflictBackoffMs;
+        this.conflictBackoffMaxMs = config.retries.conflictBackoffMaxMs;
+        this.conflictBudgetMs = config.retries.conflictBudgetMs;
+        this.attempts = [];
+        this.dialogMessages = [];
+        this.unknownDialogs = [];
+        
+        // 결과 알림 채널 (설정 파일 notifications, NOTIFY_* 환경변수)
+        this.notifier = Notifier.fromConfig(config.notifications);
         
         // 성능 최적화 설정
         this.optimizations = {
             fastTimeout: 15000,
             skipNonEssentialScreenshots: this.isGitHubActions,
-            screenshotQuality: parseInt(process.env.SCREENSHOT_QUALITY) || 50,
+            screenshotQuality: config.artifacts.screenshotQuality,
             resourceBlocking: true
         };
     }
 
-    // 한국 시간 계산 (고정밀)
-    getKSTDate() {
-        const now = new Date();
-        const utcTime = now.getTime() + (now.getTimezoneOffset() * 60000);
-        const kstOffset = 9 * 60 * 60 * 1000;
-        return new Date(utcTime + kstOffset);
+    // 결과/기록용 현재 시각 문자열 (한국 시각, 실제 +09:00 오프셋)
+    getTimestamp() {
+        return toKSTISOString(this.clock.now());
+    }
+
+    // 서버 시계 기준 현재 시각 (보정 전에는 로컬 시계와 동일)
+    getServerTime() {
+        return new Date(this.clock.now() + this.clockOffsetMs);
+    }
+
+    // 예약 사이트 Date 헤더로 서버 시계 보정 (실패 시 로컬 시계 사용)
+    async calibrateClock() {
+        if (!this.clockCalibrationEnabled) {
+            return;
+        }
+        
+        try {
+            const calibration = await calibrateServerClock(`${this.baseUrl}/yeapp/yeapp.php?tm=102`, { samples: this.clockSamples, clock: this.clock });
+            this.clockOffsetMs = calibration.offsetMs;
+            this.clockCalibration = calibration;
+            await this.log(`🕰️ 서버 시계 보정: ${calibration.offsetMs >= 0 ? '+' : ''}${calibration.offsetMs}ms (±${calibration.uncertaintyMs}ms, 왕복 ${calibration.rttMs}ms, 샘플 ${calibration.samples}개)`);
+            if (!calibration.consistent) {
+                await this.log('⚠️ 서버 시계 샘플이 일치하지 않음 - 평균값 사용');
+            }
+        } catch (error) {
+            this.clockCalibration = { error: error.message };
+            await this.log(`⚠️ 서버 시계 보정 실패 - 로컬 시계 사용: ${error.message}`);
+        }
     }
 
-    // 정밀 시간 문자열 (밀리초 포함)
+    // 정밀 시간 문자열 (밀리초 포함: "2026-10-19 00:01:00.123+09:00", 제외: "00:01:00")
     getKSTTimeString(includeMillis = true) {
-        const kst = this.getKSTDate();
+        const now = this.clock.now();
         if (includeMillis) {
-            return kst.toISOString().replace('Z', '+09:00').replace('T', ' ');
+            return toKSTISOString(now).replace('T', ' ');
         }
-        return kst.toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' });
+        return formatKSTTime(now);
     }
 
-    // 7일 후 날짜 계산
+    // 예약 오픈일 (한국 날짜, 자정 직전에 대기 후 실행하는 경우 다음날)
+    getOpeningDate() {
+        return openingDateOf(this.clock.now(), this.targetTime, this.immediateMode);
+    }
+
+    // 예약 일정 기준 대상 날짜/수업 결정
+    getBookingDecision() {
+        return resolveBooking(this.schedule, this.getOpeningDate(), this.closures);
+    }
+
+    // 예약 대상 날짜 계산 (오픈일 + leadDays, 기본 7일)
     getTargetDate() {
-        const kstNow = this.getKSTDate();
-        const targetDate = new Date(kstNow);
-        targetDate.setDate(targetDate.getDate() + 7);
+        const targetDate = this.getBookingDecision().targetDate;
         
         return {
-            year: targetDate.getFullYear(),
-            month: targetDate.getMonth() + 1,
-            day: targetDate.getDate(),
-            dayOfWeek: targetDate.getDay(),
-            dateObject: targetDate,
-            kstString: targetDate.toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' }),
-            isWeekend: targetDate.getDay() === 0 || targetDate.getDay() === 6
+            year: targetDate.year,
+            month: targetDate.month,
+            day: targetDate.day,
+            dayOfWeek: targetDate.weekday,
+            isWeekend: targetDate.weekday === 0 || targetDate.weekday === 6
         };
     }
 
-    // 요일 이름
-    getDayName(date) {
-        const days = ['일요일', '월요일', '화요일', '수요일', '목요일', '금요일', '토요일'];
-        return days[date.getDay()];
-    }
-
     // 고급 로깅 시스템
     async log(message, level = 'INFO') {
         const timestamp = this.getKSTTimeString();
         const prefix = this.debugMode ? `[${level}]` : '';
-        const logMessage = `[${timestamp}] ${prefix} ${message}`;
+        const logMessage = `[${timestamp}] ${prefix} ${this.logPrefix}${message}`;
         
         console.log(logMessage);
         
@@ -111,7 +232,7 @@ class PreciseTimingPilatesBooking {
         }
     }
 
-    // 초기화 및 환경 확인 (수정됨 - 주말 로직)
+    // 초기화 및 환경 확인 (예약 일정 기반 스킵)
     async init() {
         try {
             await fs.mkdir('screenshots', { recursive: true });
@@ -120,73 +241,65 @@ class PreciseTimingPilatesBooking {
             // 무시
         }
         
-        const kstNow = this.getKSTDate();
+        const kstNow = kstParts(this.clock.now());
+        const decision = this.getBookingDecision();
         const targetInfo = this.getTargetDate();
         
         await this.log(`=== 필라테스 자동 예약 시스템 v6.1 시작 ===`);
         await this.log(`🕐 현재 KST: ${this.getKSTTimeString()}`);
         await this.log(`🎯 실행 모드: ${this.executionMode}`);
         await this.log(`⏰ 타이밍 정보: ${this.timingInfo}`);
-        await this.log(`📅 예약 대상: ${targetInfo.year}년 ${targetInfo.month}월 ${targetInfo.day}일 (${this.getDayName(targetInfo.dateObject)})`);
-        
-        // 주말 체크 로직 수정 - 현재 요일 기준으로 판단
-        const currentDayOfWeek = kstNow.getDay(); // 0=일, 1=월, ... 6=토
-        const currentDayName = this.getDayName(kstNow);
-        
-        await this.log(`📅 현재 요일: ${currentDayName} (${currentDayOfWeek})`);
-        
-        // 금요일(5) 또는 토요일(6)에 실행되면 스킵
-        // 금요일 23:55 → 다음날(토요일) 예약 → 스킵
-        // 토요일 23:55 → 다음날(일요일) 예약 → 스킵
-        // 일요일 23:55 → 다음날(월요일) 예약 → 실행!
-        
-        if (!this.testMode && this.executionMode !== 'force' && this.executionMode !== 'manual-force') {
-            if (currentDayOfWeek === 5) {
-                await this.log(`🚫 금요일 실행 - 토요일 예약이므로 스킵`);
-                
-                const resultInfo = {
-                    timestamp: this.getKSTDate().toISOString(),
-                    date: `${targetInfo.year}-${targetInfo.month}-${targetInfo.day}`,
-                    dayOfWeek: this.getDayName(targetInfo.dateObject),
-                    currentDay: currentDayName,
-                    status: 'WEEKEND_SKIP',
-                    message: '금요일 → 토요일 예약 스킵',
-                    executionMode: this.executionMode,
-                    timingInfo: this.timingInfo,
-                    githubActions: this.isGitHubActions
-                };
-                
-                await this.saveResult(resultInfo);
-                process.exit(0);
-                
-            } else if (currentDayOfWeek === 6) {
-                await this.log(`🚫 토요일 실행 - 일요일 예약이므로 스킵`);
-                
-                const resultInfo = {
-                    timestamp: this.getKSTDate().toISOString(),
-                    date: `${targetInfo.year}-${targetInfo.month}-${targetInfo.day}`,
-                    dayOfWeek: this.getDayName(targetInfo.dateObject),
-                    currentDay: currentDayName,
-                    status: 'WEEKEND_SKIP',
-                    message: '토요일 → 일요일 예약 스킵',
-                    executionMode: this.executionMode,
-                    timingInfo: this.timingInfo,
-                    githubActions: this.isGitHubActions
-                };
-                
-                await this.saveResult(resultInfo);
-                process.exit(0);
+        await this.log(`📅 예약 대상: ${targetInfo.year}년 ${targetInfo.month}월 ${targetInfo.day}일 (${decision.dayName})`);
+        await this.log(`📋 예약 일정: ${this.schedule ? this.schedule.source : '없음 (환경변수 수업 사용)'}`);
+        await this.log(`🏖️ 휴무일: ${this.closures && this.closures.sources.length > 0 ? this.closures.sources.join(', ') : '없음'}`);
+        
+        // 예약 일정 기준 스킵 판단 (테스트/강제 실행은 무시)
+        const bypassSchedule = this.testMode || this.executionMode === 'force' || this.executionMode === 'manual-force';
+        
+        for (const booker of this.bookers) {
+            booker.decision = booker === this ? decision : booker.getBookingDecision();
+            booker.active = !booker.decision.skip || bypassSchedule;
+            if (booker.decision.slots && !booker.hasFixedSlot) {
+                booker.preferences = booker.decision.slots;
+                booker.slot = booker.preferences[0];
             }
         }
         
-        if (currentDayOfWeek === 0) {
-            await this.log(`✅ 일요일 실행 - 월요일 예약 진행`);
-        } else if (currentDayOfWeek >= 1 && currentDayOfWeek <= 4) {
-            await this.log(`✅ 평일 실행 - 예약 진행`);
-        } else if (this.testMode) {
-            await this.log(`🧪 테스트 모드 - 주말 체크 무시`);
-        } else if (this.executionMode === 'force' || this.executionMode === 'manual-force') {
-            await this.log(`🔧 강제 실행 모드 - 주말 체크 무시`);
+        if (this.bookers.every(booker => !booker.active)) {
+            const reasons = [...new Set(this.bookers.map(booker => booker.decision.reason))];
+            await this.log(`🚫 ${decision.dayName} 예약 스킵 - ${reasons.join(', ')}`);
+            
+            const resultInfo = {
+                timestamp: this.getTimestamp(),
+                date: formatDate(targetInfo),
+                dayOfWeek: decision.dayName,
+                currentDay: DAY_NAMES[kstNow.weekday],
+                status: skipStatusOf(decision),
+                message: reasons.join(', '),
+                reason: reasons.join(', '),
+                executionMode: this.executionMode,
+                timingInfo: this.timingInfo,
+                githubActions: this.isGitHubActions
+            };
+            
+            return this.saveResult(resultInfo);
+        }
+        
+        if (this.bookers.length > 1) {
+            await this.log(`👥 다중 계정 예약: ${this.bookers.length}개 계정`);
+        }
+        
+        for (const booker of this.bookers) {
+            if (!booker.active) {
+                await booker.log(`🚫 예약 스킵 - ${booker.decision.reason}`);
+                continue;
+            }
+            if (booker.decision.skip) {
+                await booker.log(`${this.testMode ? '🧪 테스트 모드' : '🔧 강제 실행 모드'} - 일정 스킵 무시 (${booker.decision.reason})`);
+            } else {
+                await booker.log(`✅ ${booker.decision.dayName} 예약 진행`);
+            }
+            await booker.log(`🧘 대상 수업: ${booker.preferences.map(slot => booker.describePreference(slot)).join(' → ')}`);
         }
         
         if (this.testMode) {
@@ -196,6 +309,30 @@ class PreciseTimingPilatesBooking {
         if (this.immediateMode) {
             await this.log('🚀 즉시 실행 모드 - 대기 없음');
         }
+        
+        return null;
+    }
+
+    // 서버 시계 기준 목표 시간까지 남은 초 (자정을 넘어가는 경우 포함, 지났으면 0)
+    getSecondsUntilTarget() {
+        return Math.max(0, Math.ceil(msUntilTarget(this.getServerTime(), this.targetTime) / 1000));
+    }
+
+    // 사전 준비 시작 시각(목표 PREWARM_MINUTES분 전)까지 대기
+    async waitUntilPrewarmTime() {
+        await this.calibrateClock();
+        
+        const totalSeconds = this.getSecondsUntilTarget();
+        const waitSeconds = Math.floor(totalSeconds - this.prewarmMinutes * 60);
+        
+        // 최대 대기 시간을 넘으면 예약도 즉시 실행되므로 바로 준비
+        if (waitSeconds <= 0 || totalSeconds / 60 > this.maxWaitMinutes) {
+            await this.log('🔥 사전 준비 즉시 시작');
+            return;
+        }
+        
+        await this.log(`⏳ 사전 준비까지 ${Math.floor(waitSeconds / 60)}분 ${waitSeconds % 60}초 대기 (목표 ${this.prewarmMinutes}분 전)`);
+        await this.clock.sleep(waitSeconds * 1000);
     }
 
     // 정밀 대기 시스템
@@ -204,38 +341,17 @@ class PreciseTimingPilatesBooking {
             await this.log('🚀 즉시 실행 모드 - 대기 생략');
             return;
         }
-
+        
         await this.log('⏰ 정밀 대기 시스템 시작');
         
-        // 목표 시간 파싱
-        const [targetHour, targetMinute, targetSecond] = this.targetTime.split(':').map(Number);
-        await this.log(`🎯 목표 시간: ${this.targetTime}`);
+        // 대기 시간은 서버 시계 기준으로 계산
+        await this.calibrateClock();
         
-        this.waitingStartTime = this.getKSTDate();
+        await this.log(`🎯 목표 시간: ${this.targetTime}`);
         
-        // 대기 시간 계산
-        const calculateWaitTime = () => {
-            const now = this.getKSTDate();
-            const currentHour = now.getHours();
-            const currentMinute = now.getMinutes();
-            const currentSecond = now.getSeconds();
-            
-            // 현재 시간을 초로 변환
-            const currentTotalSeconds = currentHour * 3600 + currentMinute * 60 + currentSecond;
-            
-            // 목표 시간을 초로 변환 (자정 이후 고려)
-            let targetTotalSeconds = targetHour * 3600 + targetMinute * 60 + targetSecond;
-            
-            // 자정을 넘어가는 경우 (23시대 → 00시대)
-            if (currentHour >= 23 && targetHour < 12) {
-                targetTotalSeconds += 24 * 3600; // 다음날로 계산
-            }
-            
-            const waitSeconds = targetTotalSeconds - currentTotalSeconds;
-            return Math.max(0, waitSeconds);
-        };
+        this.waitingStartTime = this.getServerTime();
         
-        let waitSeconds = calculateWaitTime();
+        let waitSeconds = this.getSecondsUntilTarget();
         const waitMinutes = Math.floor(waitSeconds / 60);
         
         if (waitSeconds <= 0) {
@@ -265,14 +381,14 @@ class PreciseTimingPilatesBooking {
                 
                 // 마지막 2분은 더 세밀하게 확인
                 if (i <= 2) {
-                    await new Promise(resolve => setTimeout(resolve, 30000)); // 30초 대기
-                    await new Promise(resolve => setTimeout(resolve, 30000)); // 30초 대기
+                    await this.clock.sleep(30000); // 30초 대기
+                    await this.clock.sleep(30000); // 30초 대기
                 } else {
-                    await new Promise(resolve => setTimeout(resolve, 60000)); // 1분 대기
+                    await this.clock.sleep(60000); // 1분 대기
                 }
                 
                 // 목표 시간 재계산 (시간이 흘렀으므로)
-                waitSeconds = calculateWaitTime();
+                waitSeconds = this.getSecondsUntilTarget();
                 if (waitSeconds <= 60) {
                     await this.log('🎯 1분 이내 도달 - 초 단위 정밀 제어로 전환');
                     break;
@@ -280,53 +396,49 @@ class PreciseTimingPilatesBooking {
             }
         }
         
-        // 초 단위 정밀 대기
+        // 초 단위 정밀 대기 (긴 대기 후에는 목표 시간 직전에 다시 보정)
+        if (waitMinutes > 0) {
+            await this.calibrateClock();
+        }
         await this.log('🎯 초 단위 정밀 대기 시작');
         
+        // 남은 시간은 자정 넘김까지 고려 (23:59:59 → 00:00:00 목표도 초 단위로 대기)
+        let now;
+        let remainingMs;
         while (true) {
-            const now = this.getKSTDate();
-            const currentHour = now.getHours();
-            const currentMinute = now.getMinutes();
-            const currentSecond = now.getSeconds();
-            const currentMillis = now.getMilliseconds();
-            
-            // 목표 시간 도달 확인
-            const timeMatch = (
-                currentHour === targetHour &&
-                currentMinute === targetMinute &&
-                currentSecond >= targetSecond
-            );
-            
-            if (timeMatch) {
-                await this.log(`🎯 목표 시간 도달! ${currentHour.toString().padStart(2,'0')}:${currentMinute.toString().padStart(2,'0')}:${currentSecond.toString().padStart(2,'0')}.${currentMillis.toString().padStart(3,'0')}`);
-                break;
-            }
-            
-            // 목표 시간을 지났는지 확인
-            const currentTotal = currentHour * 3600 + currentMinute * 60 + currentSecond;
-            const targetTotal = targetHour * 3600 + targetMinute * 60 + targetSecond;
+            now = this.getServerTime();
+            remainingMs = msUntilTarget(now, this.targetTime);
             
-            if (currentTotal > targetTotal && currentHour < 23) {
-                await this.log('⚠️ 목표 시간 경과 - 즉시 실행');
+            // 목표 시간 도달 확인 (1초 넘게 지났으면 경과)
+            if (remainingMs <= 0) {
+                if (remainingMs > -1000) {
+                    await this.log(`🎯 목표 시간 도달! ${formatKSTTime(now, true)}`);
+                } else {
+                    await this.log('⚠️ 목표 시간 경과 - 즉시 실행');
+                }
                 break;
             }
             
-            const remaining = targetTotal - currentTotal;
+            const remaining = Math.ceil(remainingMs / 1000);
             
-            if (remaining <= 10 && remaining > 0) {
+            if (remaining <= 10) {
                 await this.log(`🔥 ${remaining}초 남음...`);
-                await new Promise(resolve => setTimeout(resolve, 200)); // 200ms 대기
+                // 목표 시각까지 남은 ms가 200ms보다 짧으면 그만큼만 대기
+                await this.clock.sleep(Math.max(1, Math.min(200, remainingMs))); // 최대 200ms 대기
             } else if (remaining <= 30) {
                 if (remaining % 5 === 0) {
                     await this.log(`⏰ ${remaining}초 남음`);
                 }
-                await new Promise(resolve => setTimeout(resolve, 1000)); // 1초 대기
+                await this.clock.sleep(1000); // 1초 대기
             } else {
-                await new Promise(resolve => setTimeout(resolve, 2000)); // 2초 대기
+                await this.clock.sleep(2000); // 2초 대기
             }
         }
         
-        this.actualStartTime = this.getKSTDate();
+        // 목표 시각 (클릭까지 걸린 시간 측정 기준)
+        this.targetInstant = new Date(now.getTime() + remainingMs);
+        
+        this.actualStartTime = this.getServerTime();
         const waitDuration = this.actualStartTime - this.waitingStartTime;
         const waitMinutesActual = Math.floor(waitDuration / 60000);
         const waitSecondsActual = Math.floor((waitDuration % 60000) / 1000);
@@ -342,17 +454,25 @@ class PreciseTimingPilatesBooking {
         }
         
         try {
-            const timestamp = Date.now();
-            const prefix = this.testMode ? 'test-' : '';
-            const filename = `screenshots/${prefix}${name}-${timestamp}.png`;
+            const timestamp = this.clock.now();
+            const prefix = (this.testMode ? 'test-' : '') +
+                (this.logPrefix ? `${this.accountName.replace(/[^\w가-힣-]/g, '_')}-` : '');
+            // quality는 JPEG에만 적용됨 (PNG에 주면 puppeteer가 거부)
+            const filename = `screenshots/${prefix}${name}-${this.slot.tag}-${timestamp}.jpg`;
             
             await page.screenshot({ 
                 path: filename, 
+                type: 'jpeg',
                 fullPage: false,
                 quality: this.optimizations.screenshotQuality
             });
             
             await this.debug(`📸 스크린샷: ${filename}`);
+            
+            // 실패 알림 첨부용
+            if (name.startsWith('error')) {
+                this.lastErrorScreenshot = filename;
+            }
             return filename;
         } catch (error) {
             await this.debug(`⚠️ 스크린샷 실패: ${error.message}`);
@@ -391,6 +511,7 @@ class PreciseTimingPilatesBooking {
             const logoutLink = await page.$('a[href*="yeout.php"]');
             if (logoutLink) {
                 await this.log('✅ 이미 로그인됨');
+                this.calendarUrl = page.url();
                 return true;
             }
             
@@ -422,22 +543,52 @@ class PreciseTimingPilatesBooking {
             
             await this.log(`📝 로그인 정보 입력 완료: ${this.username}`);
             
-            // 로그인 실행
-            const submitButton = await page.$('input[type="submit"]');
-            if (submitButton) {
-                await this.debug('로그인 버튼 클릭...');
-                await Promise.all([
-                    page.waitForNavigation({ 
-                        waitUntil: 'domcontentloaded',
-                        timeout: this.optimizations.fastTimeout 
-                    }).catch(() => {}),
-                    submitButton.click()
-                ]);
+            // 로그인 오류 알림 기록 (핸들러가 없으면 알림이 페이지를 멈춤)
+            const loginDialogs = [];
+            const dialogHandler = async (dialog) => {
+                loginDialogs.push(await this.recordDialog(dialog.message()));
+                await dialog.accept();
+            };
+            page.on('dialog', dialogHandler);
+            
+            try {
+                // 로그인 실행
+                const submitButton = await page.$('input[type="submit"]');
+                if (submitButton) {
+                    await this.debug('로그인 버튼 클릭...');
+                    await Promise.all([
+                        page.waitForNavigation({ 
+                            waitUntil: 'domcontentloaded',
+                            timeout: this.optimizations.fastTimeout 
+                        }).catch(() => {}),
+                        submitButton.click()
+                    ]);
+                }
+                
+                // 로그아웃 링크 또는 (오류 알림 후 돌아온) 로그인 폼이 나타날 때까지 대기
+                await page.waitForSelector('a[href*="yeout.php"], input#user_id, input[name="name"]', {
+                    timeout: this.optimizations.fastTimeout
+                }).catch(() => {});
+                
+                await this.takeScreenshot(page, '02-after-login');
+                
+                if (!(await page.$('a[href*="yeout.php"]'))) {
+                    const alert = loginDialogs.find(item => item.type === 'LOGIN_FAILED') || loginDialogs[0];
+                    const onForm = !!(await page.$('input#user_id, input[name="name"]'));
+                    await this.takeScreenshot(page, 'error-login');
+                    const error = new Error(alert ? alert.message : (onForm ? '로그인 폼에 머무름' : '로그아웃 링크 없음'));
+                    error.loginFailed = true;
+                    throw error;
+                }
+            } finally {
+                page.off('dialog', dialogHandler);
             }
             
-            await this.takeScreenshot(page, '02-after-login');
             await this.log('✅ 로그인 완료');
             
+            // 로그인 후 도착한 캘린더 페이지 (목록 조회 시 재방문)
+            this.calendarUrl = page.url();
+            
             return true;
             
         } catch (error) {
@@ -446,55 +597,77 @@ class PreciseTimingPilatesBooking {
         }
     }
 
+    // 캘린더에 대상 연/월 표시 (다음 달 버튼, 없거나 이전 달이면 ym 주소 파라미터로 이동)
+    // → 표시 중인 연/월 (알 수 없으면 null: 이번 달 칸에서 날짜만 비교)
+    async showCalendarMonth(page, target) {
+        let shown = parseCalendarMonth(await page.evaluate(extractCalendarMonth));
+        
+        for (let moves = 0; shown && monthsBetween(shown, target) !== 0 && moves < 3; moves++) {
+            const previous = shown;
+            const forward = monthsBetween(shown, target) > 0;
+            await this.log(`📅 캘린더 ${shown.year}년 ${shown.month}월 → ${target.year}년 ${target.month}월 이동`);
+            
+            if (!forward || !(await page.evaluate(clickNextMonth))) {
+                await page.goto(calendarMonthUrl(page.url(), target), {
+                    waitUntil: 'domcontentloaded',
+                    timeout: this.optimizations.fastTimeout
+                });
+            }
+            
+            // 링크 이동/스크립트 갱신 모두 표시 연/월이 바뀔 때까지 확인 (이동 중 evaluate 실패는 무시)
+            for (let checks = 0; checks < 30; checks++) {
+                shown = parseCalendarMonth(await page.evaluate(extractCalendarMonth).catch(() => null));
+                if (shown && monthsBetween(previous, shown) !== 0) {
+                    break;
+                }
+                await page.waitForTimeout(100);
+            }
+        }
+        
+        if (!shown) {
+            await this.debug('캘린더 연/월을 찾을 수 없음 - 표시된 달에서 날짜만 비교');
+        } else if (monthsBetween(shown, target) !== 0) {
+            await this.log(`⚠️ 캘린더를 ${target.year}년 ${target.month}월로 이동하지 못함 (표시: ${shown.year}년 ${shown.month}월)`);
+        }
+        return shown;
+    }
+
+    // 캘린더에서 대상 날짜 셀 찾기 (필요하면 대상 달로 이동) → 날짜 셀 또는 null
+    async findTargetCell(page, targetInfo) {
+        const shown = await this.showCalendarMonth(page, targetInfo);
+        return findDateCell(parseCalendarCells(await page.evaluate(extractCalendarCells)), targetInfo, shown);
+    }
+
     // 예약 페이지 이동
-    async navigateToBookingPage(page) {
+    // targetInfo: { year, month, day } (기본값: 예약 대상 날짜, 다음 달이면 캘린더를 넘겨서 찾음)
+    async navigateToBookingPage(page, targetInfo = this.getTargetDate()) {
         await this.log('📅 예약 페이지 이동...');
         
-        const targetInfo = this.getTargetDate();
         const { year, month, day } = targetInfo;
         
         await this.log(`📆 목표 날짜: ${year}년 ${month}월 ${day}일`);
         
         try {
-            // 현재 페이지 확인
-            const currentUrl = page.url();
-            if (!currentUrl.includes('res_postform.php')) {
-                await this.debug('예약 페이지로 이동 중...');
-                // 예약 페이지로 이동하는 로직 추가 가능
-            }
-            
-            // 날짜 클릭
-            await this.debug(`${day}일 날짜 클릭 시도...`);
-            const dateClicked = await page.evaluate((targetDay) => {
-                const cells = document.querySelectorAll('td');
-                
-                for (let cell of cells) {
-                    const text = cell.textContent.trim();
-                    const regex = new RegExp(`^${targetDay}(\\s|$|[^0-9])`);
-                    
-                    if (regex.test(text) && !text.includes('X')) {
-                        const link = cell.querySelector('a');
-                        if (link) {
-                            link.click();
-                            return true;
-                        } else if (!text.includes('X')) {
-                            cell.click();
-                            return true;
-                        }
-                    }
-                }
-                return false;
-            }, day);
+            // 날짜 클릭 (표시 중인 달과 칸의 달까지 맞는 셀만, X 표시 날짜는 클릭하지 않음)
+            await this.debug(`${month}월 ${day}일 날짜 클릭 시도...`);
+            const cell = await this.findTargetCell(page, targetInfo);
+            const dateClicked = !!cell && !cell.closed && await page.evaluate((index) => {
+                const td = document.querySelectorAll('td')[index];
+                (td.querySelector('a') || td).click();
+                return true;
+            }, cell.index);
             
+            // 클릭하지 못했으면 캘린더에 X(예약 불가)로 표시된 날짜인지 확인
+            const dateClosed = !!(cell && cell.closed);
             if (dateClicked) {
-                await this.log(`✅ ${day}일 클릭 완료`);
+                await this.log(`✅ ${month}월 ${day}일 클릭 완료`);
                 await page.waitForTimeout(2000);
             } else {
-                await this.log(`⚠️ ${day}일 클릭 실패 - 날짜를 찾을 수 없음`);
+                await this.log(dateClosed ? `🚫 ${month}월 ${day}일 예약 불가 (캘린더 X)` : `⚠️ ${month}월 ${day}일 클릭 실패 - 날짜를 찾을 수 없음`);
             }
             
             await this.takeScreenshot(page, '03-booking-page');
-            return { year, month, day };
+            return { year, month, day, clicked: dateClicked, closed: dateClosed };
             
         } catch (error) {
             await this.log(`❌ 예약 페이지 이동 실패: ${error.message}`);
@@ -502,11 +675,273 @@ class PreciseTimingPilatesBooking {
         }
     }
 
-    // 09:30 수업 검색 및 예약
-    async find0930ClassAndBook(page) {
-        await this.log('🔍 09:30 수업 검색 및 예약...');
+    // 선호 수업 설명 (로그용)
+    describePreference(slot) {
+        return `${slot.label}${slot.waitlist ? '' : ' [일반예약만]'}`;
+    }
+
+    // 예약 클릭 전 행 상태 확인 (클릭할 수 있으면 null)
+    checkSlotRow(row, slot) {
+        if (!row) {
+            return {
+                found: false,
+                booked: false,
+                message: `${slot.label} 수업을 찾을 수 없음`
+            };
+        }
+        
+        // 이미 예약된 경우
+        if (row.status === 'BOOKED' || row.status === 'WAITLISTED') {
+            const isWaiting = row.status === 'WAITLISTED';
+            return {
+                found: true,
+                booked: false,
+                alreadyBooked: true,
+                isWaiting,
+                message: `${slot.label} 수업 이미 ${isWaiting ? '대기예약' : '예약'} 완료`
+            };
+        }
+        
+        if (row.status === 'UNAVAILABLE') {
+            return {
+                found: true,
+                booked: false,
+                unavailable: true,
+                message: `${slot.label} 수업 예약불가 (정원 초과)`
+            };
+        }
+        
+        if (row.status === 'WAITLIST_OPEN' && !slot.waitlist) {
+            return {
+                found: true,
+                booked: false,
+                unavailable: true,
+                message: `${slot.label} 수업 대기예약만 가능 (일반예약만 허용)`
+            };
+        }
+        
+        if ((row.status === 'AVAILABLE' || row.status === 'WAITLIST_OPEN') && row.hasActionLink) {
+            return null;
+        }
+        
+        return {
+            found: true,
+            booked: false,
+            message: `${slot.label} 수업 예약 버튼 없음 ("${row.actionText}")`
+        };
+    }
+
+    // 첫 예약 클릭 시각 기록
+    async markFirstClick() {
+        if (!this.clickedAt) {
+            this.clickedAt = this.getServerTime();
+            if (this.targetInstant) {
+                await this.log(`⚡ 목표 시각 → 첫 클릭: ${this.clickedAt - this.targetInstant}ms`);
+            }
+        }
+    }
+
+    // 대상 슬롯 행의 상태에 따라 예약 클릭
+    async bookSlotRow(page, row, slot) {
+        if (row) {
+            await this.log(`${slot.label} 상태 확인: "${row.actionText}"`);
+        }
+        
+        const checked = this.checkSlotRow(row, slot);
+        if (checked) {
+            return checked;
+        }
+        
+        const isWaitingOnly = row.status === 'WAITLIST_OPEN';
+        await this.log(`${isWaitingOnly ? '⏳' : '🎯'} ${slot.label} ${isWaitingOnly ? '대기예약' : '예약하기'} 클릭 실행`);
+        
+        // 이번 요청의 알림만 기록 (클릭 중 뜨는 대기예약 안내도 포함)
+        this.dialogMessages = [];
+        await this.markFirstClick();
+        await page.evaluate((rowIndex, cellIndex) => {
+            const cell = document.querySelectorAll('tr')[rowIndex].querySelectorAll('td')[cellIndex];
+            cell.querySelector('a').click();
+        }, row.index, row.actionIndex);
+        
+        return {
+            found: true,
+            booked: true,
+            message: `${slot.label} 수업 ${isWaitingOnly ? '대기예약' : '예약'} 클릭`,
+            isWaitingOnly,
+            needSubmit: !isWaitingOnly
+        };
+    }
+
+    // 예약 클릭 후 처리 (일반예약 Submit, 대기예약 confirm 대기)
+    async completeBooking(page, result) {
+        await this.log('⏳ 예약 처리 중...');
+        
+        if (result.isWaitingOnly) {
+            // 대기예약의 경우
+            await page.waitForTimeout(2000);
+        } else if (result.needSubmit && !this.testMode) {
+            // 일반 예약의 경우 Submit 처리
+            await this.log('📝 Submit 버튼 처리...');
+            await page.waitForTimeout(500);
+            
+            // 정원 초과 대기예약 안내를 거절했으면 Submit/폼 전송 없이 종료
+            if (this.waitlistDeclined) {
+                await this.log('↪️ 대기예약 거절 - Submit 생략');
+                return;
+            }
+            
+            const submitSuccess = await page.evaluate(() => {
+                const submitElements = [
+                    ...document.querySelectorAll('input[type="submit"]'),
+                    ...document.querySelectorAll('button[type="submit"]'),
+                    ...document.querySelectorAll('input[type="image"]'),
+                    ...document.querySelectorAll('button')
+                ];
+                
+                for (let elem of submitElements) {
+                    const text = (elem.value || elem.textContent || '').trim();
+                    if (text.includes('예약') || text.includes('확인') || 
+                        text.includes('등록') || text === 'Submit') {
+                        elem.click();
+                        return true;
+                    }
+                }
+                
+                // Form submit 시도
+                const forms = document.querySelectorAll('form');
+                if (forms.length > 0) {
+                    forms[0].submit();
+                    return true;
+                }
+                
+                return false;
+            });
+            
+            if (submitSuccess) {
+                await this.log('✅ Submit 버튼 클릭 완료');
+                await page.waitForTimeout(1500);
+                
+                if (!this.hasConflictError) {
+                    await this.takeScreenshot(page, '06-submit-result');
+                }
+            } else {
+                await this.log('⚠️ Submit 버튼을 찾을 수 없음');
+            }
+        }
+        
+        await this.takeScreenshot(page, '07-booking-result');
+    }
+
+    // 예약 요청 1회 결과 (attempts 기록용)
+    describeOutcome() {
+        if (this.hasConflictError) {
+            return 'CONFLICT';
+        }
+        if (this.waitlistDeclined) {
+            return 'DECLINED';
+        }
+        if (this.testMode) {
+            return 'TEST';
+        }
+        if (this.bookingSuccess) {
+            return this.isWaitingReservation ? 'WAITLISTED' : 'BOOKED';
+        }
+        if (this.dialogMessages.some(message => classifyMessage(message).type === UNKNOWN_DIALOG)) {
+            return UNKNOWN_DIALOG;
+        }
+        return 'UNCONFIRMED';
+    }
+    
+    // 알림 메시지 분류 및 기록 (메시지 목록에 없으면 결과 파일 unknownDialogs에 남기고 기존처럼 수락)
+    async recordDialog(message) {
+        const classified = classifyMessage(message);
+        this.dialogMessages.push(message);
+        await this.log(`📢 알림 [${classified.type}]: ${message}`);
+        
+        if (classified.type === UNKNOWN_DIALOG) {
+            this.unknownDialogs.push({ timestamp: this.getTimestamp(), message });
+            await this.log('❓ 알 수 없는 알림 - 메시지 목록(lib/site-messages.js)에 없음');
+        }
+        return classified;
+    }
+    
+    // 예약 요청 기록 (결과 파일 attempts)
+    recordAttempt(engine, slot, dialogs) {
+        this.attempts.push({
+            timestamp: this.getTimestamp(),
+            engine,
+            class: slot.label,
+            dialogs: [...dialogs],
+            outcome: this.describeOutcome()
+        });
+    }
+    
+    // 동시신청 충돌 후 재요청 대기 (지수 백오프 + 지터), 시간 예산을 넘으면 false
+    async backoffAfterConflict(attempt, startedAt) {
+        const base = Math.min(this.conflictBackoffMs * 2 ** (attempt - 1), this.conflictBackoffMaxMs);
+        const delay = Math.round(base * (0.5 + Math.random() / 2));
+        
+        if (this.clock.now() - startedAt + delay > this.conflictBudgetMs) {
+            await this.log(`⛔ 동시신청 충돌 ${attempt}회 - 재요청 시간 예산 ${this.conflictBudgetMs}ms 초과`);
+            return false;
+        }
+        
+        await this.log(`🔁 동시신청 충돌 ${attempt}회 - ${delay}ms 후 재요청`);
+        await this.clock.sleep(delay);
+        return true;
+    }
+    
+    // 예약 클릭 후 처리, 동시신청 충돌이면 페이지를 유지한 채 같은 행을 다시 클릭
+    // rearmDialog: 다음 요청의 알림을 다시 처리하도록 다이얼로그 핸들러 초기화
+    async completeWithConflictRetry(page, slot, result, rearmDialog) {
+        const startedAt = this.clock.now();
+        
+        for (let attempt = 1; ; attempt++) {
+            await this.completeBooking(page, result);
+            this.recordAttempt('browser', slot, this.dialogMessages);
+            
+            // 클릭 후 정원 초과 대기예약 안내를 거절한 경우 예약되지 않음 (다음 순위로)
+            if (this.waitlistDeclined) {
+                return {
+                    found: true,
+                    booked: false,
+                    unavailable: true,
+                    message: `${slot.label} 수업 정원 초과 - 대기예약 거절`
+                };
+            }
+            if (!this.hasConflictError) {
+                return result;
+            }
+            if (!(await this.backoffAfterConflict(attempt, startedAt))) {
+                throw new Error('동시신청 충돌 발생');
+            }
+            
+            this.hasConflictError = false;
+            this.dialogMessages = [];
+            rearmDialog();
+            
+            // 충돌 안내 후 돌아온 시간표에서 다시 클릭 (시간표가 아니면 남아 있는 폼을 다시 Submit)
+            await page.waitForSelector('table', { timeout: this.optimizations.fastTimeout }).catch(() => {});
+            const row = findSlotRow(parseTimetableRows(await page.evaluate(extractRawRows)), slot);
+            if (row) {
+                result = await this.bookSlotRow(page, row, slot);
+                if (!result.booked) {
+                    return result;
+                }
+            } else {
+                result = { ...result, isWaitingOnly: false, needSubmit: true };
+            }
+        }
+    }
+    
+    // 대상 슬롯 수업 검색 및 예약
+    async findClassAndBook(page) {
+        await this.log(`🔍 ${this.preferences.map(slot => slot.label).join(' → ')} 수업 검색 및 예약...`);
         
+        // 이전 시도의 상태가 남지 않도록 초기화
         this.hasConflictError = false;
+        this.waitlistDeclined = false;
+        this.currentPreference = null;
         
         try {
             // 테이블 로드 대기
@@ -521,13 +956,20 @@ class PreciseTimingPilatesBooking {
             // 다이얼로그 핸들러 설정
             let dialogHandled = false;
             const dialogHandler = async (dialog) => {
-                const message = dialog.message();
-                await this.log(`📢 알림: ${message}`);
+                const { type } = await this.recordDialog(dialog.message());
                 
                 if (!dialogHandled) {
                     dialogHandled = true;
                     
-                    if (message.includes('정원이 초과') && message.includes('대기예약')) {
+                    if (type === 'WAITLIST_PROMPT') {
+                        // 대기예약을 허용하지 않는 선호 수업이면 거절하고 다음 순위로
+                        if (this.currentPreference && !this.currentPreference.waitlist) {
+                            this.waitlistDeclined = true;
+                            await dialog.dismiss();
+                            await this.log('↪️ 대기예약 거절 (일반예약만 허용)');
+                            return;
+                        }
+                        
                         this.isWaitingReservation = true;
                         this.bookingSuccess = true;
                         await dialog.accept();
@@ -535,23 +977,25 @@ class PreciseTimingPilatesBooking {
                         return;
                     }
                     
-                    if (message.includes('요일별 예약횟수가 완료')) {
+                    if (type === 'DAILY_LIMIT_REACHED') {
                         this.bookingSuccess = true;
                         await dialog.accept();
                         await this.log('🎉 요일별 예약횟수 완료 - 성공으로 처리');
                         return;
                     }
                     
-                    if (message.includes('동시신청') || message.includes('잠시 후')) {
+                    if (type === 'CONFLICT') {
                         this.hasConflictError = true;
                         await dialog.accept();
                         await this.log('⚠️ 동시신청 충돌 감지');
                         return;
                     }
                     
-                    if (message.includes('예약') && 
-                        (message.includes('완료') || message.includes('성공'))) {
+                    if (type === 'BOOKED' || type === 'WAITLISTED') {
                         this.bookingSuccess = true;
+                        if (type === 'WAITLISTED') {
+                            this.isWaitingReservation = true;
+                        }
                         await dialog.accept();
                         await this.log('🎉 예약 성공!');
                         return;
@@ -563,110 +1007,68 @@ class PreciseTimingPilatesBooking {
             
             page.on('dialog', dialogHandler);
             
-            // 09:30 수업 검색 및 예약 실행
-            const result = await page.evaluate(() => {
-                console.log('=== 09:30 수업 검색 시작 ===');
+            // 선호 순서대로 시도 (같은 세션에서 다음 수업으로 넘어감)
+            const rejected = [];
+            let result = null;
+            
+            for (let index = 0; index < this.preferences.length; index++) {
+                const slot = this.preferences[index];
+                this.currentPreference = slot;
+                this.waitlistDeclined = false;
+                dialogHandled = false;
                 
-                const allRows = document.querySelectorAll('tr');
+                if (this.preferences.length > 1) {
+                    await this.log(`🔢 ${index + 1}순위: ${this.describePreference(slot)}`);
+                }
                 
-                // 이미 예약된 09:30 수업 확인
-                for (let i = 0; i < allRows.length; i++) {
-                    const row = allRows[i];
-                    const rowText = row.textContent || '';
-                    
-                    if ((rowText.includes('09:30') || rowText.includes('9:30')) && 
-                        !rowText.includes('오후') && !rowText.includes('PM')) {
-                        
-                        const cells = row.querySelectorAll('td');
-                        if (cells.length >= 3) {
-                            for (let j = 0; j < cells.length; j++) {
-                                const cellText = cells[j].textContent.trim();
-                                
-                                if (cellText === '오전 09:30' || cellText === '오전 9:30' ||
-                                    cellText.includes('09:30') || cellText.includes('9:30')) {
-                                    
-                                    let actionCell = cells[cells.length - 1];
-                                    if (j < cells.length - 1) {
-                                        const nextCell = cells[j + 1];
-                                        if (nextCell.textContent.includes('예약') || 
-                                            nextCell.textContent.includes('대기') ||
-                                            nextCell.textContent.includes('완료') ||
-                                            nextCell.textContent.includes('불가')) {
-                                            actionCell = nextCell;
-                                        }
-                                    }
-                                    
-                                    const actionText = actionCell.textContent.trim();
-                                    console.log(`09:30 상태 확인: "${actionText}"`);
-                                    
-                                    // 이미 예약된 경우
-                                    if (actionText.includes('예약완료') || actionText.includes('대기완료') || 
-                                        actionText.includes('삭제') || actionText.includes('취소')) {
-                                        return {
-                                            found: true,
-                                            booked: false,
-                                            alreadyBooked: true,
-                                            isWaiting: actionText.includes('대기완료'),
-                                            message: `09:30 수업 이미 ${actionText.includes('대기완료') ? '대기예약' : '예약'} 완료`
-                                        };
-                                    }
-                                    
-                                    // 예약 가능한 경우
-                                    const link = actionCell.querySelector('a');
-                                    
-                                    if (actionText.includes('예약하기')) {
-                                        if (link) {
-                                            console.log('🎯 09:30 예약하기 클릭 실행');
-                                            link.click();
-                                            return {
-                                                found: true,
-                                                booked: true,
-                                                message: '09:30 수업 예약 클릭',
-                                                needSubmit: true
-                                            };
-                                        }
-                                    } else if (actionText.includes('대기예약')) {
-                                        if (link) {
-                                            console.log('⏳ 09:30 대기예약 클릭 실행');
-                                            link.click();
-                                            return {
-                                                found: true,
-                                                booked: true,
-                                                message: '09:30 수업 대기예약 클릭',
-                                                isWaitingOnly: true,
-                                                needSubmit: false
-                                            };
-                                        }
-                                    } else if (actionText.includes('예약불가')) {
-                                        return {
-                                            found: true,
-                                            booked: false,
-                                            unavailable: true,
-                                            message: '09:30 수업 예약불가 (정원 초과)'
-                                        };
-                                    }
-                                    
-                                    break;
-                                }
-                            }
-                        }
-                    }
+                // 시간표 파싱 후 대상 슬롯 검색
+                const rows = parseTimetableRows(await page.evaluate(extractRawRows));
+                await this.debug(`시간표 ${rows.length}개 행 파싱: ${rows.map(row => `${row.time}[${row.actionText}]`).join(', ')}`);
+                
+                const row = findSlotRow(rows, slot);
+                result = await this.bookSlotRow(page, row, slot);
+                
+                await this.log(`🔍 검색 결과: ${result.message}`);
+                
+                if (result.booked) {
+                    result = await this.completeWithConflictRetry(page, slot, result, () => {
+                        dialogHandled = false;
+                    });
                 }
                 
-                return {
-                    found: false,
+                if (result.booked || result.alreadyBooked) {
+                    result.preference = { rank: index + 1, class: slot.label };
+                    result.rejected = rejected;
+                    break;
+                }
+                
+                rejected.push({
+                    rank: index + 1,
+                    class: slot.label,
+                    found: result.found,
+                    unavailable: !!result.unavailable,
+                    reason: result.message
+                });
+                if (index < this.preferences.length - 1) {
+                    await this.log(`↪️ ${slot.label} 거절: ${result.message} - 다음 순위 시도`);
+                }
+            }
+            
+            // 모든 선호 수업 거절
+            if (!result.booked && !result.alreadyBooked) {
+                result = {
+                    found: rejected.some(item => item.found),
                     booked: false,
-                    message: '09:30 수업을 찾을 수 없음'
+                    unavailable: rejected.some(item => item.unavailable),
+                    message: rejected.length === 1 ? rejected[0].reason :
+                        `선호 수업 ${rejected.length}개 모두 예약 실패 (${rejected.map(item => item.class).join(' → ')})`,
+                    rejected
                 };
-            });
-            
-            await this.log(`🔍 검색 결과: ${result.message}`);
+            }
             
             // 결과 처리
             if (result.unavailable) {
                 await this.log('⚠️ 예약불가 상태 - 정원 초과 또는 시간 경과');
-                page.off('dialog', dialogHandler);
-                return result;
             }
             
             if (result.alreadyBooked) {
@@ -675,65 +1077,6 @@ class PreciseTimingPilatesBooking {
                 if (result.isWaiting) {
                     this.isWaitingReservation = true;
                 }
-                page.off('dialog', dialogHandler);
-                return result;
-            }
-            
-            // 예약 후 처리
-            if (result.booked) {
-                await this.log('⏳ 예약 처리 중...');
-                
-                if (result.isWaitingOnly) {
-                    // 대기예약의 경우
-                    await page.waitForTimeout(2000);
-                } else if (result.needSubmit && !this.testMode) {
-                    // 일반 예약의 경우 Submit 처리
-                    await this.log('📝 Submit 버튼 처리...');
-                    await page.waitForTimeout(500);
-                    
-                    const submitSuccess = await page.evaluate(() => {
-                        const submitElements = [
-                            ...document.querySelectorAll('input[type="submit"]'),
-                            ...document.querySelectorAll('button[type="submit"]'),
-                            ...document.querySelectorAll('input[type="image"]'),
-                            ...document.querySelectorAll('button')
-                        ];
-                        
-                        for (let elem of submitElements) {
-                            const text = (elem.value || elem.textContent || '').trim();
-                            if (text.includes('예약') || text.includes('확인') || 
-                                text.includes('등록') || text === 'Submit') {
-                                elem.click();
-                                return true;
-                            }
-                        }
-                        
-                        // Form submit 시도
-                        const forms = document.querySelectorAll('form');
-                        if (forms.length > 0) {
-                            forms[0].submit();
-                            return true;
-                        }
-                        
-                        return false;
-                    });
-                    
-                    if (submitSuccess) {
-                        await this.log('✅ Submit 버튼 클릭 완료');
-                        await page.waitForTimeout(1500);
-                        
-                        if (this.hasConflictError) {
-                            page.off('dialog', dialogHandler);
-                            throw new Error('동시신청 충돌 발생');
-                        }
-                        
-                        await this.takeScreenshot(page, '06-submit-result');
-                    } else {
-                        await this.log('⚠️ Submit 버튼을 찾을 수 없음');
-                    }
-                }
-                
-                await this.takeScreenshot(page, '07-booking-result');
             }
             
             page.off('dialog', dialogHandler);
@@ -746,49 +1089,188 @@ class PreciseTimingPilatesBooking {
         }
     }
 
-    // 결과 검증 (캘린더 확인)
-    async verifyBooking(page) {
-        try {
-            await this.log('🔍 예약 결과 검증 중...');
+    // HTTP 빠른 경로: 선호 순서대로 시간표 행의 링크/폼을 직접 요청 (findClassAndBook과 같은 결과 형태)
+    // timetable: 오픈 대기 폴링에서 이미 연 시간표 (없으면 새로 열기)
+    async findClassAndBookOverHttp(client, dateInfo, timetable = null) {
+        await this.log(`⚡ HTTP 빠른 경로: ${this.preferences.map(slot => slot.label).join(' → ')} 수업 검색 및 예약...`);
+        
+        this.waitlistDeclined = false;
+        this.currentPreference = null;
+        
+        timetable = timetable || await client.openDate(dateInfo);
+        if (!timetable) {
+            throw new Error(`${dateInfo.day}일 날짜를 찾을 수 없음`);
+        }
+        const rows = parseTimetableRows(timetable.rawRows);
+        await this.debug(`시간표 ${rows.length}개 행 파싱: ${rows.map(row => `${row.time}[${row.actionText}]`).join(', ')}`);
+        
+        const rejected = [];
+        
+        for (let index = 0; index < this.preferences.length; index++) {
+            const slot = this.preferences[index];
+            this.currentPreference = slot;
+            if (this.preferences.length > 1) {
+                await this.log(`🔢 ${index + 1}순위: ${this.describePreference(slot)}`);
+            }
             
-            // 캘린더로 이동하여 * 표시 확인
-            const hasAsterisk = await page.evaluate(() => {
-                const cells = document.querySelectorAll('td');
-                for (let cell of cells) {
-                    if (cell.textContent.includes('*')) {
-                        return true;
-                    }
+            const row = findSlotRow(rows, slot);
+            if (row) {
+                await this.log(`${slot.label} 상태 확인: "${row.actionText}"`);
+            }
+            
+            let result = this.checkSlotRow(row, slot);
+            
+            if (!result && this.testMode) {
+                result = {
+                    found: true,
+                    booked: true,
+                    isWaitingOnly: row.status === 'WAITLIST_OPEN',
+                    message: `${slot.label} 수업 예약 가능 (테스트 모드 - 요청 생략)`
+                };
+            } else if (!result) {
+                result = await this.reserveOverHttp(client, dateInfo, timetable, row, slot);
+            }
+            
+            await this.log(`🔍 검색 결과: ${result.message}`);
+            
+            if (result.booked || result.alreadyBooked) {
+                if (result.alreadyBooked) {
+                    this.bookingSuccess = true;
+                    this.isWaitingReservation = !!result.isWaiting;
                 }
-                return false;
+                result.preference = { rank: index + 1, class: slot.label };
+                result.rejected = rejected;
+                return result;
+            }
+            
+            rejected.push({
+                rank: index + 1,
+                class: slot.label,
+                found: result.found,
+                unavailable: !!result.unavailable,
+                reason: result.message
             });
+        }
+        
+        return {
+            found: rejected.some(item => item.found),
+            booked: false,
+            unavailable: rejected.some(item => item.unavailable),
+            message: rejected.length === 1 ? rejected[0].reason :
+                `선호 수업 ${rejected.length}개 모두 예약 실패 (${rejected.map(item => item.class).join(' → ')})`,
+            rejected
+        };
+    }
+
+    // HTTP 예약 요청, 동시신청 충돌이면 시간표를 다시 열어 같은 행 재요청
+    async reserveOverHttp(client, dateInfo, timetable, row, slot) {
+        const startedAt = this.clock.now();
+        
+        for (let attempt = 1; ; attempt++) {
+            const isWaitingOnly = row.status === 'WAITLIST_OPEN';
+            await this.log(`${isWaitingOnly ? '⏳' : '🎯'} ${slot.label} ${isWaitingOnly ? '대기예약' : '예약하기'} 요청`);
+            await this.markFirstClick();
             
-            if (hasAsterisk) {
-                await this.log('✅ 캘린더에 * 표시 확인 - 예약 검증 성공');
-                return true;
-            } else {
-                await this.log('⚠️ 캘린더에 * 표시 없음 - 검증 실패');
-                return false;
+            // 정원 초과 대기예약 안내는 대기예약을 허용하는 선호 수업만 수락
+            const response = await client.reserve(timetable, timetable.rawRows[row.index], row.actionIndex, message =>
+                classifyMessage(message).type !== 'WAITLIST_PROMPT' || slot.waitlist);
+            
+            this.dialogMessages = [];
+            const alerts = [];
+            const confirm = response.confirm ? await this.recordDialog(response.confirm) : null;
+            for (const message of response.alerts) {
+                alerts.push(await this.recordDialog(message));
             }
             
-        } catch (error) {
-            await this.log(`⚠️ 예약 검증 오류: ${error.message}`);
-            return false;
+            const waitlisted = !!confirm && confirm.type === 'WAITLIST_PROMPT';
+            this.waitlistDeclined = response.declined;
+            this.hasConflictError = alerts.some(alert => alert.retry);
+            if (!this.hasConflictError && !response.declined) {
+                if (waitlisted || alerts.some(alert => alert.type === 'WAITLISTED')) {
+                    this.isWaitingReservation = true;
+                }
+                if (alerts.some(alert => alert.success)) {
+                    this.bookingSuccess = true;
+                }
+            }
+            this.recordAttempt('http', slot, this.dialogMessages);
+            
+            if (response.declined) {
+                return {
+                    found: true,
+                    booked: false,
+                    unavailable: true,
+                    message: `${slot.label} 수업 정원 초과 - 대기예약 거절`
+                };
+            }
+            
+            if (!this.hasConflictError) {
+                return {
+                    found: true,
+                    booked: true,
+                    isWaitingOnly: waitlisted,
+                    message: `${slot.label} 수업 ${waitlisted ? '대기예약' : '예약'} 요청 완료`
+                };
+            }
+            
+            if (!(await this.backoffAfterConflict(attempt, startedAt))) {
+                throw new Error('동시신청 충돌 발생');
+            }
+            
+            timetable = await client.openDate(dateInfo);
+            if (!timetable) {
+                throw new Error(`${dateInfo.day}일 날짜를 찾을 수 없음`);
+            }
+            row = findSlotRow(parseTimetableRows(timetable.rawRows), slot);
+            const checked = this.checkSlotRow(row, slot);
+            if (checked) {
+                return checked;
+            }
         }
     }
+    
+    // 결과 검증: 대상 날짜 시간표를 다시 열어 해당 수업 행의 상태 확인
+    // 판정: CONFIRMED(예약완료), WAITLISTED(대기완료), NOT_FOUND(수업 행 없음), MISMATCH(예약 상태 아님)
+    async verifyBooking(page, slot, targetInfo = this.getTargetDate()) {
+        await this.log(`🔍 예약 결과 검증 중: ${formatDate(targetInfo)} ${slot.label}`);
+        
+        await page.goto(this.calendarUrl, {
+            waitUntil: 'domcontentloaded',
+            timeout: this.optimizations.fastTimeout
+        });
+        await this.navigateToBookingPage(page, targetInfo);
+        await page.waitForSelector('table', { timeout: this.optimizations.fastTimeout }).catch(() => {});
+        
+        const row = findSlotRow(parseTimetableRows(await page.evaluate(extractRawRows)), slot);
+        const verdict = !row ? 'NOT_FOUND' :
+            row.status === 'BOOKED' ? 'CONFIRMED' :
+            row.status === 'WAITLISTED' ? 'WAITLISTED' : 'MISMATCH';
+        
+        if (verdict === 'CONFIRMED' || verdict === 'WAITLISTED') {
+            await this.log(`✅ 예약 검증 성공 (${verdict}): "${row.actionText}"`);
+        } else {
+            await this.log(`⚠️ 예약 검증 실패 (${verdict})${row ? `: "${row.actionText}"` : ''}`);
+            await this.takeScreenshot(page, 'error-verify');
+        }
+        
+        return { verdict, actionText: row ? row.actionText : null };
+    }
 
-    // 결과 저장
-    async saveResult(resultInfo) {
-        const resultFile = this.testMode ? 'test-result.json' : 'booking-result.json';
+    // 결과 저장 (resultFile 기본값: 예약 결과 파일), 저장한 결과 반환
+    // historyFile: 예약 결과를 누적할 기록 파일 (취소 결과 등은 null)
+    async saveResult(resultInfo, resultFile = this.testMode ? 'test-result.json' : 'booking-result.json', historyFile = this.historyFile) {
+        let enhancedResult = resultInfo;
         
         try {
             // 추가 메타데이터
-            const enhancedResult = {
+            enhancedResult = {
                 ...resultInfo,
                 version: '6.1.0',
-                waitingStartTime: this.waitingStartTime?.toISOString(),
-                actualStartTime: this.actualStartTime?.toISOString(),
+                waitingStartTime: this.waitingStartTime ? toKSTISOString(this.waitingStartTime) : undefined,
+                actualStartTime: this.actualStartTime ? toKSTISOString(this.actualStartTime) : undefined,
                 executionDuration: this.actualStartTime && this.waitingStartTime ? 
                     (this.actualStartTime - this.waitingStartTime) : null,
+                clockCalibration: this.clockCalibration,
                 systemInfo: {
                     isGitHubActions: this.isGitHubActions,
                     executionMode: this.executionMode,
@@ -801,163 +1283,1176 @@ class PreciseTimingPilatesBooking {
             await fs.writeFile(resultFile, JSON.stringify(enhancedResult, null, 2));
             await this.log(`💾 결과 저장 완료: ${resultFile}`);
             
+            if (historyFile) {
+                await this.appendHistory(enhancedResult, historyFile);
+            }
+            
+            await this.notify(enhancedResult);
+            
         } catch (error) {
             await this.log(`⚠️ 결과 저장 실패: ${error.message}`);
         }
+        
+        return enhancedResult;
     }
 
-    // 메인 실행 로직
-    async run() {
-        await this.init();
+    // 실행 기록에 계정별 결과 한 줄씩 추가 (실패해도 결과 저장/알림은 계속)
+    async appendHistory(resultInfo, historyFile) {
+        try {
+            const entries = historyEntries(resultInfo, { executionMode: this.executionMode });
+            await fs.appendFile(historyFile, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+        } catch (error) {
+            await this.log(`⚠️ 실행 기록 저장 실패: ${error.message}`);
+        }
+    }
+
+    // 브라우저 실행 (browserFactory가 주입되면 사용)
+    async launchBrowser() {
+        if (this.browserFactory) {
+            return this.browserFactory();
+        }
+        return puppeteer.launch({
+            headless: 'new',
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-gpu',
+                '--disable-web-security',
+                '--disable-features=VizDisplayCompositor',
+                '--disable-extensions',
+                '--disable-background-timer-throttling',
+                '--disable-renderer-backgrounding',
+                '--disable-backgrounding-occluded-windows',
+                '--disable-ipc-flooding-protection',
+                '--memory-pressure-off',
+                '--max_old_space_size=4096',
+                '--window-size=1280,720'
+            ]
+        });
+    }
+
+    // 페이지 생성 및 설정
+    async newPage(context) {
+        const page = await context.newPage();
         
-        // 정밀 대기 실행
-        await this.waitUntilTargetTime();
+        page.setDefaultTimeout(this.optimizations.fastTimeout);
+        await page.setUserAgent('Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36');
+        await page.setViewport({ width: 1280, height: 720 });
         
-        let retryCount = 0;
-        let success = false;
-        
-        while (retryCount < this.maxRetries && !success) {
-            const browser = await puppeteer.launch({
-                headless: 'new',
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-gpu',
-                    '--disable-web-security',
-                    '--disable-features=VizDisplayCompositor',
-                    '--disable-extensions',
-                    '--disable-background-timer-throttling',
-                    '--disable-renderer-backgrounding',
-                    '--disable-backgrounding-occluded-windows',
-                    '--disable-ipc-flooding-protection',
-                    '--memory-pressure-off',
-                    '--max_old_space_size=4096',
-                    '--window-size=1280,720'
-                ]
+        // 콘솔 로그 캡처 (디버그 모드에서만)
+        if (this.debugMode) {
+            page.on('console', msg => {
+                if (msg.type() === 'log') {
+                    this.debug(`[브라우저]: ${msg.text()}`);
+                }
             });
-            
+        }
+        
+        return page;
+    }
+
+    // 일정상 스킵된 계정의 결과
+    buildSkipResult() {
+        const targetInfo = this.getTargetDate();
+        return {
+            timestamp: this.getTimestamp(),
+            date: formatDate(targetInfo),
+            dayOfWeek: this.decision.dayName,
+            status: skipStatusOf(this.decision),
+            message: this.decision.reason,
+            reason: this.decision.reason
+        };
+    }
+
+    // 사전 준비: 로그인 후 대상 날짜를 열어 두고 세션 유지 (실패 시 null → 목표 시각에 일반 흐름)
+    async prepareSession(browser) {
+        // HTTP 엔진: 로그인 쿠키만 미리 확보
+        if (this.engine === 'http') {
             try {
-                const page = await browser.newPage();
-                
-                // 페이지 설정
-                page.setDefaultTimeout(this.optimizations.fastTimeout);
-                await page.setUserAgent('Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36');
-                await page.setViewport({ width: 1280, height: 720 });
-                
-                // 콘솔 로그 캡처 (디버그 모드에서만)
-                if (this.debugMode) {
-                    page.on('console', msg => {
-                        if (msg.type() === 'log') {
-                            this.debug(`[브라우저]: ${msg.text()}`);
-                        }
-                    });
+                const client = new HttpBookingClient({ baseUrl: this.baseUrl, timeout: this.optimizations.fastTimeout });
+                await client.login(this.username, this.password);
+                const keepAlive = setInterval(() => {
+                    client.request(client.calendarUrl).catch(() => {});
+                }, this.keepAliveSeconds * 1000);
+                
+                this.prewarmedAt = this.getServerTime();
+                await this.log(`🔥 사전 준비 완료: HTTP 로그인 (세션 유지 ${this.keepAliveSeconds}초 간격)`);
+                return { client, keepAlive };
+            } catch (error) {
+                await this.log(`⚠️ 사전 준비 실패 - 목표 시각에 새로 로그인: ${error.message}`);
+                return null;
+            }
+        }
+        
+        const context = await browser.createIncognitoBrowserContext();
+        
+        try {
+            const page = await this.newPage(context);
+            await this.login(page);
+            const dateInfo = await this.navigateToBookingPage(page);
+            
+            // 페이지 이동 없이 현재 페이지를 주기적으로 요청해 세션 유지
+            const keepAlive = setInterval(() => {
+                page.evaluate(() => fetch(location.href, { credentials: 'same-origin' }).then(response => response.status))
+                    .then(status => this.debug(`세션 유지 요청: HTTP ${status}`))
+                    .catch(() => {});
+            }, this.keepAliveSeconds * 1000);
+            
+            this.prewarmedAt = this.getServerTime();
+            await this.log(`🔥 사전 준비 완료: 로그인 및 ${dateInfo.clicked ? '시간표' : '캘린더'} 열기 (세션 유지 ${this.keepAliveSeconds}초 간격)`);
+            return { context, page, dateInfo, keepAlive };
+        } catch (error) {
+            await this.log(`⚠️ 사전 준비 실패 - 목표 시각에 새로 로그인: ${error.message}`);
+            await context.close().catch(() => {});
+            return null;
+        }
+    }
+
+    // 사전 준비 세션의 시간표 다시 불러오기 (오픈 전이라 날짜를 못 열었으면 캘린더에서 다시 선택)
+    async reloadPreparedSession(session) {
+        clearInterval(session.keepAlive);
+        
+        if (session.dateInfo.clicked) {
+            await this.log('🔄 시간표 새로고침');
+            await session.page.reload({
+                waitUntil: 'domcontentloaded',
+                timeout: this.optimizations.fastTimeout
+            });
+            return session.dateInfo;
+        }
+        
+        await session.page.goto(this.calendarUrl, {
+            waitUntil: 'domcontentloaded',
+            timeout: this.optimizations.fastTimeout
+        });
+        return this.navigateToBookingPage(session.page, session.dateInfo);
+    }
+
+    // 목표 시각 → 첫 클릭 측정값
+    buildTimingInfo() {
+        return {
+            prewarmed: !!this.prewarmedAt,
+            prewarmedAt: this.prewarmedAt ? toKSTISOString(this.prewarmedAt) : null,
+            targetAt: this.targetInstant ? toKSTISOString(this.targetInstant) : null,
+            clickedAt: this.clickedAt ? toKSTISOString(this.clickedAt) : null,
+            timeToClickMs: this.targetInstant && this.clickedAt ? this.clickedAt - this.targetInstant : null
+        };
+    }
+
+    // 오픈 대기 폴링: probe()가 NOT_OPEN이 아닌 상태를 반환하거나 폴링 구간이 끝날 때까지 refresh() 후 반복
+    // OPEN/FULL이면 상태 반환, GONE(수업 없음)이나 구간 내 미오픈이면 오류
+    async pollUntilOpen(probe, refresh = null) {
+        const startedAt = this.getServerTime();
+        if (!this.pollDeadline) {
+            const windowStart = Math.max(startedAt.getTime(), this.targetInstant ? this.targetInstant.getTime() : 0);
+            this.pollDeadline = windowStart + this.pollWindowSeconds * 1000;
+        }
+        
+        let polls = 0;
+        let opening;
+        while (true) {
+            polls++;
+            opening = await probe();
+            if (opening.state !== 'NOT_OPEN' || this.getServerTime().getTime() + this.pollIntervalMs > this.pollDeadline) {
+                break;
+            }
+            
+            if (polls === 1) {
+                await this.log(`⏳ 오픈 대기 폴링: ${opening.message} (${this.pollIntervalMs}ms 간격, ${formatKSTTime(this.pollDeadline)}까지)`);
+            } else if (polls % 20 === 0) {
+                await this.log(`⏳ 폴링 ${polls}회: ${opening.message}`);
+            }
+            
+            await this.clock.sleep(this.pollIntervalMs);
+            if (refresh) {
+                await refresh();
+            }
+        }
+        
+        const waitedMs = this.getServerTime() - startedAt;
+        this.opening = { state: opening.state, message: opening.message, polls, waitedMs };
+        const icons = { OPEN: '🟢', FULL: '🈵', GONE: '🚫', NOT_OPEN: '⌛' };
+        await this.log(`${icons[opening.state]} 오픈 상태 ${opening.state}: ${opening.message} (폴링 ${polls}회, ${(waitedMs / 1000).toFixed(1)}초)`);
+        
+        if (opening.state === 'NOT_OPEN') {
+            // 폴링 구간이 끝날 때까지 날짜가 X면 휴무/예약 마감 (bookWithRetries에서 CLOSED)
+            const error = new Error(`폴링 구간 내 미오픈: ${opening.message}`);
+            error.dateClosed = !!opening.closed;
+            throw error;
+        }
+        if (opening.state === 'GONE') {
+            throw new Error(opening.message);
+        }
+        return opening;
+    }
+
+    // 브라우저 오픈 대기 폴링: 날짜가 X이면 캘린더, 날짜를 열었으면 시간표 새로고침 → 최종 날짜 정보
+    async pollBookingPage(page, dateInfo) {
+        await this.pollUntilOpen(async () => {
+            if (!dateInfo.clicked) {
+                const cell = await this.findTargetCell(page, dateInfo);
+                if (!cell || cell.closed || !cell.hasLink) {
+                    return { state: 'NOT_OPEN', message: `${dateInfo.day}일 날짜 미오픈${cell && cell.closed ? ' (X)' : ''}`, closed: !!(cell && cell.closed) };
+                }
+                dateInfo = await this.navigateToBookingPage(page, dateInfo);
+                if (!dateInfo.clicked) {
+                    return { state: 'NOT_OPEN', message: `${dateInfo.day}일 날짜 클릭 실패` };
                 }
+            }
+            return classifyOpening(parseTimetableRows(await page.evaluate(extractRawRows)), this.preferences);
+        }, () => page.reload({
+            waitUntil: 'domcontentloaded',
+            timeout: this.optimizations.fastTimeout
+        }));
+        return dateInfo;
+    }
+
+    // HTTP 오픈 대기 폴링: 매번 캘린더부터 다시 요청 → 열린 시간표
+    async pollOverHttp(client, dateInfo) {
+        let timetable = null;
+        await this.pollUntilOpen(async () => {
+            timetable = await client.openDate(dateInfo);
+            if (!timetable) {
+                return { state: 'NOT_OPEN', message: `${dateInfo.day}일 날짜 미오픈` };
+            }
+            return classifyOpening(parseTimetableRows(timetable.rawRows), this.preferences);
+        });
+        return timetable;
+    }
+
+    // 계정 1개 예약 (재시도 포함) - 시도마다 격리된 브라우저 컨텍스트 사용
+    // session: 사전 준비된 세션 (첫 시도에만 사용)
+    async bookWithRetries(browser, session = null) {
+        let retryCount = 0;
+        let lastVerdict = null;
+        let httpTried = false;
+        
+        while (retryCount < this.maxRetries) {
+            const prepared = session;
+            session = null;
+            const useHttp = this.engine === 'http' && !httpTried;
+            httpTried = httpTried || useHttp;
+            const context = prepared && prepared.context ? prepared.context : await browser.createIncognitoBrowserContext();
+            
+            try {
+                let page;
+                let dateInfo;
+                let result;
                 
-                // 1. 로그인
-                await this.login(page);
+                if (useHttp) {
+                    // 1-3. HTTP 빠른 경로로 로그인/시간표/예약 요청
+                    let client = prepared && prepared.client;
+                    if (client) {
+                        clearInterval(prepared.keepAlive);
+                    } else {
+                        client = new HttpBookingClient({ baseUrl: this.baseUrl, timeout: this.optimizations.fastTimeout });
+                        await client.login(this.username, this.password);
+                    }
+                    dateInfo = this.getTargetDate();
+                    const timetable = this.pollEnabled ? await this.pollOverHttp(client, dateInfo) : null;
+                    result = await this.findClassAndBookOverHttp(client, dateInfo, timetable);
+                    
+                    // 검증과 스크린샷은 브라우저로
+                    if (!this.testMode && (result.booked || result.alreadyBooked)) {
+                        page = await this.newPage(context);
+                        await this.login(page);
+                    }
+                } else if (prepared) {
+                    // 1-2. 사전 준비 세션: 시간표만 새로고침
+                    page = prepared.page;
+                    dateInfo = await this.reloadPreparedSession(prepared);
+                } else {
+                    page = await this.newPage(context);
+                    
+                    // 1. 로그인
+                    await this.login(page);
+                    
+                    // 2. 예약 페이지 이동
+                    dateInfo = await this.navigateToBookingPage(page);
+                }
                 
-                // 2. 예약 페이지 이동
-                const dateInfo = await this.navigateToBookingPage(page);
+                // 2-1. 오픈 대기 폴링 (날짜 X/시간표 미오픈이면 재시도 대신 새로고침)
+                if (!useHttp && this.pollEnabled) {
+                    dateInfo = await this.pollBookingPage(page, dateInfo);
+                } else if (!useHttp && dateInfo.closed) {
+                    const error = new Error(`${dateInfo.day}일 예약 불가 (캘린더 X)`);
+                    error.dateClosed = true;
+                    throw error;
+                }
                 
-                // 3. 09:30 수업 예약
-                const result = await this.find0930ClassAndBook(page);
+                // 3. 대상 슬롯 수업 예약
+                if (!useHttp) {
+                    result = await this.findClassAndBook(page);
+                }
                 
-                // 4. 결과 검증 (선택적)
-                let verified = false;
-                if (result.booked || result.alreadyBooked) {
-                    verified = await this.verifyBooking(page);
+                // 4. 결과 처리
+                if (!(result.booked || result.alreadyBooked || result.unavailable)) {
+                    throw new Error(result.found ? '예약 처리 실패' : result.message);
                 }
                 
-                // 5. 결과 처리
-                if (result.booked || result.alreadyBooked || result.unavailable) {
-                    await this.log('✅ 예약 프로세스 완료');
-                    success = true;
-                    
-                    // 최종 결과 저장
-                    const resultInfo = {
-                        timestamp: this.getKSTDate().toISOString(),
-                        date: `${dateInfo.year}-${dateInfo.month}-${dateInfo.day}`,
-                        class: '09:30',
-                        status: this.testMode ? 'TEST' : 
-                               result.unavailable ? 'UNAVAILABLE' :
-                               result.alreadyBooked ? (result.isWaiting ? 'ALREADY_WAITING' : 'ALREADY_BOOKED') :
-                               (this.isWaitingReservation ? 'WAITING' : 'SUCCESS'),
-                        message: result.message,
-                        verified: verified,
-                        retryCount: retryCount,
-                        bookingSuccess: result.unavailable ? false : this.bookingSuccess,
-                        isWaitingReservation: this.isWaitingReservation,
-                        note: result.alreadyBooked ? '중복 예약 방지 작동' : 
-                              this.isWaitingReservation ? '대기예약 등록' : '일반예약 성공'
-                    };
-                    
-                    await this.saveResult(resultInfo);
-                    
-                    // 상태별 최종 로그
-                    if (result.unavailable) {
-                        await this.log('⚠️ 예약불가 - 정원 초과 또는 시간 경과');
-                    } else {
-                        await this.log('🎉 예약 프로세스 성공!');
-                        if (this.isWaitingReservation) {
-                            await this.log('📋 대기예약으로 등록됨');
-                        }
-                        if (result.alreadyBooked) {
-                            await this.log('🛡️ 중복 예약 방지 시스템 작동');
-                        }
-                        if (verified) {
-                            await this.log('✅ 캘린더 검증 완료');
-                        }
+                // 5. 결과 검증 (대상 날짜/수업 행 재확인, 테스트 모드는 실제 예약이 없으므로 생략)
+                let verification = null;
+                if (!this.testMode && (result.booked || result.alreadyBooked)) {
+                    const bookedSlot = this.preferences[result.preference.rank - 1];
+                    verification = await this.verifyBooking(page, bookedSlot, dateInfo);
+                    lastVerdict = verification.verdict;
+                    if (verification.verdict === 'NOT_FOUND' || verification.verdict === 'MISMATCH') {
+                        throw new Error(`예약 검증 실패 (${verification.verdict})`);
                     }
-                    
+                }
+                
+                // 검증된 행 상태가 대기예약 여부를 결정
+                const isWaiting = verification ? verification.verdict === 'WAITLISTED' :
+                    (result.alreadyBooked ? !!result.isWaiting : this.isWaitingReservation);
+                this.isWaitingReservation = isWaiting;
+                
+                await this.log('✅ 예약 프로세스 완료');
+                
+                // 상태별 최종 로그
+                if (result.unavailable) {
+                    await this.log('⚠️ 예약불가 - 정원 초과 또는 시간 경과');
                 } else {
-                    throw new Error(result.found ? '예약 처리 실패' : '09:30 수업 없음');
+                    await this.log('🎉 예약 프로세스 성공!');
+                    if (isWaiting) {
+                        await this.log('📋 대기예약으로 등록됨');
+                    }
+                    if (result.alreadyBooked) {
+                        await this.log('🛡️ 중복 예약 방지 시스템 작동');
+                    }
+                    if (verification) {
+                        await this.log(`✅ 시간표 검증 완료 (${verification.verdict})`);
+                    }
                 }
                 
+                return {
+                    timestamp: this.getTimestamp(),
+                    date: formatDate(dateInfo),
+                    class: result.preference ? result.preference.class : this.slot.label,
+                    // 감시 모드가 같은 수업(강사/룸 포함)을 찾도록 정규화된 수업 전체 기록
+                    slot: result.preference ? this.preferences[result.preference.rank - 1] : this.slot,
+                    preference: result.preference || null,
+                    rejectedPreferences: result.rejected || [],
+                    status: this.testMode ? 'TEST' : 
+                           result.unavailable ? 'UNAVAILABLE' :
+                           result.alreadyBooked ? (isWaiting ? 'ALREADY_WAITING' : 'ALREADY_BOOKED') :
+                           (isWaiting ? 'WAITING' : 'SUCCESS'),
+                    message: result.message,
+                    verified: !!verification,
+                    verification: verification ? verification.verdict : null,
+                    retryCount: retryCount,
+                    bookingSuccess: result.unavailable ? false : this.bookingSuccess,
+                    isWaitingReservation: isWaiting,
+                    timing: this.buildTimingInfo(),
+                    opening: this.opening,
+                    attempts: this.attempts,
+                    unknownDialogs: this.unknownDialogs,
+                    engine: useHttp ? 'http' : 'browser',
+                    note: result.alreadyBooked ? '중복 예약 방지 작동' : 
+                          isWaiting ? '대기예약 등록' : '일반예약 성공'
+                };
+                
             } catch (error) {
+                // 계정 정보 오류는 재시도해도 같으므로 바로 중단
+                if (error.loginFailed) {
+                    await this.log('🔐 로그인 실패 - 재시도 중단 (계정 정보 확인 필요)');
+                    return this.buildLoginFailedResult(error, retryCount);
+                }
+                
+                // 캘린더 X: 오픈 지연일 수 있어 재시도하고, 마지막 시도(폴링은 구간 종료)까지 X면 실패가 아닌 CLOSED
+                if (error.dateClosed && (this.pollEnabled || retryCount + 1 >= this.maxRetries)) {
+                    await this.log('🚫 대상 날짜 예약 불가 (캘린더 X) - 센터 휴무 또는 예약 마감으로 종료');
+                    return this.buildClosedResult(error, retryCount);
+                }
+                
+                // HTTP 빠른 경로 실패는 재시도 횟수에 포함하지 않고 바로 브라우저로
+                if (useHttp) {
+                    await this.log(`⚠️ HTTP 빠른 경로 실패 - 브라우저로 재시도: ${error.message}`);
+                    continue;
+                }
+                
                 retryCount++;
                 await this.log(`❌ 시도 ${retryCount}/${this.maxRetries} 실패: ${error.message}`);
                 
                 if (retryCount < this.maxRetries) {
                     await this.log(`🔄 ${this.retryDelay}ms 후 재시도`);
-                    await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+                    await this.clock.sleep(this.retryDelay);
                 }
                 
             } finally {
-                await browser.close();
+                await context.close().catch(() => {});
             }
         }
         
-        if (!success) {
-            await this.log('❌ 모든 시도 실패');
+        await this.log('❌ 모든 시도 실패');
+        
+        const targetInfo = this.getTargetDate();
+        return {
+            timestamp: this.getTimestamp(),
+            date: formatDate(targetInfo),
+            class: this.slot.label,
+            status: 'FAILED',
+            message: lastVerdict ? `모든 재시도 실패 (마지막 검증: ${lastVerdict})` : '모든 재시도 실패',
+            verification: lastVerdict,
+            bookingSuccess: false,
+            retryCount: this.maxRetries,
+            timing: this.buildTimingInfo(),
+            opening: this.opening,
+            attempts: this.attempts,
+            unknownDialogs: this.unknownDialogs,
+            screenshot: this.lastErrorScreenshot
+        };
+    }
+
+    // 로그인 실패 결과 (재시도 없이 종료)
+    buildLoginFailedResult(error, retryCount) {
+        const targetInfo = this.getTargetDate();
+        return {
+            timestamp: this.getTimestamp(),
+            date: formatDate(targetInfo),
+            class: this.slot.label,
+            status: 'LOGIN_FAILED',
+            message: `로그인 실패: ${error.message}`,
+            bookingSuccess: false,
+            retryCount,
+            timing: this.buildTimingInfo(),
+            unknownDialogs: this.unknownDialogs,
+            screenshot: this.lastErrorScreenshot
+        };
+    }
+
+    // 마지막 시도까지 대상 날짜가 캘린더에 X로 표시된 경우의 결과 (센터 휴무/예약 마감)
+    buildClosedResult(error, retryCount) {
+        const targetInfo = this.getTargetDate();
+        return {
+            timestamp: this.getTimestamp(),
+            date: formatDate(targetInfo),
+            class: this.slot.label,
+            status: 'CLOSED',
+            message: error.message,
+            bookingSuccess: false,
+            retryCount,
+            timing: this.buildTimingInfo(),
+            opening: this.opening,
+            unknownDialogs: this.unknownDialogs
+        };
+    }
+
+    // 다중 계정 결과 요약 (계정별 항목 + 전체 상태)
+    // 전체 상태: 예약한 계정(스킵 제외)이 모두 예약/대기예약이면 SUCCESS, 일부만이면 PARTIAL,
+    // 하나도 없으면 계정들의 공통 상태 (상태가 서로 다르면 실패가 있을 때 FAILED, 없으면 UNAVAILABLE)
+    buildMultiAccountResult(results) {
+        const targetInfo = this.getTargetDate();
+        const booked = results.filter(result => !result.status.endsWith('_SKIP'));
+        const succeeded = booked.filter(result => ['booked', 'waitlist'].includes(outcomeOf(result.status)));
+        const others = booked.filter(result => !succeeded.includes(result));
+        
+        let status;
+        if (others.length === 0) {
+            status = 'SUCCESS';
+        } else if (succeeded.length > 0) {
+            status = 'PARTIAL';
+        } else if (others.every(result => result.status === others[0].status)) {
+            status = others[0].status;
+        } else {
+            status = others.some(result => outcomeOf(result.status) === 'failed') ? 'FAILED' : 'UNAVAILABLE';
+        }
+        
+        const counts = {};
+        for (const result of others) {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+        }
+        const pending = Object.entries(counts).map(([name, count]) => `${name} ${count}`).join(', ');
+        
+        return {
+            timestamp: this.getTimestamp(),
+            date: formatDate(targetInfo),
+            status,
+            message: `${results.length}개 계정 중 ${succeeded.length}개 예약 완료` + (others.length > 0 ? `, ${others.length}개 미완료 (${pending})` : ''),
+            bookingSuccess: status === 'SUCCESS',
+            screenshot: others.length > 0 ? others.map(result => result.screenshot).find(Boolean) || null : null,
+            accounts: results
+        };
+    }
+
+    // 날짜 입력 파싱 ("2026-10-25" → { year, month, day })
+    parseDateInput(text) {
+        const date = parseDate(text);
+        if (!date) {
+            throw new Error(`잘못된 날짜 형식: ${text} (예: 2026-10-25)`);
+        }
+        return date;
+    }
+
+    // 알림 발송 (결과 객체 또는 감시 이벤트, 설정된 채널로 전송)
+    async notify(result) {
+        const { title, text } = formatMessage(result);
+        await this.log(`🔔 ${title}: ${text.split('\n')[0]}`);
+        if (this.isGitHubActions) {
+            console.log(`::notice title=${title}::${text.replace(/\n/g, ' ')}`);
+        }
+        
+        const outcomes = await this.notifier.send(result);
+        for (const outcome of outcomes) {
+            if (outcome.ok) {
+                await this.debug(`알림 전송 완료: ${outcome.channel}`);
+            } else {
+                await this.log(`⚠️ 알림 전송 실패 (${outcome.channel}): ${outcome.error}`);
+            }
+        }
+    }
+
+    // 감시 대상: 명령행 인자(--date, --time) 또는 마지막 예약 결과 파일
+    async resolveWatchTarget(options) {
+        if (options.date) {
+            return {
+                date: this.parseDateInput(options.date),
+                slot: options.time ? normalizeSlot({ time: options.time }) : this.slot,
+                status: null
+            };
+        }
+        
+        const resultFile = this.testMode ? 'test-result.json' : 'booking-result.json';
+        let saved;
+        try {
+            saved = JSON.parse(await fs.readFile(resultFile, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+        
+        const entry = saved.accounts ? saved.accounts.find(item => item.account === this.accountName) : saved;
+        if (!entry || !entry.date || !entry.class) {
+            return null;
+        }
+        
+        // 결과 파일의 수업 전체(강사/룸 포함)로 감시, slot이 없는 이전 결과 파일은 class 라벨로 찾기
+        return {
+            date: this.parseDateInput(entry.date),
+            slot: entry.slot ? normalizeSlot(entry.slot) :
+                this.preferences.find(slot => slot.label === entry.class) || normalizeSlot({ time: entry.class }),
+            status: entry.status
+        };
+    }
+
+    // 감시 상태 변화 기록 (watch-history.jsonl) 및 알림
+    async recordWatchTransition(target, from, to) {
+        const label = `${formatDate(target.date)} ${target.slot.label}`;
+        const event = from === 'WAITLISTED' && to === 'BOOKED' ? 'PROMOTED' :
+                      to === 'BOOKED' ? 'SEAT_BOOKED' :
+                      to === 'AVAILABLE' ? 'SEAT_OPEN' : 'STATUS_CHANGE';
+        
+        const entry = {
+            timestamp: this.getTimestamp(),
+            account: this.accountName,
+            date: formatDate(target.date),
+            class: target.slot.label,
+            from,
+            to,
+            event
+        };
+        
+        const historyFile = this.testMode ? 'test-watch-history.jsonl' : 'watch-history.jsonl';
+        try {
+            await fs.appendFile(historyFile, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            await this.log(`⚠️ 감시 기록 저장 실패: ${error.message}`);
+        }
+        
+        await this.log(`🔄 상태 변화: ${from || '-'} → ${to} (${label})`);
+        
+        if (event !== 'STATUS_CHANGE') {
+            await this.notify({
+                status: event,
+                date: entry.date,
+                class: entry.class,
+                account: this.bookers.length > 1 || this.logPrefix ? this.accountName : null,
+                message: `${from || '-'} → ${to}`
+            });
+        }
+    }
+
+    // 대기예약/예약불가 수업 감시 (주기적으로 로그인해서 시간표 행 재확인)
+    // 감시 결과 반환: { account, date, class, status: 마지막 행 상태 (감시하지 않았으면 null),
+    //   error: 감시 대상이 없거나 마지막 조회가 실패한 경우의 메시지, loginFailed: 로그인 거절로 중단 }
+    async watchSlot(browser, options) {
+        const target = await this.resolveWatchTarget(options);
+        if (!target) {
+            const message = '감시 대상 없음 - --date/--time 인자 또는 예약 결과 파일 필요';
+            await this.log(`⚠️ ${message}`);
+            return { account: this.accountName, date: null, class: null, status: null, error: message };
+        }
+        
+        const watchedStatuses = { WAITING: 'WAITLISTED', ALREADY_WAITING: 'WAITLISTED', UNAVAILABLE: 'UNAVAILABLE' };
+        let lastError = null;
+        let bookError = null;
+        const watchResult = (status, extra = {}) => ({
+            account: this.accountName,
+            date: formatDate(target.date),
+            class: target.slot.label,
+            status,
+            error: lastError || bookError,
+            ...extra
+        });
+        if (target.status && !watchedStatuses[target.status]) {
+            await this.log(`✅ 감시 불필요 - 마지막 결과 ${target.status}`);
+            return watchResult(null);
+        }
+        
+        const intervalMs = options.interval * 1000;
+        const deadline = this.clock.now() + options.duration * 60000;
+        let lastStatus = target.status ? watchedStatuses[target.status] : null;
+        
+        await this.log(`👀 감시 시작: ${formatDate(target.date)} ${target.slot.label} (${options.interval}초 간격, 최대 ${options.duration}분)`);
+        
+        while (true) {
+            const context = await browser.createIncognitoBrowserContext();
             
-            const targetInfo = this.getTargetDate();
-            const resultInfo = {
-                timestamp: this.getKSTDate().toISOString(),
-                date: `${targetInfo.year}-${targetInfo.month}-${targetInfo.day}`,
-                class: '09:30',
-                status: 'FAILED',
-                message: '모든 재시도 실패',
-                bookingSuccess: false,
-                retryCount: this.maxRetries
+            try {
+                const page = await this.newPage(context);
+                await this.login(page);
+                
+                // 날짜를 열지 못했으면 행이 없는 것(NOT_FOUND)과 구분해 조회 실패로 처리
+                const dateInfo = await this.navigateToBookingPage(page, target.date);
+                if (!dateInfo.clicked) {
+                    throw new Error(dateInfo.closed ?
+                        `${dateInfo.month}월 ${dateInfo.day}일 예약 불가 (캘린더 X)` :
+                        `${dateInfo.month}월 ${dateInfo.day}일 날짜를 열지 못함`);
+                }
+                
+                const rows = parseTimetableRows(await page.evaluate(extractRawRows));
+                const row = findSlotRow(rows, target.slot);
+                const status = row ? row.status : 'NOT_FOUND';
+                
+                lastError = null;
+                if (status !== lastStatus) {
+                    await this.recordWatchTransition(target, lastStatus, status);
+                    lastStatus = status;
+                }
+                
+                // 빈자리 자동 예약 (--book): 실패하면 다음 조회에서 다시 시도하고, 끝까지 실패하면 결과 error로
+                if (status === 'AVAILABLE' && options.book) {
+                    this.preferences = [target.slot];
+                    this.isWaitingReservation = false;
+                    const booking = await this.findClassAndBook(page);
+                    
+                    if (booking.booked || booking.alreadyBooked) {
+                        const booked = booking.isWaiting || this.isWaitingReservation ? 'WAITLISTED' : 'BOOKED';
+                        bookError = null;
+                        await this.log(`🎉 빈자리 예약 완료: ${booking.message}`);
+                        await this.recordWatchTransition(target, lastStatus, booked);
+                        lastStatus = booked;
+                    } else {
+                        bookError = `빈자리 예약 실패: ${booking.message}`;
+                        await this.log(`❌ ${bookError}`);
+                    }
+                }
+            } catch (error) {
+                lastError = error.message;
+                await this.log(`⚠️ 감시 조회 실패: ${error.message}`);
+                
+                // 계정 정보 거절은 다시 조회해도 같은 결과
+                if (error.loginFailed) {
+                    await this.log('🔐 로그인 실패 - 감시 중단');
+                    return watchResult(lastStatus, { loginFailed: true });
+                }
+            } finally {
+                await context.close().catch(() => {});
+            }
+            
+            if (lastStatus === 'BOOKED') {
+                await this.log('🎉 예약완료 확인 - 감시 종료');
+                return watchResult(lastStatus);
+            }
+            
+            if (this.clock.now() + intervalMs > deadline) {
+                await this.log(`⏹️ 감시 시간 종료 - 마지막 상태: ${lastStatus}`);
+                return watchResult(lastStatus);
+            }
+            
+            await this.clock.sleep(intervalMs);
+        }
+    }
+
+    // 감시 모드 실행 (계정별 감시 결과 반환)
+    async runWatch(options) {
+        await fs.mkdir('screenshots', { recursive: true });
+        await fs.mkdir('logs', { recursive: true });
+        await this.log(`=== 필라테스 예약 감시 모드 시작 ===`);
+        
+        const browser = await this.launchBrowser();
+        try {
+            const watches = await Promise.all(this.bookers.map(booker => booker.watchSlot(browser, options)));
+            return { timestamp: this.getTimestamp(), watches };
+        } finally {
+            await browser.close();
+        }
+    }
+
+    // 명령 대상 계정 선택 (--account, 다중 계정이면 필수)
+    selectBooker(accountName) {
+        if (accountName) {
+            const booker = this.bookers.find(item => item.accountName === accountName);
+            if (!booker) {
+                throw new Error(`계정을 찾을 수 없음: ${accountName} (${this.bookers.map(item => item.accountName).join(', ')})`);
+            }
+            return booker;
+        }
+        if (this.bookers.length > 1) {
+            throw new Error(`다중 계정 설정에서는 --account 지정 필요 (${this.bookers.map(item => item.accountName).join(', ')})`);
+        }
+        return this;
+    }
+
+    // 예약 취소: 날짜의 시간표에서 예약된 행을 찾아 취소/삭제 클릭
+    async cancelReservation(page, target) {
+        const date = formatDate(target.date);
+        const label = target.slot.label;
+        const baseResult = {
+            timestamp: this.getTimestamp(),
+            date,
+            class: label
+        };
+        
+        await this.navigateToBookingPage(page, target.date);
+        await page.waitForSelector('table', { timeout: this.optimizations.fastTimeout }).catch(() => {});
+        
+        const row = findSlotRow(parseTimetableRows(await page.evaluate(extractRawRows)), target.slot);
+        if (!row) {
+            return { ...baseResult, status: 'NOT_BOOKED', message: `${label} 수업을 찾을 수 없음` };
+        }
+        if (row.status !== 'BOOKED' && row.status !== 'WAITLISTED') {
+            return { ...baseResult, status: 'NOT_BOOKED', message: `${label} 수업 예약 내역 없음 ("${row.actionText}")` };
+        }
+        
+        const kind = row.status === 'WAITLISTED' ? '대기예약' : '예약';
+        await this.log(`🗑️ ${date} ${label} ${kind} 취소 대상 확인: "${row.actionText}"`);
+        
+        if (this.testMode) {
+            await this.log('🧪 테스트 모드 - 취소 클릭 생략');
+            return { ...baseResult, status: 'CANCEL_TEST', previousStatus: row.status, message: `테스트 모드 - ${label} ${kind} 취소 생략` };
+        }
+        
+        // 취소 확인(confirm)과 결과 알림(alert) 모두 수락
+        const dialogs = [];
+        const dialogHandler = async (dialog) => {
+            const message = dialog.message();
+            dialogs.push(message);
+            await this.recordDialog(message);
+            await dialog.accept();
+        };
+        page.on('dialog', dialogHandler);
+        
+        try {
+            const clicked = await page.evaluate((rowIndex, cellIndex) => {
+                const cell = document.querySelectorAll('tr')[rowIndex].querySelectorAll('td')[cellIndex];
+                const links = Array.from(cell.querySelectorAll('a'));
+                const link = links.find(item => /취소|삭제/.test(item.textContent)) || links[0];
+                if (!link) {
+                    return false;
+                }
+                link.click();
+                return true;
+            }, row.index, row.actionIndex);
+            
+            if (!clicked) {
+                return { ...baseResult, status: 'CANCEL_FAILED', previousStatus: row.status, message: '취소 버튼을 찾을 수 없음' };
+            }
+            
+            await page.waitForTimeout(2000);
+            await this.takeScreenshot(page, '08-cancel-result');
+            
+            // 시간표가 보이면 행 상태로, 아니면 알림 메시지로 취소 확인
+            const after = findSlotRow(parseTimetableRows(await page.evaluate(extractRawRows)), target.slot);
+            const cancelled = after ?
+                after.status !== 'BOOKED' && after.status !== 'WAITLISTED' :
+                dialogs.some(message => classifyMessage(message).type === 'CANCELLED');
+            
+            return {
+                ...baseResult,
+                timestamp: this.getTimestamp(),
+                status: cancelled ? 'CANCELLED' : 'CANCEL_FAILED',
+                previousStatus: row.status,
+                message: cancelled ? `${label} ${kind} 취소 완료` : `${label} ${kind} 취소 확인 실패`,
+                dialogs,
+                unknownDialogs: this.unknownDialogs
             };
+        } finally {
+            page.off('dialog', dialogHandler);
+        }
+    }
+
+    // 취소 명령 실행 (CANCELLED / NOT_BOOKED / CANCEL_FAILED 결과 반환)
+    async runCancel(options) {
+        await fs.mkdir('screenshots', { recursive: true });
+        await fs.mkdir('logs', { recursive: true });
+        await this.log(`=== 필라테스 예약 취소 ===`);
+        
+        const booker = this.selectBooker(options.account);
+        const target = {
+            date: this.parseDateInput(options.date),
+            slot: options.time ? normalizeSlot({ time: options.time }) : booker.slot
+        };
+        const resultFile = this.testMode ? 'test-cancel-result.json' : 'cancel-result.json';
+        
+        const browser = await this.launchBrowser();
+        let result;
+        try {
+            const context = await browser.createIncognitoBrowserContext();
+            const page = await booker.newPage(context);
+            await booker.login(page);
+            result = await booker.cancelReservation(page, target);
+        } catch (error) {
+            await booker.log(`❌ 예약 취소 오류: ${error.message}`);
+            result = {
+                timestamp: this.getTimestamp(),
+                date: formatDate(target.date),
+                class: target.slot.label,
+                status: 'CANCEL_FAILED',
+                message: error.message,
+                screenshot: booker.lastErrorScreenshot
+            };
+        } finally {
+            await browser.close();
+        }
+        
+        if (this.bookers.length > 1) {
+            result = { account: booker.accountName, ...result };
+        }
+        await this.log(`${result.status === 'CANCEL_FAILED' ? '❌' : '✅'} ${result.message}`);
+        return this.saveResult(result, resultFile, null);
+    }
+
+    // 캘린더 페이지 다시 열기 (monthOffset: 0=이번 달, 1=다음 달)
+    async openCalendar(page, monthOffset = 0) {
+        await page.goto(this.calendarUrl, {
+            waitUntil: 'domcontentloaded',
+            timeout: this.optimizations.fastTimeout
+        });
+        
+        for (let i = 0; i < monthOffset; i++) {
+            const moved = await page.evaluate(clickNextMonth);
+            if (!moved) {
+                throw new Error('다음 달 이동 버튼을 찾을 수 없음');
+            }
+            await page.waitForTimeout(1500);
+        }
+    }
+
+    // 캘린더를 대상 연/월({ year, month })로 열기 (예약과 같이 표시 연/월 기준으로 이동)
+    // 표시 연/월을 읽을 수 없는 사이트면 다음 달 버튼을 fallbackOffset번 눌러 이동
+    async openCalendarMonth(page, target, fallbackOffset) {
+        await this.openCalendar(page);
+        const shown = await this.showCalendarMonth(page, target);
+        if (!shown) {
+            await this.openCalendar(page, fallbackOffset);
+            return;
+        }
+        if (monthsBetween(shown, target) !== 0) {
+            throw new Error(`캘린더를 ${target.year}년 ${target.month}월로 이동하지 못함 (표시: ${shown.year}년 ${shown.month}월)`);
+        }
+    }
+
+    // 이번 달/다음 달 캘린더의 * 표시 날짜를 열어 내 예약 행 수집
+    async listReservations(page) {
+        const kstNow = kstParts(this.clock.now());
+        const reservations = [];
+        
+        for (let offset = 0; offset <= 1; offset++) {
+            const target = addMonths(kstNow, offset);
+            const { year, month } = target;
+            
+            // 이전/다음 달 칸의 * 는 제외 (표시 중인 대상 달 칸만)
+            await this.openCalendarMonth(page, target, offset);
+            const starred = parseCalendarCells(await page.evaluate(extractCalendarCells)).filter(cell => cell.starred && cell.monthOffset === 0);
+            await this.log(`📅 ${year}년 ${month}월 예약 표시(*) ${starred.length}일${starred.length ? `: ${starred.map(cell => cell.day).join(', ')}` : ''}`);
+            
+            for (const cell of starred) {
+                await this.openCalendarMonth(page, target, offset);
+                await page.evaluate((index) => {
+                    const td = document.querySelectorAll('td')[index];
+                    (td.querySelector('a') || td).click();
+                }, cell.index);
+                await page.waitForTimeout(2000);
+                await page.waitForSelector('table', { timeout: this.optimizations.fastTimeout }).catch(() => {});
+                
+                const rows = parseTimetableRows(await page.evaluate(extractRawRows));
+                for (const row of rows) {
+                    if (row.status !== 'BOOKED' && row.status !== 'WAITLISTED') {
+                        continue;
+                    }
+                    reservations.push({
+                        date: `${year}-${month}-${cell.day}`,
+                        time: row.time,
+                        status: row.status === 'WAITLISTED' ? '대기완료' : '예약완료',
+                        details: row.details.join(' ')
+                    });
+                }
+            }
+        }
+        
+        return reservations;
+    }
+
+    // 예약 목록 명령 실행 (표 출력 또는 --json, reservations.json 저장)
+    // 결과 반환: { timestamp, count, reservations, errors: 조회에 실패한 계정 }
+    async runList(options) {
+        await fs.mkdir('screenshots', { recursive: true });
+        await fs.mkdir('logs', { recursive: true });
+        await this.log(`=== 필라테스 예약 목록 조회 ===`);
+        
+        const bookers = options.account ? [this.selectBooker(options.account)] : this.bookers;
+        const browser = await this.launchBrowser();
+        const reservations = [];
+        const errors = [];
+        
+        try {
+            await Promise.all(bookers.map(async booker => {
+                const context = await browser.createIncognitoBrowserContext();
+                try {
+                    const page = await booker.newPage(context);
+                    await booker.login(page);
+                    const items = await booker.listReservations(page);
+                    reservations.push(...items.map(item => (this.bookers.length > 1 ? { account: booker.accountName, ...item } : item)));
+                } catch (error) {
+                    await booker.log(`❌ 예약 목록 조회 실패: ${error.message}`);
+                    errors.push({ account: booker.accountName, message: error.message });
+                } finally {
+                    await context.close().catch(() => {});
+                }
+            }));
+        } finally {
+            await browser.close();
+        }
+        
+        reservations.sort((a, b) => `${dateKey(a.date)} ${a.time}`.localeCompare(`${dateKey(b.date)} ${b.time}`));
+        
+        const listResult = {
+            timestamp: this.getTimestamp(),
+            count: reservations.length,
+            reservations,
+            errors
+        };
+        await fs.writeFile('reservations.json', JSON.stringify(listResult, null, 2));
+        
+        if (options.json) {
+            console.log(JSON.stringify(listResult, null, 2));
+        } else if (reservations.length > 0) {
+            console.table(reservations);
+        } else {
+            await this.log('📭 예약 내역 없음');
+        }
+        
+        return listResult;
+    }
+
+    // 날짜 시간표 전체 행을 count회(interval초 간격, 새로고침) 스냅샷으로 수집
+    async captureTimetable(page, dateInfo, options) {
+        const date = formatDate(dateInfo);
+        const snapshots = [];
+        
+        await this.navigateToBookingPage(page, dateInfo);
+        for (let i = 0; i < options.count; i++) {
+            if (i > 0) {
+                await this.clock.sleep(options.interval * 1000);
+                await page.reload({ waitUntil: 'domcontentloaded', timeout: this.optimizations.fastTimeout });
+            }
+            await page.waitForSelector('table', { timeout: this.optimizations.fastTimeout }).catch(() => {});
             
-            await this.saveResult(resultInfo);
-            process.exit(1);
+            const rows = parseTimetableRows(await page.evaluate(extractRawRows));
+            const snapshot = buildSnapshot(this.getTimestamp(), date, rows);
+            snapshots.push(snapshot);
+            await fs.appendFile(options.file, JSON.stringify(snapshot) + '\n');
+            await this.log(`📸 시간표 스냅샷 ${i + 1}/${options.count}: ${date} ${rows.length}개 수업 ` +
+                `(예약 가능 ${snapshot.rows.filter(row => row.status === 'AVAILABLE').length}개)`);
         }
+        
+        return snapshots;
     }
-}
 
-// 환경변수 확인
-if (!process.env.PILATES_USERNAME || !process.env.PILATES_PASSWORD) {
-    console.error('❌ 필수 환경변수 누락: PILATES_USERNAME, PILATES_PASSWORD');
-    console.error('💡 .env 파일을 확인하거나 GitHub Secrets를 설정하세요');
-    process.exit(1);
+    // 시간표 스냅샷 명령: 대상 날짜(기본: 예약 대상 날짜) 전체 행 저장
+    // 결과 반환: { timestamp, date, status: SNAPSHOT_OK / SNAPSHOT_FAILED, message, snapshots }
+    async runSnapshot(options) {
+        await fs.mkdir('screenshots', { recursive: true });
+        await fs.mkdir('logs', { recursive: true });
+        await this.log(`=== 필라테스 시간표 스냅샷 ===`);
+        
+        // 시간표는 계정과 무관하므로 다중 계정이면 첫 계정 사용
+        const booker = options.account ? this.selectBooker(options.account) : this.bookers[0];
+        const dateInfo = options.date ? this.parseDateInput(options.date) : this.getTargetDate();
+        
+        const date = formatDate(dateInfo);
+        
+        const browser = await this.launchBrowser();
+        let snapshots;
+        try {
+            const context = await browser.createIncognitoBrowserContext();
+            const page = await booker.newPage(context);
+            await booker.login(page);
+            snapshots = await booker.captureTimetable(page, dateInfo, options);
+        } catch (error) {
+            await booker.log(`❌ 시간표 스냅샷 실패: ${error.message}`);
+            return {
+                timestamp: this.getTimestamp(),
+                date,
+                status: 'SNAPSHOT_FAILED',
+                message: error.message,
+                snapshots: []
+            };
+        } finally {
+            await browser.close();
+        }
+        
+        const latest = snapshots[snapshots.length - 1];
+        if (latest.rows.length > 0) {
+            console.table(latest.rows.map(({ time, instructor, room, statusText }) => ({ time, instructor, room, statusText })));
+        } else {
+            await this.log(`📭 ${latest.date} 시간표에 수업 없음`);
+        }
+        if (snapshots.length > 1) {
+            console.table(summarizeSnapshots(snapshots));
+        }
+        
+        return {
+            timestamp: this.getTimestamp(),
+            date,
+            status: 'SNAPSHOT_OK',
+            message: `스냅샷 ${snapshots.length}개 저장`,
+            snapshots
+        };
+    }
+
+    // 로그인 확인 명령: 계정별로 로그인만 해 보고 결과를 login-check.json에 저장 후 반환
+    // 자정 전에 계정 정보 오류를 발견하도록 실패 시 알림 전송
+    async runCheckLogin(options) {
+        await fs.mkdir('screenshots', { recursive: true });
+        await fs.mkdir('logs', { recursive: true });
+        await this.log(`=== 필라테스 로그인 확인 ===`);
+        
+        const bookers = options.account ? [this.selectBooker(options.account)] : this.bookers;
+        const browser = await this.launchBrowser();
+        const checks = new Map();
+        
+        try {
+            await Promise.all(bookers.map(async booker => {
+                const context = await browser.createIncognitoBrowserContext();
+                try {
+                    const page = await booker.newPage(context);
+                    await booker.login(page);
+                    checks.set(booker, { status: 'LOGIN_OK', message: '로그인 확인 완료' });
+                } catch (error) {
+                    checks.set(booker, {
+                        status: error.loginFailed ? 'LOGIN_FAILED' : 'LOGIN_ERROR',
+                        message: error.message,
+                        screenshot: booker.lastErrorScreenshot
+                    });
+                } finally {
+                    await context.close().catch(() => {});
+                }
+            }));
+        } finally {
+            await browser.close();
+        }
+        
+        const accounts = bookers.map(booker => ({
+            account: booker.accountName,
+            username: booker.username,
+            ...checks.get(booker)
+        }));
+        const failed = accounts.filter(item => item.status !== 'LOGIN_OK');
+        const status = failed.length === 0 ? 'LOGIN_OK' :
+            (failed.some(item => item.status === 'LOGIN_FAILED') ? 'LOGIN_FAILED' : 'LOGIN_ERROR');
+        
+        const checkResult = {
+            timestamp: this.getTimestamp(),
+            status,
+            message: failed.length === 0 ? `${accounts.length}개 계정 로그인 확인 완료` :
+                failed.map(item => `${item.account}: ${item.message}`).join(', '),
+            accounts,
+            screenshot: failed.length > 0 ? failed[0].screenshot || null : null
+        };
+        await fs.writeFile('login-check.json', JSON.stringify(checkResult, null, 2));
+        
+        for (const item of accounts) {
+            await this.log(`${item.status === 'LOGIN_OK' ? '✅' : '❌'} ${item.account} (${item.username}): ${item.message}`);
+        }
+        
+        if (failed.length > 0) {
+            await this.notify(checkResult);
+        }
+        
+        return checkResult;
+    }
+
+    // 메인 실행 로직 (저장한 결과 반환, 다중 계정이면 계정별 결과를 묶은 요약)
+    async run() {
+        const skipResult = await this.init();
+        if (skipResult) {
+            return skipResult;
+        }
+        
+        const activeBookers = this.bookers.filter(booker => booker.active);
+        const prewarm = this.prewarmEnabled && !this.immediateMode;
+        const sessions = new Map();
+        const bookedResults = new Map();
+        let browser = null;
+        
+        try {
+            // 사전 준비 (목표 시각 전에 브라우저 실행/로그인/날짜 열기)
+            if (prewarm) {
+                await this.waitUntilPrewarmTime();
+                for (const booker of this.bookers) {
+                    booker.clockOffsetMs = this.clockOffsetMs;
+                }
+                browser = await this.launchBrowser();
+                await Promise.all(activeBookers.map(async booker => {
+                    const session = await booker.prepareSession(browser);
+                    if (session) {
+                        sessions.set(booker, session);
+                    }
+                }));
+            }
+            
+            // 정밀 대기 실행
+            await this.waitUntilTargetTime();
+            for (const booker of this.bookers) {
+                booker.clockOffsetMs = this.clockOffsetMs;
+                booker.targetInstant = this.targetInstant;
+            }
+            
+            if (!browser) {
+                browser = await this.launchBrowser();
+            }
+            
+            // 계정별 격리 컨텍스트에서 동시 예약
+            await Promise.all(activeBookers.map(async booker => {
+                bookedResults.set(booker, await booker.bookWithRetries(browser, sessions.get(booker)));
+            }));
+        } finally {
+            for (const session of sessions.values()) {
+                clearInterval(session.keepAlive);
+            }
+            if (browser) {
+                await browser.close();
+            }
+        }
+        
+        const results = this.bookers.map(booker => bookedResults.get(booker) || booker.buildSkipResult());
+        
+        if (this.bookers.length === 1) {
+            return this.saveResult(results[0]);
+        }
+        this.bookers.forEach((booker, index) => {
+            results[index] = { account: booker.accountName, ...results[index] };
+        });
+        return this.saveResult(this.buildMultiAccountResult(results));
+    }
 }
 
-// 실행
-const booking = new PreciseTimingPilatesBooking();
-booking.run().catch(error => {
-    console.error('💥 치명적 오류:', error);
-    process.exit(1);
-});
+module.exports = {
+    PreciseTimingPilatesBooking
+};
+
+// node booking-script.js [명령] 으로 직접 실행하던 방식 유지
+if (require.main === module) {
+    require('./bin/pilates').run(process.argv.slice(2));
+}
@@ -0,0 +1,105 @@
+// 예약 계정 목록
+// 우선순위: PILATES_ACCOUNTS(JSON 문자열, GitHub Secret용) → 설정 파일 accounts → ACCOUNTS_FILE/accounts.json → PILATES_USERNAME/PILATES_PASSWORD
+const fs = require('fs');
+const path = require('path');
+const { normalizePreferences } = require('./class-slot');
+
+const DEFAULT_ACCOUNTS_FILE = 'accounts.json';
+const MISSING_ACCOUNTS = '필수 환경변수 누락: PILATES_USERNAME, PILATES_PASSWORD (또는 PILATES_ACCOUNTS, accounts.json, 설정 파일 accounts)';
+
+// 계정 항목 검증 및 정규화
+function normalizeAccount(entry, index, source) {
+    const where = `${source} [${index}]`;
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`${where}: 계정 항목 형식 오류`);
+    }
+    if (!entry.username || !entry.password) {
+        throw new Error(`${where}: username, password가 필요합니다`);
+    }
+
+    // slot: 수업 객체 하나 또는 선호 순서 배열
+    let slots = null;
+    if (entry.slot) {
+        try {
+            slots = normalizePreferences(entry.slot);
+        } catch (error) {
+            throw new Error(`${where}: ${error.message}`);
+        }
+    }
+
+    return {
+        name: String(entry.name || entry.username),
+        username: String(entry.username),
+        password: String(entry.password),
+        slots,
+        schedule: entry.schedule ? String(entry.schedule) : null
+    };
+}
+
+function parseAccounts(raw, source) {
+    const list = Array.isArray(raw) ? raw : (raw && raw.accounts);
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`${source}: 계정 목록이 비어 있습니다`);
+    }
+
+    const accounts = list.map((entry, index) => normalizeAccount(entry, index, source));
+    const names = new Set();
+    for (const account of accounts) {
+        if (names.has(account.name)) {
+            throw new Error(`${source}: 계정 이름 중복 "${account.name}"`);
+        }
+        names.add(account.name);
+    }
+    return accounts;
+}
+
+function parseJsonAccounts(text, source) {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${source}: JSON 파싱 실패 - ${error.message}`);
+    }
+    return parseAccounts(raw, source);
+}
+
+// 계정 목록 결정 (계정 정보가 없으면 null)
+// configured: 설정 파일의 accounts 항목 { list, source } (accounts.json보다 우선)
+function resolveAccounts(env = process.env, configured = null) {
+    if (env.PILATES_ACCOUNTS) {
+        return parseJsonAccounts(env.PILATES_ACCOUNTS, 'PILATES_ACCOUNTS');
+    }
+
+    if (configured) {
+        return parseAccounts(configured.list, configured.source);
+    }
+
+    const file = env.ACCOUNTS_FILE || DEFAULT_ACCOUNTS_FILE;
+    if (fs.existsSync(path.resolve(file))) {
+        return parseJsonAccounts(fs.readFileSync(path.resolve(file), 'utf8'), file);
+    }
+
+    if (env.PILATES_USERNAME && env.PILATES_PASSWORD) {
+        return [normalizeAccount({
+            username: env.PILATES_USERNAME,
+            password: env.PILATES_PASSWORD
+        }, 0, 'PILATES_USERNAME')];
+    }
+
+    return null;
+}
+
+function loadAccounts(env = process.env, configured = null) {
+    const accounts = resolveAccounts(env, configured);
+    if (!accounts) {
+        throw new Error(MISSING_ACCOUNTS);
+    }
+    return accounts;
+}
+
+module.exports = {
+    MISSING_ACCOUNTS,
+    parseAccounts,
+    resolveAccounts,
+    loadAccounts
+};
@@ -0,0 +1,129 @@
+// 예약 캘린더 파싱
+// 날짜 셀 텍스트: "12", "12*"(내 예약 있음), "12 X"(예약 불가)
+// 월말에는 대상 날짜가 다음 달이므로 표시 중인 연/월을 읽고 날짜 셀도 어느 달 칸인지 구분한다
+
+// 브라우저 컨텍스트에서 실행: 모든 td의 텍스트와 링크 여부 추출
+function extractCalendarCells() {
+    return Array.from(document.querySelectorAll('td')).map((cell, index) => ({
+        index,
+        text: cell.textContent.trim(),
+        hasLink: !!cell.querySelector('a')
+    }));
+}
+
+// 원시 셀 → 날짜 셀 (숫자로 시작하고 시간 표기가 아닌 셀만)
+// monthOffset: 표시 중인 달 기준 칸의 달 (-1: 앞쪽 이전 달 날짜, 0: 이번 달, 1: 뒤쪽 다음 달 날짜)
+function parseCalendarCells(rawCells) {
+    const days = [];
+    let monthOffset = -1;
+
+    for (const cell of rawCells) {
+        const match = /^(\d{1,2})(?=\s|$|[^0-9:])/.exec(cell.text);
+        if (!match) {
+            continue;
+        }
+
+        const day = parseInt(match[1], 10);
+        if (day < 1 || day > 31) {
+            continue;
+        }
+
+        // 1일이 나올 때마다 다음 달 칸 (1일 앞의 날짜는 이전 달)
+        if (day === 1) {
+            monthOffset = Math.min(monthOffset + 1, 1);
+        }
+
+        days.push({
+            index: cell.index,
+            day,
+            monthOffset,
+            starred: cell.text.includes('*'),
+            closed: cell.text.includes('X'),
+            hasLink: cell.hasLink,
+            text: cell.text
+        });
+    }
+
+    return days;
+}
+
+// 브라우저 컨텍스트에서 실행: 표시 중인 연/월을 찾을 텍스트 (제목, 본문 앞부분, 주소)
+function extractCalendarMonth() {
+    return {
+        title: document.title,
+        text: (document.body ? document.body.innerText : '').slice(0, 1000),
+        url: location.href
+    };
+}
+
+// "2026년 11월" 표기(제목 → 본문) 또는 주소의 ym=2026-11 → { year, month } (찾지 못하면 null)
+function parseCalendarMonth(raw) {
+    if (!raw) {
+        return null;
+    }
+
+    for (const text of [raw.title, raw.text]) {
+        const match = /(\d{4})\s*년\s*(\d{1,2})\s*월/.exec(text || '');
+        if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+            return { year: Number(match[1]), month: Number(match[2]) };
+        }
+    }
+
+    const param = /[?&]ym=(\d{4})-?(\d{1,2})(?:&|#|$)/.exec(raw.url || '');
+    if (param && Number(param[2]) >= 1 && Number(param[2]) <= 12) {
+        return { year: Number(param[1]), month: Number(param[2]) };
+    }
+    return null;
+}
+
+// from → to 개월 수 ({ year, month })
+function monthsBetween(from, to) {
+    return (to.year * 12 + to.month) - (from.year * 12 + from.month);
+}
+
+// 캘린더 주소의 ym 파라미터를 대상 연/월로 바꾼 주소 (다음 달 버튼이 없을 때)
+function calendarMonthUrl(url, target) {
+    const next = new URL(url);
+    next.searchParams.set('ym', `${target.year}-${String(target.month).padStart(2, '0')}`);
+    return next.href;
+}
+
+// 날짜 셀 목록에서 대상 날짜 { year, month, day } 셀 찾기 (없으면 null)
+// shown: 표시 중인 연/월 (모르면 이번 달 칸만 비교)
+function findDateCell(cells, target, shown) {
+    const offset = shown ? monthsBetween(shown, target) : 0;
+    return cells.find(cell => cell.day === target.day && cell.monthOffset === offset) || null;
+}
+
+// 다음 달 이동 링크/버튼 판정 ({ text, title }, HTTP 경로용 - clickNextMonth와 같은 기준)
+function isNextMonthControl(control) {
+    const text = (control.text || '').trim();
+    return /^(다음\s*달|다음|▶|►|>|›|»)$/.test(text) || /다음\s*달/.test(control.title || '');
+}
+
+// 브라우저 컨텍스트에서 실행: 다음 달 이동 링크/버튼 클릭 (isNextMonthControl과 같은 기준)
+function clickNextMonth() {
+    const controls = Array.from(document.querySelectorAll('a, button, input[type="button"]'));
+    const next = controls.find(element => {
+        const text = (element.value || element.textContent || '').trim();
+        return /^(다음\s*달|다음|▶|►|>|›|»)$/.test(text) || /다음\s*달/.test(element.title || '');
+    });
+
+    if (!next) {
+        return false;
+    }
+    next.click();
+    return true;
+}
+
+module.exports = {
+    extractCalendarCells,
+    parseCalendarCells,
+    extractCalendarMonth,
+    parseCalendarMonth,
+    monthsBetween,
+    calendarMonthUrl,
+    findDateCell,
+    isNextMonthControl,
+    clickNextMonth
+};
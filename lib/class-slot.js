@@ -0,0 +1,244 @@
+// 수업 슬롯 설정 및 시간표 파싱
+// 시간표 행은 브라우저에서 셀 텍스트만 추출하고, 해석/매칭은 Node 쪽에서 수행한다
+
+const ACTION_KEYWORDS = ['예약', '대기', '완료', '불가', '삭제', '취소'];
+
+// 시간 텍스트 해석: "오전 9:30", "19:30", "7:30 PM" → { time: '09:30', period: 'AM' }
+function parseTimeText(text, fallbackPeriod = null) {
+    const match = /(\d{1,2})\s*:\s*(\d{2})/.exec(text || '');
+    if (!match) {
+        return null;
+    }
+
+    let hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2], 10);
+    if (hour > 23 || minute > 59) {
+        return null;
+    }
+
+    let marker = null;
+    if (/오후|\bPM\b/i.test(text)) {
+        marker = 'PM';
+    } else if (/오전|\bAM\b/i.test(text)) {
+        marker = 'AM';
+    } else if (fallbackPeriod) {
+        marker = fallbackPeriod;
+    }
+
+    // 12시간제 표기를 24시간제로 변환
+    if (marker === 'PM' && hour < 12) {
+        hour += 12;
+    } else if (marker === 'AM' && hour === 12) {
+        hour = 0;
+    }
+
+    return {
+        time: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`,
+        period: hour >= 12 ? 'PM' : 'AM'
+    };
+}
+
+// 슬롯 설정 정규화 (time 필수, period/instructor/room/waitlist 선택)
+// waitlist: false면 대기예약은 거절하고 다음 선호 수업으로 넘어감 (기본 true)
+function normalizeSlot(slot = {}) {
+    const period = slot.period ? String(slot.period).toUpperCase() : null;
+    if (period && period !== 'AM' && period !== 'PM') {
+        throw new Error(`잘못된 오전/오후 설정: ${slot.period} (AM 또는 PM)`);
+    }
+
+    const parsed = parseTimeText(String(slot.time || ''), period);
+    if (!parsed) {
+        throw new Error(`잘못된 수업 시간 형식: ${slot.time} (예: 09:30, 19:30, 오후 7:30)`);
+    }
+    if (period && parsed.period !== period) {
+        throw new Error(`수업 시간(${slot.time})과 오전/오후 설정(${period})이 일치하지 않음`);
+    }
+
+    const normalized = {
+        time: parsed.time,
+        period: parsed.period,
+        instructor: slot.instructor ? String(slot.instructor).trim() : null,
+        room: slot.room ? String(slot.room).trim() : null,
+        waitlist: slot.waitlist !== false
+    };
+    normalized.label = slotLabel(normalized);
+    normalized.tag = normalized.time.replace(':', '');
+
+    return normalized;
+}
+
+// 선호 수업 목록 정규화: 단일 슬롯 객체 또는 우선순위 순서의 배열
+function normalizePreferences(entry) {
+    const list = Array.isArray(entry) ? entry : [entry];
+    if (list.length === 0) {
+        throw new Error('선호 수업 목록이 비어 있습니다');
+    }
+    return list.map((slot, index) => {
+        try {
+            return normalizeSlot(slot);
+        } catch (error) {
+            throw new Error(list.length > 1 ? `${index + 1}순위 - ${error.message}` : error.message);
+        }
+    });
+}
+
+// 환경변수 기반 슬롯 (기본값 09:30)
+function slotFromEnv(env = process.env) {
+    return normalizeSlot({
+        time: env.CLASS_TIME || '09:30',
+        period: env.CLASS_PERIOD || null,
+        instructor: env.CLASS_INSTRUCTOR || null,
+        room: env.CLASS_ROOM || null
+    });
+}
+
+// 로그/결과용 슬롯 이름: "09:30", "19:30 (김강사, A룸)"
+function slotLabel(slot) {
+    const extras = [slot.instructor, slot.room].filter(Boolean);
+    return extras.length > 0 ? `${slot.time} (${extras.join(', ')})` : slot.time;
+}
+
+// 액션 셀 텍스트 → 상태
+function classifyAction(actionText) {
+    if (actionText.includes('대기완료')) {
+        return 'WAITLISTED';
+    }
+    if (actionText.includes('예약완료') || actionText.includes('삭제') || actionText.includes('취소')) {
+        return 'BOOKED';
+    }
+    if (actionText.includes('예약하기')) {
+        return 'AVAILABLE';
+    }
+    if (actionText.includes('대기예약')) {
+        return 'WAITLIST_OPEN';
+    }
+    if (actionText.includes('예약불가')) {
+        return 'UNAVAILABLE';
+    }
+    return 'UNKNOWN';
+}
+
+// 브라우저 컨텍스트에서 실행: 모든 tr의 셀 텍스트와 링크 여부 추출
+function extractRawRows() {
+    return Array.from(document.querySelectorAll('tr')).map((row, index) => ({
+        index,
+        cells: Array.from(row.querySelectorAll('td')).map(cell => ({
+            text: cell.textContent.trim(),
+            hasLink: !!cell.querySelector('a')
+        }))
+    }));
+}
+
+// 원시 행 → 구조화된 시간표 행
+function parseTimetableRows(rawRows) {
+    const rows = [];
+
+    for (const raw of rawRows) {
+        const cells = raw.cells || [];
+        if (cells.length < 3) {
+            continue;
+        }
+
+        const timeIndex = cells.findIndex(cell => parseTimeText(cell.text));
+        if (timeIndex === -1) {
+            continue;
+        }
+
+        // 시간 셀에 오전/오후 표기가 없으면 행 전체 텍스트에서 확인
+        const rowText = cells.map(cell => cell.text).join(' ');
+        const rowPeriod = /오후|\bPM\b/i.test(rowText) ? 'PM' : (/오전|\bAM\b/i.test(rowText) ? 'AM' : null);
+        const parsed = parseTimeText(cells[timeIndex].text, rowPeriod);
+
+        // 시간 셀 바로 다음 셀이 예약 관련 셀이면 사용, 아니면 마지막 셀
+        let actionIndex = cells.length - 1;
+        if (timeIndex < cells.length - 1) {
+            const nextText = cells[timeIndex + 1].text;
+            if (ACTION_KEYWORDS.some(keyword => nextText.includes(keyword))) {
+                actionIndex = timeIndex + 1;
+            }
+        }
+
+        const actionText = cells[actionIndex].text;
+        rows.push({
+            index: raw.index,
+            time: parsed.time,
+            period: parsed.period,
+            timeText: cells[timeIndex].text,
+            actionIndex,
+            actionText,
+            hasActionLink: !!cells[actionIndex].hasLink,
+            status: classifyAction(actionText),
+            details: cells
+                .filter((cell, i) => i !== timeIndex && i !== actionIndex)
+                .map(cell => cell.text)
+                .filter(Boolean),
+            text: rowText
+        });
+    }
+
+    return rows;
+}
+
+// 슬롯 조건(시간, 강사/룸 텍스트)에 맞는 행 검색
+function findSlotRow(rows, slot) {
+    return rows.find(row => {
+        if (row.time !== slot.time) {
+            return false;
+        }
+        const detailText = row.details.join(' ');
+        if (slot.instructor && !detailText.includes(slot.instructor)) {
+            return false;
+        }
+        if (slot.room && !detailText.includes(slot.room)) {
+            return false;
+        }
+        return true;
+    }) || null;
+}
+
+// 오픈 대기 폴링용 시간표 상태 (선호 수업 중 하나라도 열렸는지)
+// OPEN: 예약하기/대기예약 링크 또는 이미 예약됨, FULL: 정원 초과/예약불가,
+// GONE: 시간표는 열렸지만 수업 없음, NOT_OPEN: 시간표 비어 있음 또는 예약 버튼 미표시
+function classifyOpening(rows, slots) {
+    if (rows.length === 0) {
+        return { state: 'NOT_OPEN', message: '시간표 미오픈 (수업 없음)' };
+    }
+
+    const found = slots
+        .map(slot => ({ slot, row: findSlotRow(rows, slot) }))
+        .filter(item => item.row);
+    if (found.length === 0) {
+        return { state: 'GONE', message: `시간표에 ${slots.map(slot => slot.label).join(', ')} 수업 없음` };
+    }
+
+    const open = found.find(({ slot, row }) =>
+        row.status === 'BOOKED' || row.status === 'WAITLISTED' ||
+        (row.hasActionLink && (row.status === 'AVAILABLE' || (row.status === 'WAITLIST_OPEN' && slot.waitlist))));
+    if (open) {
+        return { state: 'OPEN', message: `${open.slot.label} "${open.row.actionText}"` };
+    }
+
+    const pending = found.find(({ row }) => row.status === 'UNKNOWN' ||
+        ((row.status === 'AVAILABLE' || row.status === 'WAITLIST_OPEN') && !row.hasActionLink));
+    if (pending) {
+        return { state: 'NOT_OPEN', message: `${pending.slot.label} 예약 버튼 미표시 ("${pending.row.actionText}")` };
+    }
+
+    return {
+        state: 'FULL',
+        message: found.map(({ slot, row }) => `${slot.label} "${row.actionText}"`).join(', ')
+    };
+}
+
+module.exports = {
+    parseTimeText,
+    normalizeSlot,
+    normalizePreferences,
+    slotFromEnv,
+    slotLabel,
+    classifyAction,
+    extractRawRows,
+    parseTimetableRows,
+    findSlotRow,
+    classifyOpening
+};
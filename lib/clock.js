@@ -0,0 +1,67 @@
+// 시계 (현재 시각 + 대기)와 목표 시각까지 남은 시간 계산
+// 예약 클래스/자정 대기 스크립트에 주입해 대기 로직을 실제 시간 없이 실행할 수 있도록 분리
+const { kstParts, kstInstant } = require('./kst');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const systemClock = {
+    // 현재 시각 (epoch ms)
+    now() {
+        return Date.now();
+    },
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+};
+
+// 테스트용 가상 시계: sleep()은 기다리지 않고 시각만 앞으로 옮긴다 (한 흐름씩 순서대로 대기하는 경우 기준)
+class SimulatedClock {
+    // start: epoch ms 또는 Date.parse()가 읽을 수 있는 문자열 ("2026-10-19T23:55:00+09:00")
+    constructor(start) {
+        this.time = typeof start === 'number' ? start : Date.parse(start);
+        if (!Number.isFinite(this.time)) {
+            throw new Error(`잘못된 시작 시각: ${start}`);
+        }
+        this.sleeps = [];
+    }
+
+    now() {
+        return this.time;
+    }
+
+    async sleep(ms) {
+        const duration = Math.max(0, Number(ms) || 0);
+        this.sleeps.push(duration);
+        this.time += duration;
+    }
+
+    // 대기 없이 시간 경과 (대기 중 다른 작업이 걸린 시간 흉내)
+    advance(ms) {
+        this.time += ms;
+    }
+
+    // 지금까지 sleep()으로 흘려보낸 시간
+    get sleptMs() {
+        return this.sleeps.reduce((sum, ms) => sum + ms, 0);
+    }
+}
+
+// 시각(epoch ms 또는 Date)부터 한국 시각 기준 목표 시각("HH:MM:SS")까지 남은 ms, 지났으면 음수
+// 23시대에 오전 목표 시각이면 자정 직전에 미리 실행한 것으로 보고 다음날 목표로 계산
+function msUntilTarget(instant, targetTime) {
+    const [targetHour, targetMinute, targetSecond] = targetTime.split(':').map(Number);
+    const now = kstParts(instant);
+    let target = kstInstant(now.year, now.month, now.day, targetHour, targetMinute, targetSecond || 0);
+
+    if (now.hour >= 23 && targetHour < 12) {
+        target += DAY_MS;
+    }
+    return target - Number(instant);
+}
+
+module.exports = {
+    systemClock,
+    SimulatedClock,
+    msUntilTarget
+};
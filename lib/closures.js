@@ -0,0 +1,87 @@
+// 휴무일 목록: 공휴일(data/holidays-kr.json) + 센터 자체 휴무일(closures.json)
+// 예약 일정상 예약하는 날이라도 대상 날짜가 휴무일이면 HOLIDAY_SKIP으로 건너뛴다
+const fs = require('fs');
+const path = require('path');
+const { addDays, dateKey, parseDate } = require('./kst');
+
+const HOLIDAYS_FILE = path.join(__dirname, '..', 'data', 'holidays-kr.json');
+const DEFAULT_CLOSURES_FILE = 'closures.json';
+const MAX_RANGE_DAYS = 62;
+
+// 휴무일 파일 검증 → [{ date: "2026-10-05", reason, kind }]
+// dates: { "2026-10-05": "사유" } 또는 기간 { "2026-12-29~2027-01-01": "사유" }
+function parseClosures(raw, source, kind) {
+    if (!raw || typeof raw !== 'object' || !raw.dates || typeof raw.dates !== 'object' || Array.isArray(raw.dates)) {
+        throw new Error(`${source}: "dates" 항목이 필요합니다`);
+    }
+
+    const entries = [];
+    for (const [key, reason] of Object.entries(raw.dates)) {
+        if (typeof reason !== 'string' || !reason.trim()) {
+            throw new Error(`${source}: ${key} 사유는 문자열이어야 합니다`);
+        }
+
+        const parts = key.split('~');
+        const from = parseDate(parts[0]);
+        const to = parts.length === 2 ? parseDate(parts[1]) : from;
+        if (parts.length > 2 || !from || !to || dateKey(from) > dateKey(to)) {
+            throw new Error(`${source}: 잘못된 날짜 "${key}" (예: 2026-10-05 또는 2026-12-29~2027-01-01)`);
+        }
+
+        for (let date = from, count = 0; dateKey(date) <= dateKey(to); date = addDays(date, 1)) {
+            if (++count > MAX_RANGE_DAYS) {
+                throw new Error(`${source}: 기간 "${key}"이 ${MAX_RANGE_DAYS}일을 넘습니다`);
+            }
+            entries.push({ date: dateKey(date), reason: reason.trim(), kind });
+        }
+    }
+    return entries;
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file}: JSON 파싱 실패 - ${error.message}`);
+    }
+}
+
+// 휴무일 로드 → { sources, dates: Map("2026-10-05" → { date, reason, kind }) }
+// 설정(loadConfig)의 skipHolidays: 공휴일 포함 여부 (SKIP_HOLIDAYS=false로 끄기), closuresFile: 센터 휴무일 파일 (없으면 공휴일만)
+// 같은 날짜는 센터 휴무일 사유가 우선
+function loadClosures({ closuresFile: file, skipHolidays: holidays }) {
+    const closures = { sources: [], dates: new Map() };
+    const add = (entries, source) => {
+        closures.sources.push(source);
+        for (const entry of entries) {
+            closures.dates.set(entry.date, entry);
+        }
+    };
+
+    if (holidays) {
+        add(parseClosures(readJson(HOLIDAYS_FILE), 'data/holidays-kr.json', 'holiday'), '공휴일');
+    }
+    if (file && fs.existsSync(path.resolve(file))) {
+        add(parseClosures(readJson(path.resolve(file)), file, 'gym'), file);
+    }
+    return closures;
+}
+
+// 날짜 { year, month, day }의 휴무 항목 (휴무일이 아니면 null)
+function findClosure(closures, date) {
+    return closures ? closures.dates.get(dateKey(date)) || null : null;
+}
+
+// 스킵 사유 문구: "한글날 (공휴일)", "내부 공사 (센터 휴무)"
+function describeClosure(closure) {
+    return `${closure.reason} (${closure.kind === 'holiday' ? '공휴일' : '센터 휴무'})`;
+}
+
+module.exports = {
+    HOLIDAYS_FILE,
+    DEFAULT_CLOSURES_FILE,
+    parseClosures,
+    loadClosures,
+    findClosure,
+    describeClosure
+};
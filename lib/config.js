@@ -0,0 +1,258 @@
+// 설정 파일 (pilates.config.json) + 환경변수 덮어쓰기
+// 우선순위: 환경변수 → 설정 파일 → 기본값, 잘못된 값은 시작할 때 한꺼번에 오류로 알린다
+const fs = require('fs');
+const path = require('path');
+const { normalizePreferences, slotFromEnv } = require('./class-slot');
+const { DEFAULT_SCHEDULE_FILE } = require('./schedule');
+const { DEFAULT_CLOSURES_FILE } = require('./closures');
+const { resolveAccounts } = require('./accounts');
+const { DEFAULT_SNAPSHOT_FILE } = require('./snapshot');
+
+const DEFAULT_CONFIG_FILE = 'pilates.config.json';
+
+// key: 설정 파일 경로(섹션.이름), env: 덮어쓰는 환경변수
+const SETTINGS = [
+    { key: 'site.baseUrl', env: 'PILATES_BASE_URL', type: 'url', default: 'https://ad2.mbgym.kr' },
+    { key: 'site.engine', env: 'BOOKING_ENGINE', type: 'enum', values: ['browser', 'http'], default: 'browser' },
+
+    { key: 'accountsFile', env: 'ACCOUNTS_FILE', type: 'string', default: 'accounts.json' },
+    { key: 'scheduleFile', env: 'SCHEDULE_FILE', type: 'string', default: DEFAULT_SCHEDULE_FILE },
+    { key: 'closuresFile', env: 'CLOSURES_FILE', type: 'string', default: DEFAULT_CLOSURES_FILE },
+    { key: 'skipHolidays', env: 'SKIP_HOLIDAYS', type: 'boolean', default: true },
+
+    { key: 'mode.test', env: 'TEST_MODE', type: 'boolean', default: false },
+    { key: 'mode.immediate', env: 'IMMEDIATE_MODE', type: 'boolean', default: false },
+    { key: 'mode.debug', env: 'DEBUG', type: 'boolean', default: false },
+
+    { key: 'timing.targetTime', env: 'TARGET_TIME', type: 'time', default: '00:01:00' },
+    { key: 'timing.maxWaitMinutes', env: 'MAX_WAIT_MINUTES', type: 'integer', min: 1, default: 20 },
+    { key: 'timing.clockCalibration', env: 'CLOCK_CALIBRATION', type: 'boolean', default: true },
+    { key: 'timing.clockSamples', env: 'CLOCK_SAMPLES', type: 'integer', min: 1, max: 50, default: 8 },
+    { key: 'timing.prewarm', env: 'PREWARM', type: 'boolean', default: false },
+    { key: 'timing.prewarmMinutes', env: 'PREWARM_MINUTES', type: 'number', min: 0.1, max: 30, default: 3 },
+    { key: 'timing.keepAliveSeconds', env: 'PREWARM_KEEPALIVE_SECONDS', type: 'integer', min: 10, default: 60 },
+    { key: 'timing.pollUntilOpen', env: 'POLL_UNTIL_OPEN', type: 'boolean', default: false },
+    { key: 'timing.pollIntervalMs', env: 'POLL_INTERVAL_MS', type: 'integer', min: 50, default: 300 },
+    { key: 'timing.pollWindowSeconds', env: 'POLL_WINDOW_SECONDS', type: 'integer', min: 1, default: 120 },
+
+    { key: 'retries.count', env: 'RETRY_COUNT', type: 'integer', min: 1, max: 10, default: 2 },
+    { key: 'retries.delayMs', env: 'RETRY_DELAY_MS', type: 'integer', min: 0, default: 500 },
+    { key: 'retries.conflictBackoffMs', env: 'CONFLICT_BACKOFF_MS', type: 'integer', min: 0, default: 300 },
+    { key: 'retries.conflictBackoffMaxMs', env: 'CONFLICT_BACKOFF_MAX_MS', type: 'integer', min: 0, default: 2000 },
+    { key: 'retries.conflictBudgetMs', env: 'CONFLICT_BUDGET_MS', type: 'integer', min: 0, default: 10000 },
+
+    { key: 'artifacts.screenshotQuality', env: 'SCREENSHOT_QUALITY', type: 'integer', min: 1, max: 100, default: 50 },
+    { key: 'artifacts.historyFile', env: 'BOOKING_HISTORY_FILE', type: 'string', default: null },
+    { key: 'artifacts.snapshotFile', env: 'TIMETABLE_SNAPSHOT_FILE', type: 'string', default: DEFAULT_SNAPSHOT_FILE },
+
+    { key: 'watch.intervalSeconds', env: 'WATCH_INTERVAL_SECONDS', type: 'integer', min: 30, default: 300 },
+    { key: 'watch.durationMinutes', env: 'WATCH_DURATION_MINUTES', type: 'integer', min: 1, default: 60 },
+
+    { key: 'notifications.webhookUrl', env: 'NOTIFY_WEBHOOK_URL', type: 'url', default: null },
+    { key: 'notifications.smtpHost', env: 'NOTIFY_SMTP_HOST', type: 'string', default: null },
+    { key: 'notifications.smtpPort', env: 'NOTIFY_SMTP_PORT', type: 'integer', min: 1, max: 65535, default: 587 },
+    { key: 'notifications.smtpSecure', env: 'NOTIFY_SMTP_SECURE', type: 'boolean', default: null },
+    { key: 'notifications.smtpUser', env: 'NOTIFY_SMTP_USER', type: 'string', default: null },
+    { key: 'notifications.smtpPass', env: 'NOTIFY_SMTP_PASS', type: 'string', default: null },
+    { key: 'notifications.emailFrom', env: 'NOTIFY_EMAIL_FROM', type: 'string', default: null },
+    { key: 'notifications.emailTo', env: 'NOTIFY_EMAIL_TO', type: 'string', default: null },
+    { key: 'notifications.botToken', env: 'NOTIFY_BOT_TOKEN', type: 'string', default: null },
+    { key: 'notifications.botChatId', env: 'NOTIFY_BOT_CHAT_ID', type: 'string', default: null },
+    { key: 'notifications.botApi', env: 'NOTIFY_BOT_API', type: 'url', default: 'https://api.telegram.org' },
+    { key: 'notifications.on', env: 'NOTIFY_ON', type: 'list', default: null }
+];
+
+// 설정 파일에서 SETTINGS 외에 허용하는 최상위 항목
+const EXTRA_KEYS = ['accounts', 'slots'];
+
+// 값 하나 변환: fromEnv면 문자열을 해석, 아니면 JSON 값 그대로 검사 → 정규화된 값 (잘못되면 오류)
+function parseValue(setting, value, fromEnv) {
+    const describe = JSON.stringify(value);
+
+    switch (setting.type) {
+        case 'string':
+            if (typeof value !== 'string' || !value.trim()) {
+                throw new Error(`문자열이어야 합니다 (${describe})`);
+            }
+            return value.trim();
+
+        case 'url': {
+            let url;
+            try {
+                url = new URL(String(value));
+            } catch (error) {
+                url = null;
+            }
+            if (typeof value !== 'string' || !url || !/^https?:$/.test(url.protocol)) {
+                throw new Error(`http(s) 주소여야 합니다 (${describe})`);
+            }
+            return value.trim().replace(/\/$/, '');
+        }
+
+        case 'enum':
+            if (!setting.values.includes(value)) {
+                throw new Error(`${setting.values.join(', ')} 중 하나여야 합니다 (${describe})`);
+            }
+            return value;
+
+        case 'boolean':
+            if (fromEnv && (value === 'true' || value === 'false')) {
+                return value === 'true';
+            }
+            if (typeof value !== 'boolean') {
+                throw new Error(`true 또는 false여야 합니다 (${describe})`);
+            }
+            return value;
+
+        case 'integer':
+        case 'number': {
+            const number = fromEnv ? Number(value) : value;
+            const valid = typeof number === 'number' && Number.isFinite(number) &&
+                (setting.type === 'number' || Number.isInteger(number));
+            if (!valid || (fromEnv && !String(value).trim())) {
+                throw new Error(`${setting.type === 'integer' ? '정수' : '숫자'}여야 합니다 (${describe})`);
+            }
+            if ((setting.min !== undefined && number < setting.min) || (setting.max !== undefined && number > setting.max)) {
+                const range = setting.max === undefined ? `${setting.min} 이상` : `${setting.min ?? ''}~${setting.max}`;
+                throw new Error(`${range}이어야 합니다 (${describe})`);
+            }
+            return number;
+        }
+
+        case 'time': {
+            const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(typeof value === 'string' ? value.trim() : '');
+            if (!match || Number(match[1]) > 23 || Number(match[2]) > 59 || Number(match[3] || 0) > 59) {
+                throw new Error(`HH:MM 또는 HH:MM:SS 형식의 시각이어야 합니다 (${describe})`);
+            }
+            return [match[1], match[2], match[3] || '00'].map(part => part.padStart(2, '0')).join(':');
+        }
+
+        case 'list': {
+            const list = fromEnv ? String(value).split(',') : value;
+            if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+                throw new Error(`문자열 목록이어야 합니다 (${describe})`);
+            }
+            const items = list.map(item => item.trim()).filter(Boolean);
+            return items.length > 0 ? items : null;
+        }
+
+        default:
+            throw new Error(`알 수 없는 설정 형식: ${setting.type}`);
+    }
+}
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    let target = object;
+    for (const part of parts.slice(0, -1)) {
+        target = target[part] = target[part] || {};
+    }
+    target[parts[parts.length - 1]] = value;
+}
+
+// 설정 파일에 있는 알 수 없는 항목 (오타 발견용)
+function unknownKeys(raw) {
+    const known = new Set(SETTINGS.map(setting => setting.key));
+    const sections = new Set(SETTINGS.filter(setting => setting.key.includes('.')).map(setting => setting.key.split('.')[0]));
+    const unknown = [];
+
+    for (const [key, value] of Object.entries(raw)) {
+        if (EXTRA_KEYS.includes(key) || known.has(key)) {
+            continue;
+        }
+        if (!sections.has(key) || !value || typeof value !== 'object' || Array.isArray(value)) {
+            unknown.push(key);
+            continue;
+        }
+        for (const name of Object.keys(value)) {
+            if (!known.has(`${key}.${name}`)) {
+                unknown.push(`${key}.${name}`);
+            }
+        }
+    }
+    return unknown;
+}
+
+// 설정 파일 내용(raw)과 환경변수 → 검증된 설정 (오류가 하나라도 있으면 모두 모아 예외)
+function parseConfig(raw = {}, env = process.env, source = DEFAULT_CONFIG_FILE) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`${source}: 최상위는 객체여야 합니다`);
+    }
+
+    const errors = unknownKeys(raw).map(key => `${source}: 알 수 없는 설정 "${key}"`);
+    const config = { source };
+
+    for (const setting of SETTINGS) {
+        const envValue = env[setting.env];
+        const fileValue = getPath(raw, setting.key);
+        let value = setting.default;
+
+        // 빈 환경변수는 설정하지 않은 것으로 처리 (GitHub Secret 미등록 등)
+        const fromEnv = envValue !== undefined && envValue !== '';
+        if (fromEnv || (fileValue !== undefined && fileValue !== null)) {
+            try {
+                value = parseValue(setting, fromEnv ? envValue : fileValue, fromEnv);
+            } catch (error) {
+                errors.push(`${fromEnv ? setting.env : `${source} ${setting.key}`}: ${error.message}`);
+            }
+        }
+        setPath(config, setting.key, value);
+    }
+
+    // 수업: CLASS_TIME 등 환경변수 → 설정 파일 slots → 기본 09:30
+    try {
+        config.slots = env.CLASS_TIME || raw.slots === undefined ? [slotFromEnv(env)] : normalizePreferences(raw.slots);
+    } catch (error) {
+        errors.push(`${env.CLASS_TIME ? 'CLASS_TIME' : `${source} slots`}: ${error.message}`);
+    }
+
+    // 계정: 설정 파일에 둘 수 있지만 비밀번호는 환경변수/Secret(PILATES_ACCOUNTS) 사용 권장
+    try {
+        config.accounts = resolveAccounts({ ...env, ACCOUNTS_FILE: config.accountsFile },
+            raw.accounts === undefined ? null : { list: raw.accounts, source: `${source} accounts` });
+    } catch (error) {
+        errors.push(error.message);
+    }
+
+    if (config.retries.conflictBackoffMaxMs < config.retries.conflictBackoffMs) {
+        errors.push(`retries.conflictBackoffMaxMs(${config.retries.conflictBackoffMaxMs})는 conflictBackoffMs(${config.retries.conflictBackoffMs}) 이상이어야 합니다`);
+    }
+
+    if (errors.length > 0) {
+        const error = new Error(`잘못된 설정 ${errors.length}건\n${errors.map(message => `  - ${message}`).join('\n')}`);
+        error.configErrors = errors;
+        throw error;
+    }
+    return config;
+}
+
+// 설정 파일 로드 (CONFIG_FILE로 경로 지정, 기본 파일이 없으면 환경변수/기본값만 사용)
+function loadConfig(env = process.env, file = env.CONFIG_FILE || DEFAULT_CONFIG_FILE) {
+    const filePath = path.resolve(file);
+    if (!fs.existsSync(filePath)) {
+        if (env.CONFIG_FILE) {
+            throw new Error(`설정 파일을 찾을 수 없음: ${file}`);
+        }
+        return { ...parseConfig({}, env, file), source: null };
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file}: JSON 파싱 실패 - ${error.message}`);
+    }
+    return parseConfig(raw, env, file);
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILE,
+    SETTINGS,
+    parseValue,
+    parseConfig,
+    loadConfig
+};
@@ -0,0 +1,174 @@
+// 예약 실행 기록 (booking-history.jsonl)
+// 실행마다 덮어쓰는 결과 파일과 달리 계정별 결과를 한 줄씩 누적하고, 요일/수업별 통계를 만든다
+const fs = require('fs');
+const path = require('path');
+const { DAY_NAMES } = require('./schedule');
+const { weekdayOf, dateKey, parseDate } = require('./kst');
+
+const DEFAULT_HISTORY_FILE = 'booking-history.jsonl';
+
+// 결과 상태 → 통계 분류 (스킵/테스트는 성공률 계산에서 제외)
+const OUTCOMES = {
+    SUCCESS: 'booked',
+    ALREADY_BOOKED: 'booked',
+    WAITING: 'waitlist',
+    ALREADY_WAITING: 'waitlist',
+    UNAVAILABLE: 'unavailable',
+    WEEKEND_SKIP: 'skip',
+    SCHEDULE_SKIP: 'skip',
+    HOLIDAY_SKIP: 'skip',
+    CLOSED: 'skip',
+    TEST: 'test'
+};
+
+function outcomeOf(status) {
+    return OUTCOMES[status] || 'failed';
+}
+
+// "2026-10-25" → 요일 이름 (날짜 형식이 아니면 null)
+function dayNameOf(text) {
+    const date = parseDate(text);
+    return date ? DAY_NAMES[weekdayOf(date)] : null;
+}
+
+// 결과 객체(단일 또는 다중 계정) → 기록 항목 목록
+function historyEntries(result, meta = {}) {
+    const results = Array.isArray(result.accounts) ? result.accounts : [result];
+    return results.map(item => ({
+        timestamp: item.timestamp || result.timestamp,
+        date: item.date || result.date,
+        weekday: dayNameOf(item.date || result.date),
+        account: item.account || null,
+        class: item.class || null,
+        status: item.status,
+        outcome: outcomeOf(item.status),
+        retryCount: item.retryCount === undefined ? null : item.retryCount,
+        timeToClickMs: item.timing ? item.timing.timeToClickMs : null,
+        attempts: Array.isArray(item.attempts) ? item.attempts.length : 0,
+        engine: item.engine || null,
+        prewarmed: item.timing ? item.timing.prewarmed : null,
+        polled: item.opening ? item.opening.polls : null,
+        ...meta
+    }));
+}
+
+// JSONL 텍스트 파싱 (깨진 줄은 건너뜀)
+function parseHistory(text) {
+    return String(text || '').split('\n').filter(line => line.trim()).reduce((entries, line) => {
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            // 기록 중 중단된 마지막 줄 등
+        }
+        return entries;
+    }, []);
+}
+
+// 기록 파일 로드 (파일이 없으면 빈 목록)
+function loadHistory(file = DEFAULT_HISTORY_FILE) {
+    const filePath = path.resolve(file);
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    return parseHistory(fs.readFileSync(filePath, 'utf8'));
+}
+
+function median(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function percent(count, total) {
+    return total > 0 ? Math.round(count / total * 1000) / 10 : null;
+}
+
+// 항목 묶음 → { runs, booked, waitlist, unavailable, failed, *Rate(%), medianTimeToClickMs, averageRetries }
+function summarizeGroup(entries) {
+    const counts = { booked: 0, waitlist: 0, unavailable: 0, failed: 0 };
+    for (const entry of entries) {
+        counts[entry.outcome]++;
+    }
+    const clicks = entries.map(entry => entry.timeToClickMs).filter(Number.isFinite);
+    const retries = entries.map(entry => entry.retryCount).filter(Number.isFinite);
+
+    return {
+        runs: entries.length,
+        ...counts,
+        bookedRate: percent(counts.booked, entries.length),
+        waitlistRate: percent(counts.waitlist, entries.length),
+        unavailableRate: percent(counts.unavailable, entries.length),
+        failedRate: percent(counts.failed, entries.length),
+        medianTimeToClickMs: median(clicks),
+        averageRetries: retries.length ? Math.round(retries.reduce((sum, value) => sum + value, 0) / retries.length * 100) / 100 : null
+    };
+}
+
+function groupBy(entries, key) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const value = entry[key] || '-';
+        if (!groups.has(value)) {
+            groups.set(value, []);
+        }
+        groups.get(value).push(entry);
+    }
+    return groups;
+}
+
+// 통계 보고서: options.since("2026-10-01")부터, 스킵/테스트 제외
+function summarizeHistory(entries, options = {}) {
+    const since = options.since ? dateKey(options.since) : null;
+    const scoped = entries.filter(entry => !since || dateKey(entry.date) >= since);
+    const runs = scoped.filter(entry => entry.outcome !== 'skip' && entry.outcome !== 'test');
+
+    const byWeekday = {};
+    for (const name of DAY_NAMES) {
+        const group = runs.filter(entry => entry.weekday === name);
+        if (group.length > 0) {
+            byWeekday[name] = summarizeGroup(group);
+        }
+    }
+
+    const bySlot = {};
+    for (const [slot, group] of [...groupBy(runs, 'class')].sort(([a], [b]) => a.localeCompare(b))) {
+        bySlot[slot] = summarizeGroup(group);
+    }
+
+    const retryCounts = {};
+    for (const entry of runs.filter(item => Number.isFinite(item.retryCount))) {
+        retryCounts[entry.retryCount] = (retryCounts[entry.retryCount] || 0) + 1;
+    }
+    const clicks = runs.map(entry => entry.timeToClickMs).filter(Number.isFinite);
+
+    return {
+        since: options.since || null,
+        firstDate: runs.length ? runs[0].date : null,
+        lastDate: runs.length ? runs[runs.length - 1].date : null,
+        skipped: scoped.filter(entry => entry.outcome === 'skip').length,
+        overall: summarizeGroup(runs),
+        byWeekday,
+        bySlot,
+        timeToClick: {
+            samples: clicks.length,
+            medianMs: median(clicks),
+            minMs: clicks.length ? Math.min(...clicks) : null,
+            maxMs: clicks.length ? Math.max(...clicks) : null
+        },
+        retryCounts
+    };
+}
+
+module.exports = {
+    DEFAULT_HISTORY_FILE,
+    outcomeOf,
+    dayNameOf,
+    historyEntries,
+    parseHistory,
+    loadHistory,
+    median,
+    summarizeHistory
+};
@@ -0,0 +1,318 @@
+// 브라우저 없이 HTTP 요청만으로 예약하는 빠른 경로
+// 쿠키를 직접 관리하고, DOM 코드가 클릭하는 것과 같은 링크/폼을 HTML에서 찾아 요청한다
+// 시간표/캘린더는 class-slot, calendar 모듈과 같은 원시 행/셀 형태로 추출해 같은 파서를 사용한다
+const { classifyMessage } = require('./site-messages');
+const { parseCalendarCells, parseCalendarMonth, monthsBetween, calendarMonthUrl, findDateCell, isNextMonthControl } = require('./calendar');
+
+const REQUEST_TIMEOUT = 10000;
+const MAX_REDIRECTS = 5;
+const MAX_MONTH_MOVES = 3;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': '\'', apos: '\'', nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+        if (ENTITIES[name.toLowerCase()] !== undefined) {
+            return ENTITIES[name.toLowerCase()];
+        }
+        if (/^#x/i.test(name)) {
+            return String.fromCodePoint(parseInt(name.slice(2), 16));
+        }
+        if (name.startsWith('#')) {
+            return String.fromCodePoint(parseInt(name.slice(1), 10));
+        }
+        return match;
+    });
+}
+
+// 태그 제거 후 텍스트 (textContent.trim()과 같은 용도)
+function htmlText(html) {
+    return decodeEntities(html.replace(/<script[\s\S]*?<\/script>/gi, '').replace(/<[^>]*>/g, '')).trim();
+}
+
+// 태그 속성 파싱: ' href="a" onclick=\'b\' checked' → { href, onclick, checked }
+function parseAttributes(text) {
+    const attributes = {};
+    const pattern = /([\w:-]+)(?:\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+        const value = match[3] !== undefined ? match[3] : (match[4] !== undefined ? match[4] : match[5]);
+        attributes[match[1].toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+    }
+    return attributes;
+}
+
+function parseLinks(html) {
+    return Array.from(html.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)).map(match => {
+        const attributes = parseAttributes(match[1]);
+        return { href: attributes.href || null, onclick: attributes.onclick || null, title: attributes.title || null, text: htmlText(match[2]) };
+    });
+}
+
+// 셀 목록 (document.querySelectorAll('td') 순서와 같음, 중첩 테이블은 지원하지 않음)
+function parseCells(html) {
+    return Array.from(html.matchAll(/<td\b[^>]*>([\s\S]*?)<\/td>/gi)).map(match => {
+        const links = parseLinks(match[1]);
+        return { text: htmlText(match[1]), hasLink: links.length > 0, links };
+    });
+}
+
+// extractRawRows()와 같은 형태: [{ index, cells: [{ text, hasLink, links }] }]
+function parseTableRows(html) {
+    return Array.from(html.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)).map((match, index) => ({
+        index,
+        cells: parseCells(match[1])
+    }));
+}
+
+// extractCalendarCells()와 같은 형태: [{ index, text, hasLink, links }]
+function parseCalendarHtml(html) {
+    return parseCells(html).map((cell, index) => ({ index, ...cell }));
+}
+
+function parseForms(html) {
+    return Array.from(html.matchAll(/<form\b([^>]*)>([\s\S]*?)<\/form>/gi)).map(match => {
+        const attributes = parseAttributes(match[1]);
+        const inputs = Array.from(match[2].matchAll(/<(input|button)\b([^>]*)>/gi)).map(input => ({
+            tag: input[1].toLowerCase(),
+            ...parseAttributes(input[2])
+        }));
+        return {
+            action: attributes.action || '',
+            method: (attributes.method || 'get').toUpperCase(),
+            inputs
+        };
+    });
+}
+
+function unescapeScriptString(text) {
+    return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, code) => {
+        if (code.length === 5) {
+            return String.fromCharCode(parseInt(code.slice(1), 16));
+        }
+        return code === 'n' ? '\n' : code;
+    });
+}
+
+// 스크립트의 alert('...')/confirm('...') 메시지
+function extractDialogs(html, kind = 'alert') {
+    const pattern = new RegExp(`${kind}\\(\\s*(['"])((?:\\\\.|(?!\\1)[^\\\\])*)\\1\\s*\\)`, 'g');
+    return Array.from(html.matchAll(pattern)).map(match => unescapeScriptString(match[2]));
+}
+
+// 도메인 구분 없는 단순 쿠키 저장소 (예약 사이트 한 곳만 사용)
+class CookieJar {
+    constructor() {
+        this.cookies = new Map();
+    }
+
+    store(response) {
+        const headers = typeof response.headers.getSetCookie === 'function' ?
+            response.headers.getSetCookie() : [response.headers.get('set-cookie')].filter(Boolean);
+        for (const header of headers) {
+            const [pair, ...attributes] = header.split(';');
+            const index = pair.indexOf('=');
+            if (index === -1) {
+                continue;
+            }
+            const name = pair.slice(0, index).trim();
+            const value = pair.slice(index + 1).trim();
+            const expired = attributes.some(attribute => /^\s*max-age\s*=\s*0\s*$/i.test(attribute));
+            if (expired || value === '') {
+                this.cookies.delete(name);
+            } else {
+                this.cookies.set(name, value);
+            }
+        }
+    }
+
+    header() {
+        return Array.from(this.cookies.entries()).map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+}
+
+class HttpBookingClient {
+    // options.baseUrl: 예약 사이트 주소, options.timeout: 요청 타임아웃(ms)
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl.replace(/\/$/, '');
+        this.timeout = options.timeout || REQUEST_TIMEOUT;
+        this.jar = new CookieJar();
+        this.calendarUrl = null;
+    }
+
+    get loginUrl() {
+        return `${this.baseUrl}/yeapp/yeapp.php?tm=102`;
+    }
+
+    // 요청 (리다이렉트를 직접 따라가며 쿠키 저장) → { url, status, html }
+    async request(url, options = {}) {
+        let target = new URL(url, this.baseUrl).href;
+        let method = options.method || 'GET';
+        let body = options.form ? new URLSearchParams(options.form).toString() : undefined;
+
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            const response = await fetch(target, {
+                method,
+                redirect: 'manual',
+                headers: {
+                    Cookie: this.jar.header(),
+                    'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36',
+                    ...(body ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {})
+                },
+                body,
+                signal: AbortSignal.timeout(this.timeout)
+            });
+            this.jar.store(response);
+
+            const location = response.headers.get('location');
+            if (response.status >= 300 && response.status < 400 && location) {
+                target = new URL(location, target).href;
+                method = 'GET';
+                body = undefined;
+                continue;
+            }
+
+            return { url: target, status: response.status, html: await response.text() };
+        }
+
+        throw new Error(`리다이렉트 횟수 초과: ${url}`);
+    }
+
+    // DOM 코드처럼 링크를 "클릭": javascript: 링크는 따라갈 수 없음
+    async follow(link, pageUrl) {
+        if (!link || !link.href || /^\s*(javascript:|#)/i.test(link.href)) {
+            throw new Error(`HTTP로 따라갈 수 없는 링크: ${link ? (link.href || link.onclick || link.text) : '없음'}`);
+        }
+        return this.request(new URL(link.href, pageUrl).href);
+    }
+
+    // 폼 제출 (overrides: 입력값 덮어쓰기)
+    async submitForm(form, pageUrl, overrides = {}) {
+        const values = {};
+        const submit = form.inputs.find(input => input.type === 'submit' || (input.tag === 'button' && input.type !== 'button'));
+        for (const input of form.inputs) {
+            if (!input.name || input.type === 'submit' || input.tag === 'button' || input.type === 'image') {
+                continue;
+            }
+            if ((input.type === 'checkbox' || input.type === 'radio') && input.checked === undefined) {
+                continue;
+            }
+            values[input.name] = input.value || '';
+        }
+        if (submit && submit.name) {
+            values[submit.name] = submit.value || '';
+        }
+        Object.assign(values, overrides);
+
+        const action = new URL(form.action || pageUrl, pageUrl).href;
+        if (form.method === 'POST') {
+            return this.request(action, { method: 'POST', form: values });
+        }
+        const target = new URL(action);
+        for (const [name, value] of Object.entries(values)) {
+            target.searchParams.set(name, value);
+        }
+        return this.request(target.href);
+    }
+
+    // 로그인 → 캘린더 페이지 URL 저장
+    async login(username, password) {
+        const page = await this.request(this.loginUrl);
+        if (/href=["'][^"']*yeout\.php/i.test(page.html)) {
+            this.calendarUrl = page.url;
+            return page;
+        }
+
+        const form = parseForms(page.html).find(item =>
+            item.inputs.some(input => input.id === 'user_id' || input.name === 'name'));
+        if (!form) {
+            throw new Error('로그인 폼을 찾을 수 없음');
+        }
+
+        const userField = form.inputs.find(input => input.id === 'user_id') || form.inputs.find(input => input.name === 'name');
+        const passField = form.inputs.find(input => input.id === 'passwd') || form.inputs.find(input => input.name === 'passwd');
+        const result = await this.submitForm(form, page.url, {
+            [userField.name]: username,
+            [passField ? passField.name : 'passwd']: password
+        });
+
+        // 계정 정보 오류 알림이면 loginFailed (브라우저로 다시 시도해도 같은 결과)
+        if (!/href=["'][^"']*yeout\.php/i.test(result.html)) {
+            const alerts = extractDialogs(result.html);
+            const error = new Error(`로그인 실패${alerts.length ? `: ${alerts[0]}` : ''}`);
+            error.loginFailed = alerts.some(message => classifyMessage(message).type === 'LOGIN_FAILED');
+            throw error;
+        }
+
+        this.calendarUrl = result.url;
+        return result;
+    }
+
+    // 캘린더를 대상 연/월로 이동 (다음 달 링크, 없으면 ym 주소 파라미터) → { calendar, shown }
+    // shown: 표시 중인 연/월 (알 수 없으면 null)
+    async openCalendarMonth(target) {
+        let calendar = await this.request(this.calendarUrl);
+        let shown = parseCalendarMonth({ text: htmlText(calendar.html), url: calendar.url });
+
+        for (let moves = 0; shown && monthsBetween(shown, target) !== 0 && moves < MAX_MONTH_MOVES; moves++) {
+            const next = monthsBetween(shown, target) > 0 ? parseLinks(calendar.html).find(isNextMonthControl) : null;
+            calendar = next && next.href && !/^\s*(javascript:|#)/i.test(next.href) ?
+                await this.follow(next, calendar.url) :
+                await this.request(calendarMonthUrl(calendar.url, target));
+            shown = parseCalendarMonth({ text: htmlText(calendar.html), url: calendar.url });
+        }
+        return { calendar, shown };
+    }
+
+    // 캘린더에서 날짜 링크를 따라가 시간표 열기 → { url, html, rawRows } (날짜가 X이거나 링크가 없으면 null)
+    // target: { year, month, day } (월말에는 다음 달 캘린더에서 찾음)
+    async openDate(target) {
+        if (!this.calendarUrl) {
+            throw new Error('로그인 필요');
+        }
+
+        const { calendar, shown } = await this.openCalendarMonth(target);
+        const rawCells = parseCalendarHtml(calendar.html);
+        const cell = findDateCell(parseCalendarCells(rawCells), target, shown);
+        if (!cell || cell.closed || !cell.hasLink) {
+            return null;
+        }
+
+        const timetable = await this.follow(rawCells[cell.index].links[0], calendar.url);
+        return { ...timetable, rawRows: parseTableRows(timetable.html) };
+    }
+
+    // 시간표 행의 예약/대기예약 링크 요청 → { url, html, alerts, confirm, submitted, declined }
+    // 일반예약은 링크 다음 폼 페이지를 Submit, 링크의 confirm은 onConfirm(message)이 true면 수락
+    async reserve(timetable, rawRow, actionIndex, onConfirm = () => true) {
+        const cell = rawRow.cells[actionIndex];
+        const link = cell.links.find(item => /예약|대기/.test(item.text)) || cell.links[0];
+        const confirmMessage = link && link.onclick ? extractDialogs(link.onclick, 'confirm')[0] || null : null;
+
+        if (confirmMessage && !(await onConfirm(confirmMessage))) {
+            return { url: timetable.url, html: '', alerts: [], confirm: confirmMessage, submitted: false, declined: true };
+        }
+
+        const page = await this.follow(link, timetable.url);
+        const forms = parseForms(page.html).filter(form =>
+            form.inputs.some(input => input.type === 'submit' || input.tag === 'button'));
+
+        if (forms.length === 0) {
+            return { ...page, alerts: extractDialogs(page.html), confirm: confirmMessage, submitted: false, declined: false };
+        }
+
+        const result = await this.submitForm(forms[0], page.url);
+        return { ...result, alerts: extractDialogs(result.html), confirm: confirmMessage, submitted: true, declined: false };
+    }
+}
+
+module.exports = {
+    htmlText,
+    parseAttributes,
+    parseTableRows,
+    parseCalendarHtml,
+    parseForms,
+    extractDialogs,
+    CookieJar,
+    HttpBookingClient
+};
@@ -0,0 +1,105 @@
+// 한국 표준시(KST, UTC+9, 서머타임 없음) 날짜/시각 계산
+// 러너의 TZ와 무관하게 실제 시각(epoch ms)에서 한국 달력 값을 구하고, +09:00 오프셋 문자열로 출력한다
+
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// 시각(epoch ms 또는 Date) → 한국 달력/시계 값 (month: 1~12, weekday: 0=일요일)
+function kstParts(instant) {
+    const shifted = new Date(Number(instant) + KST_OFFSET_MS);
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours(),
+        minute: shifted.getUTCMinutes(),
+        second: shifted.getUTCSeconds(),
+        millisecond: shifted.getUTCMilliseconds(),
+        weekday: shifted.getUTCDay()
+    };
+}
+
+// 한국 벽시계 시각 → epoch ms
+function kstInstant(year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0) {
+    return Date.UTC(year, month - 1, day, hour, minute, second, millisecond) - KST_OFFSET_MS;
+}
+
+// 날짜 { year, month, day } → 요일 (0=일요일)
+function weekdayOf(date) {
+    return new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// 날짜 + days일 (월/연 경계 포함) → { year, month, day, weekday }
+function addDays(date, days) {
+    const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day) + days * DAY_MS);
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        weekday: shifted.getUTCDay()
+    };
+}
+
+// { year, month } + months개월 → { year, month }
+function addMonths(date, months) {
+    const index = date.year * 12 + (date.month - 1) + months;
+    return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
+
+// 결과 파일 날짜 형식 "2026-10-5" (기존 결과/기록 파일과 같은 0 없는 형식)
+function formatDate(date) {
+    return `${date.year}-${date.month}-${date.day}`;
+}
+
+// 날짜 { year, month, day } 또는 "2026-10-5" → 비교/정렬용 "2026-10-05" (날짜가 아니면 빈 문자열)
+function dateKey(date) {
+    const parts = date && typeof date === 'object' ? date : parseDate(date);
+    return parts ? `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` : '';
+}
+
+// "2026-10-5" / "2026-10-05" → { year, month, day } (없는 날짜나 다른 형식이면 null)
+function parseDate(text) {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(text || '').trim());
+    if (!match) {
+        return null;
+    }
+    const [year, month, day] = match.slice(1).map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) {
+        return null;
+    }
+    return { year, month, day };
+}
+
+// "2026-10-19T23:59:59.123+09:00"
+function toKSTISOString(instant) {
+    const parts = kstParts(instant);
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}.${pad(parts.millisecond, 3)}+09:00`;
+}
+
+// 로그용 "23:59:59" (includeMillis: "23:59:59.123")
+function formatKSTTime(instant, includeMillis = false) {
+    const parts = kstParts(instant);
+    const time = `${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+    return includeMillis ? `${time}.${pad(parts.millisecond, 3)}` : time;
+}
+
+module.exports = {
+    KST_OFFSET_MS,
+    kstParts,
+    kstInstant,
+    weekdayOf,
+    daysInMonth,
+    addDays,
+    addMonths,
+    formatDate,
+    dateKey,
+    parseDate,
+    toKSTISOString,
+    formatKSTTime
+};
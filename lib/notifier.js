@@ -0,0 +1,264 @@
+// 예약 결과 알림 (웹훅, SMTP 이메일, 텔레그램 형식 챗봇)
+// 채널은 설정 파일 notifications 항목이나 NOTIFY_* 환경변수로 활성화하며, 채널 하나가 실패해도 나머지 채널과 예약 흐름에는 영향을 주지 않는다
+const fs = require('fs');
+const path = require('path');
+const { parseConfig, loadConfig } = require('./config');
+
+const REQUEST_TIMEOUT = 10000;
+
+// 상태별 메시지 템플릿 ({date}, {class}, {message}, {account} 치환)
+const TEMPLATES = {
+    SUCCESS: { title: '✅ 필라테스 예약 성공', body: '{date} {class} 수업 예약이 완료되었습니다.' },
+    WAITING: { title: '⏳ 필라테스 대기예약 등록', body: '{date} {class} 수업이 정원 초과로 대기예약 되었습니다.' },
+    ALREADY_BOOKED: { title: '✅ 이미 예약된 수업', body: '{date} {class} 수업은 이미 예약되어 있습니다.' },
+    ALREADY_WAITING: { title: '⏳ 이미 대기예약된 수업', body: '{date} {class} 수업은 이미 대기예약되어 있습니다.' },
+    UNAVAILABLE: { title: '🚫 필라테스 예약불가', body: '{date} {class} 수업을 예약하지 못했습니다. ({message})' },
+    FAILED: { title: '❌ 필라테스 예약 실패', body: '{date} {class} 수업 예약에 실패했습니다. ({message})' },
+    PARTIAL: { title: '⚠️ 필라테스 예약 일부 실패', body: '{date} 예약 결과: {message}' },
+    WEEKEND_SKIP: { title: '📅 필라테스 예약 스킵', body: '{date} 예약을 건너뜁니다: {message}' },
+    SCHEDULE_SKIP: { title: '📅 필라테스 예약 스킵', body: '{date} 예약을 건너뜁니다: {message}' },
+    HOLIDAY_SKIP: { title: '🏖️ 휴무일 예약 스킵', body: '{date} 휴무일이라 예약을 건너뜁니다: {message}' },
+    CLOSED: { title: '🚫 필라테스 예약 불가 날짜', body: '{date} 날짜가 예약 사이트에서 닫혀 있습니다 (휴무 또는 마감). ({message})' },
+    TEST: { title: '🧪 필라테스 예약 테스트', body: '{date} {class} 테스트 실행 완료 ({message})' },
+    PROMOTED: { title: '🎉 대기예약 확정', body: '{date} {class} 대기예약이 예약완료로 전환되었습니다.' },
+    SEAT_OPEN: { title: '🪑 빈자리 발생', body: '{date} {class} 수업에 예약하기가 열렸습니다.' },
+    SEAT_BOOKED: { title: '🎉 빈자리 예약 완료', body: '{date} {class} 수업이 예약완료되었습니다.' },
+    CANCELLED: { title: '🗑️ 필라테스 예약 취소', body: '{date} {class} 수업 예약이 취소되었습니다.' },
+    CANCEL_TEST: { title: '🧪 필라테스 예약 취소 테스트', body: '{date} {class} 취소 대상 확인 ({message})' },
+    NOT_BOOKED: { title: '❔ 취소할 예약 없음', body: '{date} {class}: {message}' },
+    CANCEL_FAILED: { title: '❌ 필라테스 예약 취소 실패', body: '{date} {class} 수업 예약 취소에 실패했습니다. ({message})' },
+    LOGIN_FAILED: { title: '🔐 필라테스 로그인 실패', body: '{date} 로그인에 실패했습니다. 계정 정보를 확인하세요. ({message})' },
+    LOGIN_ERROR: { title: '⚠️ 필라테스 로그인 확인 오류', body: '로그인을 확인하지 못했습니다. ({message})' }
+};
+const DEFAULT_TEMPLATE = { title: '📢 필라테스 예약 알림', body: '{date} {class} {status}: {message}' };
+
+function renderTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+        (values[key] === undefined || values[key] === null ? '' : String(values[key])));
+}
+
+// 결과 객체 → 알림 제목/본문
+function formatMessage(result) {
+    const template = TEMPLATES[result.status] || DEFAULT_TEMPLATE;
+    const values = {
+        date: result.date || '',
+        class: result.class || '',
+        message: result.message || '',
+        status: result.status,
+        account: result.account || ''
+    };
+
+    let text = renderTemplate(template.body, values).replace(/\s+/g, ' ').trim();
+    if (result.account) {
+        text = `[${result.account}] ${text}`;
+    }
+
+    // 다중 계정 결과는 계정별 한 줄씩
+    if (Array.isArray(result.accounts)) {
+        const lines = result.accounts.map(entry =>
+            `- ${entry.account}: ${entry.status}${entry.class ? ` ${entry.class}` : ''}`);
+        text = [text, ...lines].join('\n');
+    }
+
+    return { title: renderTemplate(template.title, values), text };
+}
+
+async function postJson(url, payload) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response;
+}
+
+// 일반 웹훅: 제목/본문과 결과 JSON 전체를 POST
+function webhookChannel(config) {
+    return {
+        name: 'webhook',
+        async send({ title, text, result }) {
+            await postJson(config.url, { status: result.status, title, text, result });
+        }
+    };
+}
+
+// 텔레그램 봇 API 형식: 스크린샷이 있으면 sendPhoto, 없으면 sendMessage
+function chatBotChannel(config) {
+    const endpoint = `${config.apiBase.replace(/\/$/, '')}/bot${config.token}`;
+
+    return {
+        name: 'chatbot',
+        async send({ title, text, screenshot }) {
+            const message = `${title}\n${text}`;
+
+            if (!screenshot) {
+                await postJson(`${endpoint}/sendMessage`, { chat_id: config.chatId, text: message });
+                return;
+            }
+
+            const form = new FormData();
+            form.append('chat_id', config.chatId);
+            form.append('caption', message.slice(0, 1024));
+            const type = /\.png$/i.test(screenshot) ? 'image/png' : 'image/jpeg';
+            form.append('photo', new Blob([fs.readFileSync(screenshot)], { type }), path.basename(screenshot));
+
+            const response = await fetch(`${endpoint}/sendPhoto`, {
+                method: 'POST',
+                body: form,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        }
+    };
+}
+
+// SMTP 이메일: 스크린샷은 첨부파일로
+function smtpChannel(config) {
+    let transport = null;
+
+    return {
+        name: 'smtp',
+        async send({ title, text, screenshot }) {
+            if (!transport) {
+                const nodemailer = require('nodemailer');
+                transport = nodemailer.createTransport({
+                    host: config.host,
+                    port: config.port,
+                    secure: config.secure,
+                    auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+                    connectionTimeout: REQUEST_TIMEOUT
+                });
+            }
+
+            await transport.sendMail({
+                from: config.from,
+                to: config.to,
+                subject: title,
+                text,
+                attachments: screenshot ? [{ filename: path.basename(screenshot), path: screenshot }] : []
+            });
+        }
+    };
+}
+
+// 설정(config.notifications) → 활성 채널 목록
+function channelsFromConfig(config) {
+    const channels = [];
+
+    if (config.webhookUrl) {
+        channels.push(webhookChannel({ url: config.webhookUrl }));
+    }
+
+    if (config.smtpHost && config.emailTo) {
+        const port = config.smtpPort || 587;
+        channels.push(smtpChannel({
+            host: config.smtpHost,
+            port,
+            secure: config.smtpSecure === null || config.smtpSecure === undefined ? port === 465 : config.smtpSecure,
+            user: config.smtpUser,
+            pass: config.smtpPass,
+            from: config.emailFrom || config.smtpUser || 'pilates-booking@localhost',
+            to: config.emailTo
+        }));
+    }
+
+    if (config.botToken && config.botChatId) {
+        channels.push(chatBotChannel({
+            token: config.botToken,
+            chatId: config.botChatId,
+            apiBase: config.botApi || 'https://api.telegram.org'
+        }));
+    }
+
+    return channels;
+}
+
+// 환경변수(NOTIFY_*)만으로 채널 목록
+function channelsFromEnv(env = process.env) {
+    return channelsFromConfig(parseConfig({}, env).notifications);
+}
+
+class Notifier {
+    // options.channels: 채널 목록, options.statuses: 알림 보낼 상태 (없으면 전체)
+    constructor(options = {}) {
+        this.channels = options.channels || [];
+        this.statuses = options.statuses || null;
+    }
+
+    static fromConfig(config) {
+        return new Notifier({ channels: channelsFromConfig(config), statuses: config.on });
+    }
+
+    static fromEnv(env = process.env) {
+        return Notifier.fromConfig(parseConfig({}, env).notifications);
+    }
+
+    get enabled() {
+        return this.channels.length > 0;
+    }
+
+    // 채널별 발송 결과 [{ channel, ok, error }] (예외를 던지지 않음)
+    async send(result) {
+        if (!this.enabled || (this.statuses && !this.statuses.includes(result.status))) {
+            return [];
+        }
+
+        const { title, text } = formatMessage(result);
+        const screenshot = result.screenshot && fs.existsSync(result.screenshot) ? result.screenshot : null;
+
+        const outcomes = await Promise.allSettled(
+            this.channels.map(channel => channel.send({ title, text, result, screenshot })));
+
+        return outcomes.map((outcome, index) => ({
+            channel: this.channels[index].name,
+            ok: outcome.status === 'fulfilled',
+            error: outcome.status === 'rejected' ? outcome.reason.message : null
+        }));
+    }
+}
+
+module.exports = {
+    TEMPLATES,
+    formatMessage,
+    webhookChannel,
+    chatBotChannel,
+    smtpChannel,
+    channelsFromConfig,
+    channelsFromEnv,
+    Notifier
+};
+
+// 워크플로우용: 결과 JSON 한 건을 설정된 채널로 전송
+// 사용법: node lib/notifier.js '{"status":"WEEKEND_SKIP","date":"2026-10-25","message":"토요일 수업은 예약하지 않음"}'
+if (require.main === module) {
+    let result;
+    try {
+        result = JSON.parse(process.argv[2] || '');
+    } catch (error) {
+        console.error(`❌ 결과 JSON 파싱 실패: ${error.message}`);
+        process.exit(1);
+    }
+
+    let notifier;
+    try {
+        notifier = Notifier.fromConfig(loadConfig().notifications);
+    } catch (error) {
+        console.error(`❌ 설정 오류: ${error.message}`);
+        process.exit(1);
+    }
+
+    notifier.send(result).then(outcomes => {
+        for (const outcome of outcomes) {
+            console.log(`${outcome.ok ? '✅' : '⚠️'} ${outcome.channel}${outcome.error ? `: ${outcome.error}` : ''}`);
+        }
+    }).catch(error => {
+        console.error(`❌ 알림 전송 오류: ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,170 @@
+// 주간 예약 일정 (schedule.json)
+// 예약 대상 날짜의 요일로 예약할 수업 또는 스킵 사유를 결정한다
+const fs = require('fs');
+const path = require('path');
+const { normalizePreferences } = require('./class-slot');
+const { kstParts, addDays, dateKey } = require('./kst');
+const { loadClosures, findClosure, describeClosure } = require('./closures');
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_NAMES = ['일요일', '월요일', '화요일', '수요일', '목요일', '금요일', '토요일'];
+const DEFAULT_SCHEDULE_FILE = 'schedule.json';
+const DEFAULT_LEAD_DAYS = 7;
+
+// 일정 파일 검증 및 정규화
+function parseSchedule(raw, source = DEFAULT_SCHEDULE_FILE) {
+    if (!raw || typeof raw !== 'object' || typeof raw.days !== 'object' || raw.days === null) {
+        throw new Error(`${source}: "days" 항목이 필요합니다`);
+    }
+
+    const leadDays = raw.leadDays === undefined ? DEFAULT_LEAD_DAYS : raw.leadDays;
+    if (!Number.isInteger(leadDays) || leadDays < 0) {
+        throw new Error(`${source}: leadDays는 0 이상의 정수여야 합니다 (${raw.leadDays})`);
+    }
+
+    const days = {};
+    for (const [key, entry] of Object.entries(raw.days)) {
+        if (!DAY_KEYS.includes(key)) {
+            throw new Error(`${source}: 알 수 없는 요일 "${key}" (${DAY_KEYS.join(', ')})`);
+        }
+        if (!entry || typeof entry !== 'object') {
+            throw new Error(`${source}: ${key} 항목 형식 오류`);
+        }
+
+        if (!Array.isArray(entry) && entry.skip !== undefined) {
+            days[key] = { skip: String(entry.skip) };
+            continue;
+        }
+
+        // 수업 객체 하나 또는 선호 순서대로 나열한 배열
+        try {
+            days[key] = { slots: normalizePreferences(entry) };
+        } catch (error) {
+            throw new Error(`${source}: ${key} - ${error.message}`);
+        }
+    }
+
+    return { leadDays, days, source };
+}
+
+// 일정 파일 로드 (설정의 scheduleFile 또는 계정 전용 일정, 파일이 없으면 null)
+function loadSchedule(file) {
+    const filePath = file ? path.resolve(file) : null;
+    if (!filePath || !fs.existsSync(filePath)) {
+        return null;
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file}: JSON 파싱 실패 - ${error.message}`);
+    }
+    return parseSchedule(raw, file);
+}
+
+// 예약 오픈일(한국 날짜 { year, month, day }) 기준 대상 날짜와 예약할 선호 수업 목록/스킵 결정
+// closures: loadClosures() 결과 (일정상 예약하는 날이 휴무일이면 스킵)
+function resolveBooking(schedule, openingDate, closures = null) {
+    const leadDays = schedule ? schedule.leadDays : DEFAULT_LEAD_DAYS;
+    const targetDate = addDays(openingDate, leadDays);
+
+    const weekday = targetDate.weekday;
+    const decision = {
+        targetDate,
+        weekday,
+        dayKey: DAY_KEYS[weekday],
+        dayName: DAY_NAMES[weekday],
+        skip: false,
+        reason: null,
+        slots: null,
+        closure: null
+    };
+
+    // 일정 파일이 없으면 매일 예약 (슬롯은 호출 측 기본값)
+    const entry = schedule ? schedule.days[decision.dayKey] : null;
+    if (schedule && !entry) {
+        decision.skip = true;
+        decision.reason = `${decision.dayName} 예약 일정 없음`;
+    } else if (entry && entry.skip !== undefined) {
+        decision.skip = true;
+        decision.reason = entry.skip || `${decision.dayName} 예약 스킵`;
+    } else if (entry) {
+        decision.slots = entry.slots;
+    }
+
+    // 휴무일: 수업은 그대로 두고 스킵 (강제 실행이면 일정 수업으로 예약)
+    const closure = decision.skip ? null : findClosure(closures, targetDate);
+    if (closure) {
+        decision.skip = true;
+        decision.reason = describeClosure(closure);
+        decision.closure = closure;
+    }
+
+    return decision;
+}
+
+// 스킵 결과 상태: 휴무일 → HOLIDAY_SKIP, 주말 → WEEKEND_SKIP, 그 외 → SCHEDULE_SKIP
+function skipStatusOf(decision) {
+    if (decision.closure) {
+        return 'HOLIDAY_SKIP';
+    }
+    return decision.weekday === 0 || decision.weekday === 6 ? 'WEEKEND_SKIP' : 'SCHEDULE_SKIP';
+}
+
+// 예약 오픈일 (한국 날짜): 자정 직전(23시대)에 오전 목표 시각을 기다리는 실행이면 다음날, 즉시 실행이면 오늘
+function openingDateOf(instant, targetTime, immediate = false) {
+    const kstNow = kstParts(instant);
+    const targetHour = parseInt(targetTime.split(':')[0], 10) || 0;
+
+    if (!immediate && kstNow.hour >= 23 && targetHour < 12) {
+        return addDays(kstNow, 1);
+    }
+    return kstNow;
+}
+
+// 설정(loadConfig) 기준 예약 결정: 예약 스크립트와 같은 scheduleFile, closuresFile, skipHolidays, 목표 시각 사용
+// 계정 전용 일정(accounts[].schedule)이 있으면 계정마다 결정해 모든 계정이 스킵일 때만 스킵 (예약 스크립트와 동일)
+function resolveConfiguredBooking(config, instant = Date.now()) {
+    const openingDate = openingDateOf(instant, config.timing.targetTime, config.mode.immediate);
+    const closures = loadClosures(config);
+    const shared = loadSchedule(config.scheduleFile);
+    const schedules = config.accounts && config.accounts.length > 0 ?
+        config.accounts.map(account => account.schedule ? loadSchedule(account.schedule) : shared) : [shared];
+
+    const decisions = schedules.map(schedule => resolveBooking(schedule, openingDate, closures));
+    return decisions.find(decision => !decision.skip) || decisions[0];
+}
+
+module.exports = {
+    DEFAULT_SCHEDULE_FILE,
+    DAY_KEYS,
+    DAY_NAMES,
+    parseSchedule,
+    loadSchedule,
+    resolveBooking,
+    skipStatusOf,
+    openingDateOf,
+    resolveConfiguredBooking
+};
+
+// 워크플로우용: 예약 여부를 GITHUB_OUTPUT 형식(key=value)으로 출력
+// 예약 스크립트와 같은 설정(설정 파일 + 환경변수)을 읽고, 목표시간 인자는 TARGET_TIME으로 적용
+// 사용법: node lib/schedule.js [목표시간, 예: 00:01:00]
+if (require.main === module) {
+    const { loadConfig } = require('./config');
+
+    try {
+        const env = process.argv[2] ? { ...process.env, TARGET_TIME: process.argv[2] } : process.env;
+        const decision = resolveConfiguredBooking(loadConfig(env));
+        console.log(`target_date=${dateKey(decision.targetDate)}`);
+        console.log(`target_day=${decision.dayName}`);
+        console.log(`target_slot=${decision.slots ? decision.slots.map(slot => slot.label).join(' → ') : ''}`);
+        console.log(`should_run=${decision.skip ? 'false' : 'true'}`);
+        console.log(`skip_reason=${decision.reason || ''}`);
+        console.log(`skip_status=${decision.skip ? skipStatusOf(decision) : ''}`);
+    } catch (error) {
+        console.error(`❌ 예약 일정 오류: ${error.message}`);
+        process.exit(1);
+    }
+}
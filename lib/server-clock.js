@@ -0,0 +1,101 @@
+// 예약 사이트 서버 시계 보정
+// HTTP Date 헤더(초 단위)와 요청 왕복 시간으로 서버 시계 - 로컬 시계 차이(offset)를 추정한다
+// 요청마다 "offset ∈ [Date - 응답 수신 시각, Date + 1초 - 요청 시작 시각]" 구간을 얻고,
+// 샘플 간격을 1초와 어긋나게 두어 구간들의 교집합으로 초 단위 이하까지 좁힌다
+// 로컬 시각/샘플 간 대기는 주입한 시계(lib/clock.js)로 (가상 시계에서도 같은 기준으로 offset 계산)
+const { systemClock } = require('./clock');
+const { toKSTISOString } = require('./kst');
+
+const DEFAULT_SAMPLES = 8;
+const SAMPLE_SPACING = 137;
+const REQUEST_TIMEOUT = 5000;
+
+// 요청 1회: { start, end, serverTime } (로컬 ms, 서버 Date 헤더 ms)
+async function sampleServerTime(url, clock = systemClock) {
+    const start = clock.now();
+    const response = await fetch(url, {
+        method: 'HEAD',
+        redirect: 'manual',
+        cache: 'no-store',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    const end = clock.now();
+
+    const header = response.headers.get('date');
+    const serverTime = header ? Date.parse(header) : NaN;
+    if (Number.isNaN(serverTime)) {
+        throw new Error('서버 응답에 Date 헤더 없음');
+    }
+    return { start, end, serverTime };
+}
+
+// 샘플 목록 → { offsetMs, uncertaintyMs, rttMs }
+function estimateOffset(samples) {
+    if (samples.length === 0) {
+        throw new Error('시계 보정 샘플 없음');
+    }
+
+    const bounds = samples.map(sample => ({
+        low: sample.serverTime - sample.end,
+        high: sample.serverTime + 1000 - sample.start
+    }));
+    const low = Math.max(...bounds.map(bound => bound.low));
+    const high = Math.min(...bounds.map(bound => bound.high));
+
+    const rtts = samples.map(sample => sample.end - sample.start).sort((a, b) => a - b);
+    const rttMs = rtts[Math.floor(rtts.length / 2)];
+
+    // 구간이 겹치지 않으면(요청 중 서버 시계 조정 등) 구간 중점 평균으로 대체
+    if (low > high) {
+        const middles = bounds.map(bound => (bound.low + bound.high) / 2);
+        return {
+            offsetMs: Math.round(middles.reduce((sum, value) => sum + value, 0) / middles.length),
+            uncertaintyMs: Math.round(Math.max(...bounds.map(bound => (bound.high - bound.low) / 2))),
+            rttMs,
+            consistent: false
+        };
+    }
+
+    return {
+        offsetMs: Math.round((low + high) / 2),
+        uncertaintyMs: Math.round((high - low) / 2),
+        rttMs,
+        consistent: true
+    };
+}
+
+// 서버 시계 보정 (offsetMs: 서버 시각 - 로컬 시각), options.clock: { now(), sleep(ms) } (기본: 시스템 시계)
+async function calibrateServerClock(url, options = {}) {
+    const count = options.samples || DEFAULT_SAMPLES;
+    const clock = options.clock || systemClock;
+    const samples = [];
+    const errors = [];
+
+    for (let i = 0; i < count; i++) {
+        try {
+            samples.push(await sampleServerTime(url, clock));
+        } catch (error) {
+            errors.push(error.message);
+        }
+        if (i < count - 1) {
+            await clock.sleep(SAMPLE_SPACING);
+        }
+    }
+
+    if (samples.length === 0) {
+        throw new Error(`서버 시계 조회 실패: ${errors[0]}`);
+    }
+
+    return {
+        ...estimateOffset(samples),
+        samples: samples.length,
+        failedSamples: errors.length,
+        calibratedAt: toKSTISOString(clock.now())
+    };
+}
+
+module.exports = {
+    sampleServerTime,
+    estimateOffset,
+    calibrateServerClock
+};
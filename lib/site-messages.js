@@ -0,0 +1,91 @@
+// 예약 사이트 알림(alert/confirm) 메시지 목록과 분류
+// 알려진 메시지는 유형으로 바꿔 처리하고, 목록에 없는 메시지는 UNKNOWN_DIALOG로 결과에 남긴다
+// 순서대로 검사하므로 더 구체적인 메시지를 앞에 둔다 (예: 대기예약 완료 → 예약 완료)
+
+const UNKNOWN_DIALOG = 'UNKNOWN_DIALOG';
+
+// success: 예약 성공으로 처리, retry: 같은 요청을 다시 보내야 함
+const MESSAGE_CATALOGUE = [
+    {
+        type: 'SESSION_EXPIRED',
+        description: '세션 만료',
+        pattern: /세션이?\s*만료|로그인\s*(후|이)\s*(이용|필요)|로그인이\s*필요|다시\s*로그인/
+    },
+    {
+        type: 'LOGIN_FAILED',
+        description: '로그인 실패',
+        pattern: /(아이디|비밀번호|회원\s*번호).*(일치하지|틀렸|잘못|확인해)|등록되지\s*않은\s*회원|존재하지\s*않는\s*회원/
+    },
+    {
+        type: 'WAITLIST_PROMPT',
+        description: '정원 초과 - 대기예약 여부 확인',
+        pattern: /정원이?\s*초과.*대기\s*예약|대기\s*예약\s*하시겠습니까/
+    },
+    {
+        type: 'CONFLICT',
+        description: '동시신청 충돌',
+        pattern: /동시\s*신청|잠시\s*후/,
+        retry: true
+    },
+    {
+        type: 'DAILY_LIMIT_REACHED',
+        description: '요일별 예약횟수 완료',
+        pattern: /요일별\s*예약\s*횟수가?\s*완료/,
+        success: true
+    },
+    {
+        type: 'CANCEL_PROMPT',
+        description: '예약 취소 확인',
+        pattern: /(취소|삭제)\s*하시겠습니까/
+    },
+    {
+        type: 'CANCELLED',
+        description: '예약 취소 완료',
+        pattern: /(취소|삭제)(가|이)?\s*(완료|되었)/
+    },
+    {
+        type: 'WAITLISTED',
+        description: '대기예약 완료',
+        pattern: /대기\s*예약(이|가)?\s*(완료|되었|성공)/,
+        success: true
+    },
+    {
+        type: 'ALREADY_BOOKED',
+        description: '이미 예약됨',
+        pattern: /이미\s*(예약|신청)/
+    },
+    {
+        type: 'BOOKED',
+        description: '예약 완료',
+        pattern: /예약.*(완료|성공)/,
+        success: true
+    },
+    {
+        type: 'CLOSED',
+        description: '예약 불가',
+        pattern: /예약할\s*수\s*없|예약\s*(불가|마감)|마감되었/
+    }
+];
+
+// 메시지 → { type, description, success, retry, message }
+function classifyMessage(message) {
+    const text = String(message || '').trim();
+    const entry = MESSAGE_CATALOGUE.find(item => item.pattern.test(text));
+
+    if (!entry) {
+        return { type: UNKNOWN_DIALOG, description: '알 수 없는 알림', success: false, retry: false, message: text };
+    }
+    return {
+        type: entry.type,
+        description: entry.description,
+        success: !!entry.success,
+        retry: !!entry.retry,
+        message: text
+    };
+}
+
+module.exports = {
+    UNKNOWN_DIALOG,
+    MESSAGE_CATALOGUE,
+    classifyMessage
+};
@@ -0,0 +1,111 @@
+// 시간표 스냅샷 (timetable-snapshots.jsonl)
+// 날짜의 시간표 전체 행을 시각별로 누적해 어떤 수업이 바로 마감되고 어떤 수업이 계속 열려 있는지 비교한다
+const fs = require('fs');
+const path = require('path');
+const { parseHistory } = require('./history');
+const { dateKey } = require('./kst');
+
+const DEFAULT_SNAPSHOT_FILE = 'timetable-snapshots.jsonl';
+const CSV_COLUMNS = ['timestamp', 'date', 'time', 'instructor', 'room', 'status', 'statusText', 'details'];
+const ROOM_PATTERN = /룸|홀|\broom\b|\d+\s*(관|층|실)$/i;
+
+// 마감으로 보는 행 상태 (내 예약 행은 정원을 알 수 없으므로 제외)
+const FULL_STATUSES = ['WAITLIST_OPEN', 'UNAVAILABLE'];
+
+// parseTimetableRows() 행 → 스냅샷 행 (강사/룸 열이 있으면 분리, 없으면 null)
+function snapshotRow(row) {
+    const room = row.details.find(text => ROOM_PATTERN.test(text)) || null;
+    const instructor = row.details.find(text => text !== room) || null;
+    return {
+        time: row.time,
+        instructor,
+        room,
+        status: row.status,
+        statusText: row.actionText,
+        bookable: row.hasActionLink && (row.status === 'AVAILABLE' || row.status === 'WAITLIST_OPEN'),
+        details: row.details.join(' ')
+    };
+}
+
+function buildSnapshot(timestamp, date, rows, meta = {}) {
+    return { timestamp, date, ...meta, rows: rows.map(snapshotRow) };
+}
+
+// 스냅샷 파일 로드 (파일이 없으면 빈 목록, date 지정 시 해당 날짜만)
+function loadSnapshots(file = DEFAULT_SNAPSHOT_FILE, date = null) {
+    const filePath = path.resolve(file);
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    return parseHistory(fs.readFileSync(filePath, 'utf8'))
+        .filter(snapshot => Array.isArray(snapshot.rows) && (!date || snapshot.date === date));
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 스냅샷 목록 → CSV (스냅샷 행마다 한 줄, 엑셀에서 한글이 깨지지 않도록 BOM 포함)
+function snapshotsToCsv(snapshots) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const snapshot of snapshots) {
+        for (const row of snapshot.rows) {
+            const record = { timestamp: snapshot.timestamp, date: snapshot.date, ...row };
+            lines.push(CSV_COLUMNS.map(column => csvField(record[column])).join(','));
+        }
+    }
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// 날짜/수업별 추이: 처음 본 시각, 처음 마감된 시각, 열려 있던 시간(ms), 스냅샷별 열림/마감 횟수
+function summarizeSnapshots(snapshots) {
+    const slots = new Map();
+    const ordered = [...snapshots].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+
+    for (const snapshot of ordered) {
+        for (const row of snapshot.rows) {
+            const key = `${snapshot.date} ${row.time} ${row.instructor || ''}`;
+            if (!slots.has(key)) {
+                slots.set(key, {
+                    date: snapshot.date,
+                    time: row.time,
+                    instructor: row.instructor,
+                    snapshots: 0,
+                    open: 0,
+                    full: 0,
+                    firstSeenAt: snapshot.timestamp,
+                    firstFullAt: null,
+                    openForMs: null,
+                    lastStatus: null
+                });
+            }
+            const slot = slots.get(key);
+            slot.snapshots++;
+            slot.lastStatus = row.status;
+            if (row.status === 'AVAILABLE') {
+                slot.open++;
+            }
+            if (FULL_STATUSES.includes(row.status)) {
+                slot.full++;
+                if (!slot.firstFullAt) {
+                    slot.firstFullAt = snapshot.timestamp;
+                    slot.openForMs = slot.open > 0 ? new Date(slot.firstFullAt) - new Date(slot.firstSeenAt) : 0;
+                }
+            }
+        }
+    }
+
+    const sortKey = slot => `${dateKey(slot.date)} ${slot.time}`;
+    return Array.from(slots.values()).sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+}
+
+module.exports = {
+    DEFAULT_SNAPSHOT_FILE,
+    CSV_COLUMNS,
+    snapshotRow,
+    buildSnapshot,
+    loadSnapshots,
+    snapshotsToCsv,
+    summarizeSnapshots
+};
@@ -0,0 +1,14 @@
+// 테스트 실행: test/ 아래 *.test.js (node:test)
+// 브라우저가 필요한 e2e 테스트는 Chrome을 실행할 수 없는 환경에서 자동으로 건너뜀
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const testDir = path.join(__dirname, 'test');
+const files = fs.readdirSync(testDir)
+    .filter(file => file.endsWith('.test.js'))
+    .sort()
+    .map(file => path.join(testDir, file));
+
+const result = spawnSync(process.execPath, ['--test', ...files], { stdio: 'inherit' });
+process.exit(result.status === null ? 1 : result.status);
@@ -0,0 +1,104 @@
+// 브라우저 예약 흐름: 가짜 페이지로 클릭/Submit 중 알림 처리와 attempts 기록
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { extractRawRows } = require('../lib/class-slot');
+const { SimulatedClock } = require('../lib/clock');
+const { parseConfig } = require('../lib/config');
+const { UNKNOWN_DIALOG } = require('../lib/site-messages');
+const { PreciseTimingPilatesBooking } = require('../booking-script');
+const { MESSAGES } = require('./mock-site');
+
+const ENV = { ACCOUNTS_FILE: path.join(os.tmpdir(), 'pilates-no-accounts.json') };
+const ACCOUNTS = [{ name: '테스터', username: 'tester', password: 'secret' }];
+
+function booker(t, slots) {
+    t.mock.method(console, 'log', () => {});
+    const config = parseConfig({ accounts: ACCOUNTS, slots }, ENV);
+    const booking = new PreciseTimingPilatesBooking({ config, schedule: null, closures: null, clock: new SimulatedClock('2026-10-19T00:01:00+09:00') });
+    booking.log = async () => {};
+    return booking;
+}
+
+// 09:30 행 하나짜리 시간표, 예약 링크 클릭(onClick)/Submit(onSubmit) 때 알림을 띄우는 가짜 페이지
+function fakePage({ action = '예약하기', onClick = [], onSubmit = [] } = {}) {
+    const handlers = [];
+    const page = {
+        submits: 0,
+        dismissed: [],
+        on(event, handler) {
+            handlers.push(handler);
+        },
+        off(event, handler) {
+            handlers.splice(handlers.indexOf(handler), 1);
+        },
+        async waitForSelector() {},
+        async waitForTimeout() {},
+        async screenshot() {},
+        async evaluate(fn, ...args) {
+            if (fn === extractRawRows) {
+                return [{ index: 1, cells: [{ text: '09:30' }, { text: '김강사' }, { text: action, hasLink: true }] }];
+            }
+            if (args.length === 2) {
+                await page.showDialogs(onClick.shift() || []);
+                return undefined;
+            }
+            page.submits++;
+            await page.showDialogs(onSubmit.shift() || []);
+            return true;
+        },
+        async showDialogs(messages) {
+            for (const message of messages) {
+                for (const handler of [...handlers]) {
+                    await handler({
+                        message: () => message,
+                        accept: async () => {},
+                        dismiss: async () => page.dismissed.push(message)
+                    });
+                }
+            }
+        }
+    };
+    return page;
+}
+
+test('클릭 중 뜬 알림도 첫 요청 attempts에 기록', async (t) => {
+    const booking = booker(t);
+    const page = fakePage({ onClick: [[MESSAGES.waitlistConfirm]] });
+
+    const result = await booking.findClassAndBook(page);
+    assert.strictEqual(result.booked, true);
+    assert.deepStrictEqual(booking.attempts.map(attempt => [attempt.dialogs, attempt.outcome]), [
+        [[MESSAGES.waitlistConfirm], 'WAITLISTED']
+    ]);
+
+    const unknown = booker(t);
+    await unknown.findClassAndBook(fakePage({ onClick: [['점검 중입니다.']] }));
+    assert.deepStrictEqual(unknown.attempts.map(attempt => [attempt.dialogs, attempt.outcome]), [
+        [['점검 중입니다.'], UNKNOWN_DIALOG]
+    ]);
+});
+
+test('충돌 재요청은 요청마다 그 요청의 알림만 기록', async (t) => {
+    const booking = booker(t);
+    t.mock.method(Math, 'random', () => 1);
+    const page = fakePage({ onSubmit: [[MESSAGES.conflict], [MESSAGES.booked]] });
+
+    await booking.findClassAndBook(page);
+    assert.deepStrictEqual(booking.attempts.map(attempt => [attempt.dialogs, attempt.outcome]), [
+        [[MESSAGES.conflict], 'CONFLICT'],
+        [[MESSAGES.booked], 'BOOKED']
+    ]);
+});
+
+test('대기예약 안내를 거절하면 Submit/폼 전송 없이 예약되지 않은 결과', async (t) => {
+    const booking = booker(t, [{ time: '09:30', waitlist: false }]);
+    const page = fakePage({ onClick: [[MESSAGES.waitlistConfirm]] });
+
+    const result = await booking.findClassAndBook(page);
+    assert.deepStrictEqual([result.booked, result.unavailable, result.message], [false, true, '09:30 수업 정원 초과 - 대기예약 거절']);
+    assert.deepStrictEqual([page.dismissed, page.submits], [[MESSAGES.waitlistConfirm], 0]);
+    assert.deepStrictEqual(booking.attempts.map(attempt => attempt.outcome), ['DECLINED']);
+    assert.strictEqual(booking.bookingSuccess, false);
+});
@@ -0,0 +1,128 @@
+// 캘린더 파싱: 날짜 셀의 달 구분, 표시 연/월, 월말 대상 날짜 셀, 내 예약 목록
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const {
+    parseCalendarCells, parseCalendarMonth, monthsBetween, calendarMonthUrl, findDateCell, isNextMonthControl,
+    extractCalendarCells, extractCalendarMonth, clickNextMonth
+} = require('../lib/calendar');
+const { extractRawRows } = require('../lib/class-slot');
+const { SimulatedClock } = require('../lib/clock');
+const { parseConfig } = require('../lib/config');
+const { addDays, daysInMonth, weekdayOf, formatDate } = require('../lib/kst');
+const { PreciseTimingPilatesBooking } = require('../booking-script');
+
+const ENV = { ACCOUNTS_FILE: path.join(os.tmpdir(), 'pilates-no-accounts.json') };
+
+// 캘린더 칸 텍스트 목록 → 원시 셀
+const rawCells = texts => texts.map((text, index) => ({ index, text, hasLink: !/X|^$/.test(text) }));
+
+// 2026년 10월 달력 (앞쪽 9월 27~30일, 뒤쪽 11월 1~7일 표시)
+const OCTOBER = rawCells([
+    '일', '월', '27', '28', '29', '30',
+    ...Array.from({ length: 31 }, (_, index) => `${index + 1}`),
+    '1', '2', '3', '4 X', '5', '6', '7', '09:30'
+]);
+
+test('parseCalendarCells: 앞쪽 이전 달, 뒤쪽 다음 달 칸 구분', () => {
+    const cells = parseCalendarCells(OCTOBER);
+    assert.deepStrictEqual(cells.filter(cell => cell.day === 4).map(cell => [cell.monthOffset, cell.closed]), [[0, false], [1, true]]);
+    assert.deepStrictEqual(cells.filter(cell => cell.monthOffset === -1).map(cell => cell.day), [27, 28, 29, 30]);
+    assert.strictEqual(cells.filter(cell => cell.monthOffset === 0).length, 31);
+    assert.ok(!cells.some(cell => cell.text === '09:30'));
+
+    // 이전 달 칸이 없는 달력은 첫 칸부터 이번 달
+    assert.deepStrictEqual(parseCalendarCells(rawCells(['', '1', '2'])).map(cell => cell.monthOffset), [0, 0]);
+});
+
+test('parseCalendarMonth: 제목/본문 "YYYY년 M월" 또는 ym 파라미터', () => {
+    assert.deepStrictEqual(parseCalendarMonth({ title: '2026년 11월', text: '', url: '' }), { year: 2026, month: 11 });
+    assert.deepStrictEqual(parseCalendarMonth({ title: '예약', text: '홍길동님\n◀ 2027 년 1 월 ▶', url: '' }), { year: 2027, month: 1 });
+    assert.deepStrictEqual(parseCalendarMonth({ title: '', text: '', url: 'https://a/yeapp.php?tm=102&ym=2026-12' }), { year: 2026, month: 12 });
+    assert.strictEqual(parseCalendarMonth({ title: '예약', text: '2026년 13월', url: 'https://a/yeapp.php?tm=102' }), null);
+    assert.strictEqual(parseCalendarMonth(null), null);
+});
+
+test('findDateCell: 표시 연/월 기준으로 대상 날짜의 칸 선택', () => {
+    const cells = parseCalendarCells(OCTOBER);
+    const october = { year: 2026, month: 10 };
+
+    // 10월 28일 → 11월 4일: 10월 달력이면 마지막 주의 11월 4일 칸 (10월 4일이 아님)
+    assert.strictEqual(findDateCell(cells, { year: 2026, month: 11, day: 4 }, october).monthOffset, 1);
+    assert.strictEqual(findDateCell(cells, { year: 2026, month: 10, day: 4 }, october).monthOffset, 0);
+    assert.strictEqual(findDateCell(cells, { year: 2026, month: 11, day: 20 }, october), null);
+    assert.strictEqual(findDateCell(cells, { year: 2026, month: 9, day: 28 }, october).monthOffset, -1);
+
+    // 연/월을 모르면 이번 달 칸만 비교
+    assert.strictEqual(findDateCell(cells, { year: 2026, month: 11, day: 4 }, null).monthOffset, 0);
+});
+
+test('monthsBetween / calendarMonthUrl / isNextMonthControl', () => {
+    assert.strictEqual(monthsBetween({ year: 2026, month: 12 }, { year: 2027, month: 1 }), 1);
+    assert.strictEqual(monthsBetween({ year: 2026, month: 11 }, { year: 2026, month: 10 }), -1);
+    assert.strictEqual(calendarMonthUrl('https://a/yeapp/yeapp.php?tm=102&ym=2026-12', { year: 2027, month: 1 }), 'https://a/yeapp/yeapp.php?tm=102&ym=2027-01');
+    assert.ok(isNextMonthControl({ text: '▶', title: null }));
+    assert.ok(isNextMonthControl({ text: '', title: '다음 달' }));
+    assert.ok(!isNextMonthControl({ text: '◀', title: '이전 달' }));
+});
+
+// 표시 연/월과 날짜 칸을 흉내 내는 가짜 캘린더 페이지 (기본으로 열리는 달: siteMonth, ym 주소로 이동)
+function fakeCalendarPage(siteMonth, reservations) {
+    let shown = siteMonth;
+    let opened = null;
+    const cellDates = () => {
+        const first = { year: shown.year, month: shown.month, day: 1 };
+        const last = { ...first, day: daysInMonth(shown.year, shown.month) };
+        const dates = [];
+        for (let date = addDays(first, -weekdayOf(first)); dates.length < 7 || date.weekday !== 0 || monthsBetween(last, date) <= 0; date = addDays(date, 1)) {
+            dates.push(date);
+        }
+        return dates;
+    };
+    const url = () => `http://mock/yeapp/yeapp.php?tm=102&ym=${shown.year}-${String(shown.month).padStart(2, '0')}`;
+
+    return {
+        url,
+        async goto(address) {
+            const match = /ym=(\d{4})-(\d{2})/.exec(address);
+            shown = match ? { year: Number(match[1]), month: Number(match[2]) } : siteMonth;
+        },
+        async waitForTimeout() {},
+        async waitForSelector() {},
+        async evaluate(fn, index) {
+            if (fn === extractCalendarMonth) {
+                return { title: `${shown.year}년 ${shown.month}월`, text: '', url: url() };
+            }
+            if (fn === extractCalendarCells) {
+                return cellDates().map((date, cellIndex) => ({
+                    index: cellIndex,
+                    text: `${date.day}${reservations[formatDate(date)] ? '*' : ''}`,
+                    hasLink: true
+                }));
+            }
+            if (fn === clickNextMonth) {
+                return false;
+            }
+            if (fn === extractRawRows) {
+                const status = reservations[formatDate(opened)];
+                return status ? [{ index: 0, cells: [{ text: '09:30' }, { text: '김강사' }, { text: status }] }] : [];
+            }
+            opened = cellDates()[index];
+            return undefined;
+        }
+    };
+}
+
+test('listReservations: 캘린더가 다른 달로 열려도 표시 연/월 기준으로 이번 달/다음 달 예약 수집', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const config = parseConfig({ accounts: [{ name: '테스터', username: 'tester', password: 'secret' }] }, ENV);
+    const booking = new PreciseTimingPilatesBooking({ config, schedule: null, closures: null, clock: new SimulatedClock('2026-10-28T10:00:00+09:00') });
+    booking.log = async () => {};
+    booking.calendarUrl = 'http://mock/yeapp/yeapp.php?tm=102';
+
+    // 사이트는 11월 달력으로 열림, 11월 달력 앞쪽 10월 칸에도 10-30 * 표시
+    const page = fakeCalendarPage({ year: 2026, month: 11 }, { '2026-10-30': '예약완료', '2026-11-4': '대기완료' });
+    const reservations = await booking.listReservations(page);
+    assert.deepStrictEqual(reservations.map(item => [item.date, item.status]), [['2026-10-30', '예약완료'], ['2026-11-4', '대기완료']]);
+});
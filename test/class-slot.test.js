@@ -0,0 +1,55 @@
+// 시간표 행 파싱과 오픈 대기 폴링 상태 판정
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeSlot, parseTimetableRows, classifyOpening } = require('../lib/class-slot');
+
+// [시간, 예약 셀 텍스트, 링크 여부] → parseTimetableRows 결과
+function rows(...items) {
+    return parseTimetableRows(items.map(([time, action, hasLink], index) => ({
+        index,
+        cells: [
+            { text: time, hasLink: false },
+            { text: '김강사', hasLink: false },
+            { text: 'A룸', hasLink: false },
+            { text: action, hasLink }
+        ]
+    })));
+}
+
+const nineThirty = normalizeSlot({ time: '09:30' });
+const tenThirty = normalizeSlot({ time: '10:30' });
+
+test('classifyOpening: 시간표가 비어 있으면 NOT_OPEN', () => {
+    assert.strictEqual(classifyOpening([], [nineThirty]).state, 'NOT_OPEN');
+});
+
+test('classifyOpening: 예약하기/대기예약 링크 또는 이미 예약이면 OPEN', () => {
+    assert.strictEqual(classifyOpening(rows(['09:30', '예약하기', true]), [nineThirty]).state, 'OPEN');
+    assert.strictEqual(classifyOpening(rows(['09:30', '대기예약', true]), [nineThirty]).state, 'OPEN');
+    assert.strictEqual(classifyOpening(rows(['09:30', '예약완료 삭제', true]), [nineThirty]).state, 'OPEN');
+});
+
+test('classifyOpening: 예약 버튼이 아직 없으면 NOT_OPEN', () => {
+    const opening = classifyOpening(rows(['09:30', '오픈예정', false]), [nineThirty]);
+    assert.strictEqual(opening.state, 'NOT_OPEN');
+    assert.match(opening.message, /예약 버튼 미표시/);
+    assert.strictEqual(classifyOpening(rows(['09:30', '예약하기', false]), [nineThirty]).state, 'NOT_OPEN');
+});
+
+test('classifyOpening: 예약불가, 대기예약을 허용하지 않는 정원 초과는 FULL', () => {
+    assert.strictEqual(classifyOpening(rows(['09:30', '예약불가', false]), [nineThirty]).state, 'FULL');
+    const noWaitlist = normalizeSlot({ time: '09:30', waitlist: false });
+    assert.strictEqual(classifyOpening(rows(['09:30', '대기예약', true]), [noWaitlist]).state, 'FULL');
+});
+
+test('classifyOpening: 시간표에 선호 수업이 하나도 없으면 GONE', () => {
+    const opening = classifyOpening(rows(['11:00', '예약하기', true]), [nineThirty, tenThirty]);
+    assert.strictEqual(opening.state, 'GONE');
+    assert.strictEqual(opening.message, '시간표에 09:30, 10:30 수업 없음');
+});
+
+test('classifyOpening: 선호 수업 중 하나라도 열리면 OPEN', () => {
+    const opening = classifyOpening(rows(['09:30', '예약불가', false], ['10:30', '예약하기', true]), [nineThirty, tenThirty]);
+    assert.strictEqual(opening.state, 'OPEN');
+    assert.strictEqual(opening.message, '10:30 "예약하기"');
+});
@@ -0,0 +1,137 @@
+// 명령행 종료 코드와 라이브러리 주입 (설정/시계/브라우저)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT_CODES, exitCodeOf, main } = require('../bin/pilates');
+const { PreciseTimingPilatesBooking } = require('../booking-script');
+const { DAY_KEYS } = require('../lib/schedule');
+const { parseConfig } = require('../lib/config');
+const { useTempDir } = require('./helpers');
+
+const ENV = { ACCOUNTS_FILE: path.join(os.tmpdir(), 'pilates-no-accounts.json') };
+const ACCOUNTS = [{ name: '테스터', username: 'tester', password: 'secret' }];
+
+// 조용히 실행 (로그/표 출력 숨김)
+async function quietly(t, fn) {
+    for (const method of ['log', 'error', 'table']) {
+        t.mock.method(console, method, () => {});
+    }
+    return fn();
+}
+
+const fixedClock = { now: () => Date.parse('2026-10-19T01:00:00.000Z'), sleep: async () => {} };
+
+test('exitCodeOf: 결과 상태별 종료 코드', () => {
+    assert.strictEqual(exitCodeOf({ status: 'SUCCESS' }), EXIT_CODES.OK);
+    assert.strictEqual(exitCodeOf({ status: 'SCHEDULE_SKIP' }), EXIT_CODES.OK);
+    assert.strictEqual(exitCodeOf({ status: 'UNAVAILABLE' }), EXIT_CODES.OK);
+    assert.strictEqual(exitCodeOf({ status: 'FAILED' }), EXIT_CODES.FAILED);
+    assert.strictEqual(exitCodeOf({ status: 'CANCEL_FAILED' }), EXIT_CODES.FAILED);
+    assert.strictEqual(exitCodeOf({ status: 'LOGIN_FAILED' }), EXIT_CODES.LOGIN_FAILED);
+    assert.strictEqual(exitCodeOf({ status: 'PARTIAL', accounts: [{ status: 'SUCCESS' }, { status: 'LOGIN_FAILED' }] }), EXIT_CODES.LOGIN_FAILED);
+    assert.strictEqual(exitCodeOf({ status: 'PARTIAL', accounts: [{ status: 'LOGIN_FAILED' }, { status: 'FAILED' }] }), EXIT_CODES.FAILED);
+    assert.strictEqual(exitCodeOf({ count: 0, reservations: [], errors: [{ account: 'a', message: 'x' }] }), EXIT_CODES.FAILED);
+    assert.strictEqual(exitCodeOf({ watches: [{ status: 'WAITLISTED', error: null }, { status: 'BOOKED', error: null }] }), EXIT_CODES.OK);
+    assert.strictEqual(exitCodeOf({ watches: [{ status: 'WAITLISTED', error: null }, { status: null, error: '감시 대상 없음' }] }), EXIT_CODES.FAILED);
+    assert.strictEqual(exitCodeOf({ watches: [{ status: 'WAITLISTED', error: 'Navigation timeout' }] }), EXIT_CODES.FAILED);
+    assert.strictEqual(exitCodeOf({ watches: [{ status: null, error: '로그인 실패', loginFailed: true }] }), EXIT_CODES.LOGIN_FAILED);
+    assert.strictEqual(exitCodeOf(null), EXIT_CODES.OK);
+});
+
+test('main: 알 수 없는 명령/잘못된 인자는 사이트 접속 없이 USAGE', async (t) => {
+    const config = parseConfig({ accounts: ACCOUNTS }, ENV);
+    const browserFactory = t.mock.fn(async () => {
+        throw new Error('브라우저를 실행하면 안 됨');
+    });
+    await quietly(t, async () => {
+        assert.strictEqual(await main(['book-now'], { config, browserFactory }), EXIT_CODES.USAGE);
+        assert.strictEqual(await main(['list', '--all'], { config, browserFactory }), EXIT_CODES.USAGE);
+        assert.strictEqual(await main(['cancel', '--time', '09:30'], { config, browserFactory }), EXIT_CODES.USAGE);
+        assert.strictEqual(await main(['snapshot', '--export'], { config, browserFactory }), EXIT_CODES.USAGE);
+        assert.strictEqual(await main(['cancel', '--date', '2026-13-01'], { config, browserFactory }), EXIT_CODES.USAGE);
+        assert.strictEqual(await main(['cancel', '--date', '2026-10-25', '--time', '25:99'], { config, browserFactory }), EXIT_CODES.USAGE);
+        assert.strictEqual(await main(['watch', '--date', '2026-99-01'], { config, browserFactory }), EXIT_CODES.USAGE);
+        assert.strictEqual(await main(['snapshot', '--date', '2026-02-30'], { config, browserFactory }), EXIT_CODES.USAGE);
+        assert.strictEqual(await main(['report', '--since', '어제'], { config, browserFactory }), EXIT_CODES.USAGE);
+        assert.strictEqual(await main(['--help'], { config, browserFactory }), EXIT_CODES.OK);
+    });
+    assert.strictEqual(browserFactory.mock.callCount(), 0);
+});
+
+test('main: 계정 정보가 없으면 CONFIG, config 명령은 계정 없이 실행', async (t) => {
+    const config = parseConfig({}, ENV);
+    await quietly(t, async () => {
+        assert.strictEqual(await main(['list'], { config }), EXIT_CODES.CONFIG);
+        assert.strictEqual(await main(['config'], { config }), EXIT_CODES.OK);
+    });
+});
+
+test('run: 일정 스킵이면 브라우저 없이 결과 반환 (process.exit 없음)', async (t) => {
+    const dir = useTempDir(t, 'cli');
+    fs.writeFileSync(path.join(dir, 'schedule.json'), JSON.stringify({
+        leadDays: 0,
+        days: Object.fromEntries(DAY_KEYS.map(key => [key, { skip: '휴강' }]))
+    }));
+    const config = parseConfig({ accounts: ACCOUNTS, mode: { immediate: true } }, ENV);
+    const browserFactory = t.mock.fn();
+    const booking = new PreciseTimingPilatesBooking({ config, clock: fixedClock, browserFactory });
+
+    const result = await quietly(t, () => booking.run());
+    assert.match(result.status, /_SKIP$/);
+    assert.strictEqual(result.reason, '휴강');
+    assert.strictEqual(result.date, '2026-10-19');
+    assert.strictEqual(browserFactory.mock.callCount(), 0);
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'booking-result.json'), 'utf8')).status, result.status);
+});
+
+test('runCheckLogin: 주입한 브라우저로 실행, 실패는 결과와 종료 코드로', async (t) => {
+    const dir = useTempDir(t, 'cli');
+    const closed = [];
+    const browser = {
+        createIncognitoBrowserContext: async () => ({
+            newPage: async () => {
+                throw new Error('페이지 생성 실패');
+            },
+            close: async () => closed.push('context')
+        }),
+        close: async () => closed.push('browser')
+    };
+    const config = parseConfig({ accounts: ACCOUNTS }, ENV);
+
+    const code = await quietly(t, () => main(['check-login'], { config, clock: fixedClock, browserFactory: async () => browser }));
+    assert.strictEqual(code, EXIT_CODES.FAILED);
+    assert.deepStrictEqual(closed, ['context', 'browser']);
+
+    const result = JSON.parse(fs.readFileSync(path.join(dir, 'login-check.json'), 'utf8'));
+    assert.strictEqual(result.status, 'LOGIN_ERROR');
+    assert.strictEqual(result.accounts[0].message, '페이지 생성 실패');
+});
+
+test('watch: 조회가 계속 실패하면 FAILED, 로그인 거절이면 바로 LOGIN_FAILED', async (t) => {
+    useTempDir(t, 'cli');
+    const { SimulatedClock } = require('../lib/clock');
+    const config = parseConfig({ accounts: ACCOUNTS }, ENV);
+    const browserWith = failure => async () => ({
+        createIncognitoBrowserContext: async () => ({
+            newPage: async () => {
+                throw failure;
+            },
+            close: async () => {}
+        }),
+        close: async () => {}
+    });
+    const args = ['watch', '--date', '2026-10-25', '--time', '09:30', '--interval', '60', '--duration', '3'];
+
+    const clock = new SimulatedClock('2026-10-19T10:00:00+09:00');
+    const failing = await quietly(t, () => main(args, { config, clock, browserFactory: browserWith(new Error('Navigation timeout')) }));
+    assert.strictEqual(failing, EXIT_CODES.FAILED);
+    assert.strictEqual(clock.sleeps.length, 3, '감시 시간(3분) 동안 1분 간격으로 재조회');
+
+    const rejected = Object.assign(new Error('로그인 실패'), { loginFailed: true });
+    const loginClock = new SimulatedClock('2026-10-19T10:00:00+09:00');
+    const code = await quietly(t, () => main(args, { config, clock: loginClock, browserFactory: browserWith(rejected) }));
+    assert.strictEqual(code, EXIT_CODES.LOGIN_FAILED);
+    assert.deepStrictEqual(loginClock.sleeps, []);
+});
@@ -0,0 +1,130 @@
+// 가상 시계로 자정 대기 → 예약 순서를 실제 대기 없이 실행 (시작 시각별)
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { SimulatedClock, msUntilTarget } = require('../lib/clock');
+const { parseConfig } = require('../lib/config');
+const { PreciseTimingPilatesBooking } = require('../booking-script');
+const { waitUntilMidnight } = require('../wait-until-midnight');
+const { useTempDir } = require('./helpers');
+
+const ENV = { ACCOUNTS_FILE: path.join(os.tmpdir(), 'pilates-no-accounts.json') };
+const ACCOUNTS = [{ name: '테스터', username: 'tester', password: 'secret' }];
+
+// 한국 시각 문자열 → epoch ms
+const kst = text => Date.parse(`${text.replace(' ', 'T')}+09:00`);
+
+// 로그/결과 파일은 임시 디렉터리에, 콘솔 출력은 숨기고 모아 둠
+function sandbox(t) {
+    useTempDir(t, 'clock');
+    const output = [];
+    t.mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+    return output;
+}
+
+// 대기 → 예약 실행 (예약 단계는 가상 시계 시각만 기록)
+async function runBooking(t, start, timing = {}) {
+    sandbox(t);
+    const clock = new SimulatedClock(kst(start));
+    const config = parseConfig({
+        accounts: ACCOUNTS,
+        scheduleFile: path.join(os.tmpdir(), 'pilates-no-schedule.json'),
+        timing: { clockCalibration: false, targetTime: '00:01:00', ...timing }
+    }, ENV);
+    const booking = new PreciseTimingPilatesBooking({ config, clock, browserFactory: async () => ({ close: async () => {} }) });
+
+    let preparedAt = null;
+    let bookedAt = null;
+    booking.prepareSession = async () => {
+        preparedAt = clock.now();
+        return null;
+    };
+    booking.bookWithRetries = async () => {
+        bookedAt = clock.now();
+        return { status: 'SUCCESS', date: '2026-10-27', class: '09:30', retryCount: 0 };
+    };
+    const result = await booking.run();
+    assert.strictEqual(result.status, 'SUCCESS');
+    return { clock, booking, preparedAt, bookedAt };
+}
+
+test('msUntilTarget: 23시대 오전 목표는 다음날, 지난 목표는 음수', () => {
+    assert.strictEqual(msUntilTarget(kst('2026-10-19 23:55:00'), '00:01:00'), 6 * 60000);
+    assert.strictEqual(msUntilTarget(kst('2026-10-19 23:59:59.900'), '00:00:00'), 100);
+    assert.strictEqual(msUntilTarget(kst('2026-10-20 00:00:30'), '00:01:00'), 30000);
+    assert.strictEqual(msUntilTarget(kst('2026-10-20 00:05:00'), '00:01:00'), -4 * 60000);
+    assert.strictEqual(msUntilTarget(kst('2026-10-19 23:30:00'), '23:45:00'), 15 * 60000);
+});
+
+test('SimulatedClock: sleep은 기다리지 않고 시각만 이동', async () => {
+    const clock = new SimulatedClock('2026-10-19T23:55:00+09:00');
+    await clock.sleep(1500);
+    clock.advance(500);
+    assert.strictEqual(clock.now(), kst('2026-10-19 23:55:02'));
+    assert.strictEqual(clock.sleptMs, 1500);
+    assert.throws(() => new SimulatedClock('어제'), /잘못된 시작 시각/);
+});
+
+test('23:55 시작: 목표 시각 00:01:00 정각에 예약 시작', async (t) => {
+    const { bookedAt, booking } = await runBooking(t, '2026-10-19 23:55:00');
+    assert.strictEqual(bookedAt, kst('2026-10-20 00:01:00'));
+    assert.strictEqual(booking.targetInstant.getTime(), kst('2026-10-20 00:01:00'));
+});
+
+test('23:59:59 시작: 00:00:00 목표도 넘어서지 않고 정각에 시작', async (t) => {
+    const { bookedAt, clock } = await runBooking(t, '2026-10-19 23:59:59.250', { targetTime: '00:00:00' });
+    assert.strictEqual(bookedAt, kst('2026-10-20 00:00:00'));
+    assert.ok(clock.sleeps.every(ms => ms <= 200), '마지막 1초는 200ms 이하로 나눠 대기');
+});
+
+test('00:00:30 시작: 남은 30초만 대기', async (t) => {
+    const { bookedAt, clock } = await runBooking(t, '2026-10-20 00:00:30');
+    assert.strictEqual(bookedAt, kst('2026-10-20 00:01:00'));
+    assert.strictEqual(clock.sleptMs, 30000);
+});
+
+test('목표 시각 이후 시작: 대기 없이 즉시 예약', async (t) => {
+    const { bookedAt, clock, booking } = await runBooking(t, '2026-10-20 00:05:00');
+    assert.strictEqual(bookedAt, kst('2026-10-20 00:05:00'));
+    assert.deepStrictEqual(clock.sleeps, []);
+    assert.strictEqual(booking.targetInstant, null);
+});
+
+test('최대 대기 시간 초과: 대기 없이 즉시 예약', async (t) => {
+    const { bookedAt, clock } = await runBooking(t, '2026-10-19 23:30:00', { maxWaitMinutes: 20 });
+    assert.strictEqual(bookedAt, kst('2026-10-19 23:30:00'));
+    assert.deepStrictEqual(clock.sleeps, []);
+});
+
+test('사전 준비: 목표 PREWARM_MINUTES분 전에 준비하고 목표 시각에 예약', async (t) => {
+    const { preparedAt, bookedAt, booking } = await runBooking(t, '2026-10-19 23:50:00', { prewarm: true, prewarmMinutes: 3 });
+    assert.strictEqual(preparedAt, kst('2026-10-19 23:58:00'));
+    assert.strictEqual(bookedAt, kst('2026-10-20 00:01:00'));
+    assert.strictEqual(booking.targetInstant.getTime(), kst('2026-10-20 00:01:00'));
+});
+
+test('wait-until-midnight: 어느 시각에 시작해도 다음 자정까지 대기, 00시 00분대는 바로 종료', async (t) => {
+    const output = sandbox(t);
+    const config = parseConfig({ timing: { clockCalibration: false } }, ENV);
+
+    const evening = new SimulatedClock(kst('2026-10-19 23:55:00'));
+    await waitUntilMidnight({ config, clock: evening });
+    assert.strictEqual(evening.now(), kst('2026-10-20 00:00:00'));
+    assert.ok(output.includes('✅ 자정 00분 00초 도달!'));
+
+    // MAX_WAIT_MINUTES(20분)를 넘는 대기도 생략하지 않음
+    const early = new SimulatedClock(kst('2026-10-19 23:00:00'));
+    await waitUntilMidnight({ config, clock: early });
+    assert.strictEqual(early.now(), kst('2026-10-20 00:00:00'));
+
+    const morning = new SimulatedClock(kst('2026-10-19 10:30:00'));
+    await waitUntilMidnight({ config, clock: morning });
+    assert.strictEqual(morning.now(), kst('2026-10-20 00:00:00'));
+    assert.ok(morning.sleeps.every(ms => ms <= 60000));
+
+    const late = new SimulatedClock(kst('2026-10-20 00:00:30'));
+    await waitUntilMidnight({ config, clock: late });
+    assert.deepStrictEqual(late.sleeps, []);
+    assert.strictEqual(output[output.length - 1], '✅ 이미 자정입니다.');
+});
@@ -0,0 +1,161 @@
+// 휴무일(공휴일 + 센터 휴무일) 스킵, 워크플로우 사전 확인, 캘린더 X 날짜의 CLOSED 처리
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseClosures, loadClosures, findClosure } = require('../lib/closures');
+const { parseSchedule, loadSchedule, resolveBooking, resolveConfiguredBooking, skipStatusOf } = require('../lib/schedule');
+const { formatDate } = require('../lib/kst');
+const { SimulatedClock } = require('../lib/clock');
+const { parseConfig } = require('../lib/config');
+const { outcomeOf } = require('../lib/history');
+const { PreciseTimingPilatesBooking } = require('../booking-script');
+const { useTempDir } = require('./helpers');
+
+const ENV = { ACCOUNTS_FILE: path.join(os.tmpdir(), 'pilates-no-accounts.json') };
+const ACCOUNTS = [{ name: '테스터', username: 'tester', password: 'secret' }];
+const WEEKDAYS = parseSchedule({
+    leadDays: 7,
+    days: { mon: { time: '09:30' }, tue: { time: '09:30' }, wed: { time: '09:30' }, thu: { time: '09:30' }, fri: { time: '09:30' }, sat: { skip: '토요일 휴무' } }
+});
+
+const kst = text => Date.parse(`${text.replace(' ', 'T')}+09:00`);
+
+// 결과/로그 파일은 임시 디렉터리에, 콘솔 출력은 숨김
+function sandbox(t) {
+    t.mock.method(console, 'log', () => {});
+    return useTempDir(t, 'closures');
+}
+
+test('parseClosures: 날짜/기간 항목, 잘못된 날짜는 오류', () => {
+    const entries = parseClosures({ dates: { '2026-12-30~2027-1-1': '연말 휴관', '2026-11-4': '내부 공사' } }, 'closures.json', 'gym');
+    assert.deepStrictEqual(entries.map(entry => entry.date), ['2026-12-30', '2026-12-31', '2027-01-01', '2026-11-04']);
+    assert.strictEqual(entries[3].reason, '내부 공사');
+
+    assert.throws(() => parseClosures({}, 'closures.json', 'gym'), /"dates" 항목이 필요합니다/);
+    assert.throws(() => parseClosures({ dates: { '2026-02-30': '휴관' } }, 'closures.json', 'gym'), /잘못된 날짜 "2026-02-30"/);
+    assert.throws(() => parseClosures({ dates: { '2026-11-05~2026-11-01': '휴관' } }, 'closures.json', 'gym'), /잘못된 날짜/);
+    assert.throws(() => parseClosures({ dates: { '2026-11-05': '' } }, 'closures.json', 'gym'), /사유는 문자열/);
+    assert.throws(() => parseClosures({ dates: { '2026-01-01~2026-12-31': '휴관' } }, 'closures.json', 'gym'), /62일을 넘습니다/);
+});
+
+test('loadClosures: 공휴일 데이터 + 센터 휴무일 파일 (같은 날짜는 센터 사유 우선)', (t) => {
+    const dir = sandbox(t);
+    fs.writeFileSync(path.join(dir, 'closures.json'), JSON.stringify({ dates: { '2026-10-09': '한글날 특별 휴관', '2026-11-20': '내부 공사' } }));
+
+    const closures = loadClosures({ closuresFile: 'closures.json', skipHolidays: true });
+    assert.deepStrictEqual(closures.sources, ['공휴일', 'closures.json']);
+    assert.strictEqual(findClosure(closures, { year: 2026, month: 10, day: 5 }).reason, '개천절 대체공휴일');
+    assert.deepStrictEqual(findClosure(closures, { year: 2026, month: 10, day: 9 }), { date: '2026-10-09', reason: '한글날 특별 휴관', kind: 'gym' });
+    assert.strictEqual(findClosure(closures, { year: 2026, month: 10, day: 6 }), null);
+
+    const gymOnly = loadClosures({ closuresFile: 'closures.json', skipHolidays: false });
+    assert.strictEqual(findClosure(gymOnly, { year: 2026, month: 10, day: 5 }), null);
+    assert.strictEqual(findClosure(gymOnly, { year: 2026, month: 11, day: 20 }).kind, 'gym');
+    assert.deepStrictEqual(loadClosures({ closuresFile: 'missing.json', skipHolidays: false }).sources, []);
+});
+
+test('loadClosures/loadSchedule: 환경변수가 아닌 설정(loadConfig) 값 사용', (t) => {
+    const dir = sandbox(t);
+    fs.writeFileSync(path.join(dir, 'gym.json'), JSON.stringify({ dates: { '2026-11-20': '내부 공사' } }));
+    fs.writeFileSync(path.join(dir, 'other.json'), JSON.stringify({ dates: { '2026-11-21': '다른 파일' } }));
+    fs.writeFileSync(path.join(dir, 'weekly.json'), JSON.stringify({ days: { mon: { time: '09:30' } } }));
+
+    const saved = { ...process.env };
+    t.after(() => {
+        process.env = saved;
+    });
+    Object.assign(process.env, { CLOSURES_FILE: 'other.json', SKIP_HOLIDAYS: 'true', SCHEDULE_FILE: 'weekly.json' });
+
+    const config = parseConfig({ accounts: ACCOUNTS, closuresFile: 'gym.json', skipHolidays: false }, { ...ENV, SCHEDULE_FILE: 'missing.json' });
+    assert.deepStrictEqual(loadClosures(config).sources, ['gym.json']);
+    assert.strictEqual(loadSchedule(config.scheduleFile), null);
+    assert.strictEqual(loadSchedule(), null);
+});
+
+test('resolveBooking: 예약하는 날이 휴무일이면 HOLIDAY_SKIP, 일정상 스킵이 우선', () => {
+    const closures = loadClosures({ closuresFile: null, skipHolidays: true });
+
+    // 2026-10-02(금) 오픈 → 10-09(금) 한글날
+    const holiday = resolveBooking(WEEKDAYS, { year: 2026, month: 10, day: 2 }, closures);
+    assert.deepStrictEqual([holiday.skip, holiday.reason, skipStatusOf(holiday)], [true, '한글날 (공휴일)', 'HOLIDAY_SKIP']);
+    assert.strictEqual(holiday.slots[0].label, '09:30', '강제 실행용 일정 수업은 유지');
+
+    // 2026-09-26(토) 오픈 → 10-03(토) 개천절: 일정상 토요일 스킵
+    const weekend = resolveBooking(WEEKDAYS, { year: 2026, month: 9, day: 26 }, closures);
+    assert.deepStrictEqual([weekend.reason, skipStatusOf(weekend)], ['토요일 휴무', 'WEEKEND_SKIP']);
+
+    // 일정 파일이 없어도 휴무일은 스킵
+    assert.strictEqual(skipStatusOf(resolveBooking(null, { year: 2026, month: 12, day: 18 }, closures)), 'HOLIDAY_SKIP');
+    assert.strictEqual(resolveBooking(WEEKDAYS, { year: 2026, month: 10, day: 2 }).skip, false);
+});
+
+test('run: 대상 날짜가 공휴일이면 브라우저 없이 HOLIDAY_SKIP 결과', async (t) => {
+    const dir = sandbox(t);
+    const config = parseConfig({ accounts: ACCOUNTS, timing: { clockCalibration: false } }, ENV);
+    const browserFactory = t.mock.fn();
+    const booking = new PreciseTimingPilatesBooking({
+        config,
+        schedule: WEEKDAYS,
+        clock: new SimulatedClock(kst('2026-10-01 23:55:00')),
+        browserFactory
+    });
+
+    const result = await booking.run();
+    assert.deepStrictEqual([result.status, result.date, result.reason], ['HOLIDAY_SKIP', '2026-10-9', '한글날 (공휴일)']);
+    assert.strictEqual(outcomeOf(result.status), 'skip');
+    assert.strictEqual(browserFactory.mock.callCount(), 0);
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'booking-result.json'), 'utf8')).status, 'HOLIDAY_SKIP');
+});
+
+test('bookWithRetries: 마지막 시도까지 날짜가 X면 FAILED가 아닌 CLOSED', async (t) => {
+    sandbox(t);
+    const config = parseConfig({ accounts: ACCOUNTS, retries: { count: 2, delayMs: 0 } }, ENV);
+    const booking = new PreciseTimingPilatesBooking({ config, schedule: null, closures: null, clock: new SimulatedClock(kst('2026-10-20 00:01:00')) });
+    const browser = { createIncognitoBrowserContext: async () => ({ close: async () => {} }) };
+    booking.newPage = async () => ({});
+    booking.login = async () => {};
+    const navigate = t.mock.method(booking, 'navigateToBookingPage', async () => ({ year: 2026, month: 10, day: 27, clicked: false, closed: true }));
+    const findClassAndBook = t.mock.method(booking, 'findClassAndBook', async () => {
+        throw new Error('시간표를 열지 않았음');
+    });
+
+    const result = await booking.bookWithRetries(browser);
+    assert.deepStrictEqual([result.status, result.date, result.retryCount], ['CLOSED', '2026-10-27', 1]);
+    assert.match(result.message, /27일 예약 불가 \(캘린더 X\)/);
+    assert.strictEqual(navigate.mock.callCount(), 2, '오픈 지연일 수 있어 한 번은 재시도');
+    assert.strictEqual(findClassAndBook.mock.callCount(), 0);
+    assert.strictEqual(outcomeOf(result.status), 'skip');
+});
+
+test('resolveConfiguredBooking/워크플로우 확인: 설정 파일의 scheduleFile, closuresFile, skipHolidays 사용', (t) => {
+    const dir = sandbox(t);
+    const everyDay = Object.fromEntries(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].map(day => [day, { time: '09:30' }]));
+    fs.writeFileSync(path.join(dir, 'weekly.json'), JSON.stringify({ leadDays: 7, days: everyDay }));
+    fs.writeFileSync(path.join(dir, 'gym.json'), JSON.stringify({ dates: { '2026-10-27': '내부 공사' } }));
+
+    // 2026-10-02 오픈 → 10-09 한글날: 설정에서 공휴일을 끄면 예약
+    const config = parseConfig({ accounts: ACCOUNTS, scheduleFile: 'weekly.json', closuresFile: 'gym.json', skipHolidays: false }, ENV);
+    assert.strictEqual(resolveConfiguredBooking(config, kst('2026-10-02 10:00:00')).skip, false);
+    const gym = resolveConfiguredBooking(config, kst('2026-10-19 23:55:00'));
+    assert.deepStrictEqual([formatDate(gym.targetDate), gym.reason, skipStatusOf(gym)], ['2026-10-27', '내부 공사 (센터 휴무)', 'HOLIDAY_SKIP']);
+
+    // 예약 스크립트와 같은 opening 날짜 계산 (즉시 실행이면 오늘 기준)
+    const immediate = parseConfig({ accounts: ACCOUNTS, scheduleFile: 'weekly.json', closuresFile: 'gym.json', mode: { immediate: true } }, ENV);
+    assert.strictEqual(formatDate(resolveConfiguredBooking(immediate, kst('2026-10-19 23:55:00')).targetDate), '2026-10-26');
+
+    // node lib/schedule.js: 설정 파일(CONFIG_FILE)의 일정을 읽음 (모든 요일 스킵 일정)
+    const skipAll = Object.fromEntries(Object.keys(everyDay).map(day => [day, { skip: '설정 파일 일정' }]));
+    fs.writeFileSync(path.join(dir, 'skip-all.json'), JSON.stringify({ days: skipAll }));
+    fs.writeFileSync(path.join(dir, 'custom.config.json'), JSON.stringify({ scheduleFile: 'skip-all.json', skipHolidays: false }));
+    const env = { ...process.env, CONFIG_FILE: 'custom.config.json' };
+    for (const key of ['SCHEDULE_FILE', 'CLOSURES_FILE', 'SKIP_HOLIDAYS', 'TARGET_TIME']) {
+        delete env[key];
+    }
+    const output = spawnSync(process.execPath, [path.join(__dirname, '..', 'lib', 'schedule.js'), '00:01:00'], { cwd: dir, env, encoding: 'utf8', timeout: 30000 });
+    assert.strictEqual(output.status, 0, output.stderr);
+    assert.match(output.stdout, /^should_run=false$/m);
+    assert.match(output.stdout, /^skip_reason=설정 파일 일정$/m);
+});
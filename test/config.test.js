@@ -0,0 +1,121 @@
+// 설정 파일 + 환경변수 덮어쓰기와 값 검증
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SETTINGS, parseValue, parseConfig, loadConfig } = require('../lib/config');
+
+// 계정 파일/환경변수 영향을 받지 않도록 없는 accounts.json 경로 지정
+const ENV = { ACCOUNTS_FILE: path.join(os.tmpdir(), 'pilates-no-accounts.json') };
+const setting = key => SETTINGS.find(item => item.key === key);
+
+test('parseConfig: 파일/환경변수가 없으면 기본값', () => {
+    const config = parseConfig({}, ENV);
+    assert.strictEqual(config.site.baseUrl, 'https://ad2.mbgym.kr');
+    assert.strictEqual(config.site.engine, 'browser');
+    assert.strictEqual(config.timing.targetTime, '00:01:00');
+    assert.strictEqual(config.timing.clockCalibration, true);
+    assert.strictEqual(config.retries.count, 2);
+    assert.strictEqual(config.artifacts.screenshotQuality, 50);
+    assert.strictEqual(config.notifications.on, null);
+    assert.deepStrictEqual(config.slots.map(slot => slot.label), ['09:30']);
+    assert.strictEqual(config.accounts, null);
+});
+
+test('parseConfig: 설정 파일 값, 환경변수가 우선', () => {
+    const raw = {
+        site: { baseUrl: 'https://example.com/', engine: 'http' },
+        timing: { targetTime: '0:02', prewarm: true },
+        retries: { count: 3 },
+        slots: [{ time: '19:30', instructor: '김강사' }, { time: '20:30' }],
+        notifications: { on: ['SUCCESS', 'FAILED'] }
+    };
+    const config = parseConfig(raw, { ...ENV, RETRY_COUNT: '5', PREWARM: 'false', NOTIFY_ON: '' });
+
+    assert.strictEqual(config.site.baseUrl, 'https://example.com');
+    assert.strictEqual(config.site.engine, 'http');
+    assert.strictEqual(config.timing.targetTime, '00:02:00');
+    assert.strictEqual(config.timing.prewarm, false);
+    assert.strictEqual(config.retries.count, 5);
+    assert.deepStrictEqual(config.notifications.on, ['SUCCESS', 'FAILED']);
+    assert.deepStrictEqual(config.slots.map(slot => slot.label), ['19:30 (김강사)', '20:30']);
+    assert.deepStrictEqual(parseConfig(raw, { ...ENV, CLASS_TIME: '07:00' }).slots.map(slot => slot.label), ['07:00']);
+});
+
+test('parseConfig: 설정 파일 accounts, PILATES_ACCOUNTS가 우선', () => {
+    const raw = { accounts: [{ name: '파일', username: 'file', password: '1' }] };
+    assert.deepStrictEqual(parseConfig(raw, ENV).accounts.map(account => account.name), ['파일']);
+
+    const env = { ...ENV, PILATES_ACCOUNTS: JSON.stringify([{ name: '시크릿', username: 'secret', password: '2' }]) };
+    assert.deepStrictEqual(parseConfig(raw, env).accounts.map(account => account.name), ['시크릿']);
+    assert.deepStrictEqual(parseConfig({}, { ...ENV, PILATES_USERNAME: 'me', PILATES_PASSWORD: '3' }).accounts.map(account => account.username), ['me']);
+});
+
+test('parseConfig: 잘못된 값은 모두 모아서 오류', () => {
+    const raw = {
+        timing: { maxWaitMinutes: 0 },
+        retries: { cout: 3 },
+        artifact: {},
+        slots: [{ time: '25:00' }]
+    };
+    const env = { ...ENV, TARGET_TIME: '00:01:30:00', RETRY_COUNT: 'two', BOOKING_ENGINE: 'curl', PILATES_BASE_URL: 'ad2.mbgym.kr' };
+
+    assert.throws(() => parseConfig(raw, env, 'my.json'), error => {
+        assert.match(error.message, /^잘못된 설정 8건/);
+        assert.deepStrictEqual(error.configErrors.map(message => message.split(':')[0]), [
+            'my.json',
+            'my.json',
+            'PILATES_BASE_URL',
+            'BOOKING_ENGINE',
+            'TARGET_TIME',
+            'my.json timing.maxWaitMinutes',
+            'RETRY_COUNT',
+            'my.json slots'
+        ]);
+        assert.match(error.configErrors[0], /알 수 없는 설정 "retries.cout"/);
+        assert.match(error.configErrors[1], /알 수 없는 설정 "artifact"/);
+        assert.match(error.configErrors[4], /HH:MM 또는 HH:MM:SS 형식의 시각이어야 합니다 \("00:01:30:00"\)/);
+        return true;
+    });
+});
+
+test('parseValue: 형식별 변환과 범위', () => {
+    assert.strictEqual(parseValue(setting('timing.targetTime'), '7:05:09', true), '07:05:09');
+    assert.throws(() => parseValue(setting('timing.targetTime'), '00:60', true), /시각/);
+    assert.strictEqual(parseValue(setting('timing.prewarmMinutes'), '1.5', true), 1.5);
+    assert.throws(() => parseValue(setting('retries.count'), '1.5', true), /정수/);
+    assert.throws(() => parseValue(setting('retries.count'), 0, false), /1~10이어야 합니다/);
+    assert.throws(() => parseValue(setting('timing.keepAliveSeconds'), 5, false), /10 이상이어야 합니다/);
+    assert.throws(() => parseValue(setting('retries.count'), '3', false), /정수/);
+    assert.strictEqual(parseValue(setting('mode.test'), 'true', true), true);
+    assert.throws(() => parseValue(setting('mode.test'), 'true', false), /true 또는 false/);
+    assert.deepStrictEqual(parseValue(setting('notifications.on'), 'SUCCESS, FAILED,', true), ['SUCCESS', 'FAILED']);
+    assert.throws(() => parseValue(setting('notifications.webhookUrl'), 'ftp://example.com', true), /http\(s\) 주소/);
+});
+
+test('parseConfig: 충돌 재요청 최대 대기는 시작 대기 이상', () => {
+    assert.throws(() => parseConfig({ retries: { conflictBackoffMs: 3000, conflictBackoffMaxMs: 1000 } }, ENV),
+        /conflictBackoffMaxMs\(1000\)는 conflictBackoffMs\(3000\) 이상/);
+});
+
+test('loadConfig: CONFIG_FILE 경로, 없는 파일/JSON 오류', (t) => {
+    const file = path.join(os.tmpdir(), `pilates-config-${process.pid}.json`);
+    t.after(() => fs.rmSync(file, { force: true }));
+
+    fs.writeFileSync(file, JSON.stringify({ timing: { targetTime: '00:00:30' } }));
+    const config = loadConfig({ ...ENV, CONFIG_FILE: file });
+    assert.strictEqual(config.source, file);
+    assert.strictEqual(config.timing.targetTime, '00:00:30');
+
+    fs.writeFileSync(file, '{ "timing": ');
+    assert.throws(() => loadConfig({ ...ENV, CONFIG_FILE: file }), /JSON 파싱 실패/);
+    assert.throws(() => loadConfig({ ...ENV, CONFIG_FILE: `${file}.missing` }), /설정 파일을 찾을 수 없음/);
+    assert.strictEqual(loadConfig(ENV, `${file}.missing`).source, null);
+});
+
+test('pilates.config.example.json: 예제 설정은 유효', () => {
+    const file = path.join(__dirname, '..', 'pilates.config.example.json');
+    const config = parseConfig(JSON.parse(fs.readFileSync(file, 'utf8')), ENV, file);
+    assert.deepStrictEqual(config.slots.map(slot => [slot.time, slot.waitlist]), [['09:30', true], ['10:30', false]]);
+});
@@ -0,0 +1,458 @@
+// 모의 예약 사이트를 대상으로 명령행(bin/pilates.js) 전체 흐름 실행 (결과 상태별)
+// Chrome을 실행할 수 없는 환경에서는 건너뜀
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { MockSite, MESSAGES, kstToday } = require('./mock-site');
+const { DAY_KEYS } = require('../lib/schedule');
+const { addDays, daysInMonth, formatDate } = require('../lib/kst');
+const { historyEntries, loadHistory } = require('../lib/history');
+const { loadSnapshots } = require('../lib/snapshot');
+
+const SCRIPT = path.join(__dirname, '..', 'bin', 'pilates.js');
+const LEGACY_SCRIPT = path.join(__dirname, '..', 'booking-script.js');
+const RUN_TIMEOUT = 120000;
+
+const TODAY = kstToday();
+const TODAY_RESULT_DATE = TODAY.split('-').map(Number).join('-');
+
+let browserError = null;
+
+test.before(async () => {
+    try {
+        const browser = await puppeteer.launch({ headless: 'new', args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+        await browser.close();
+    } catch (error) {
+        browserError = error.message.split('\n')[0];
+    }
+});
+
+// 오늘(leadDays 0)을 대상으로 모든 요일에 같은 수업을 예약하는 일정
+function everyDaySchedule(entry = { time: '09:30' }) {
+    return { leadDays: 0, days: Object.fromEntries(DAY_KEYS.map(key => [key, entry])) };
+}
+
+// 임시 작업 디렉터리에서 스크립트 실행 → { code, output, result, history }
+async function runScript(site, { args = [], env = {}, schedule = everyDaySchedule(), resultFile = 'booking-result.json', script = SCRIPT } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pilates-e2e-'));
+    fs.writeFileSync(path.join(dir, 'schedule.json'), JSON.stringify(schedule));
+
+    const childEnv = {
+        PATH: process.env.PATH,
+        HOME: process.env.HOME,
+        PILATES_BASE_URL: site.url,
+        PILATES_USERNAME: 'tester',
+        PILATES_PASSWORD: 'secret',
+        SCHEDULE_FILE: path.join(dir, 'schedule.json'),
+        SKIP_HOLIDAYS: 'false',
+        IMMEDIATE_MODE: 'true',
+        RETRY_COUNT: '2',
+        ...env
+    };
+    for (const [key, value] of Object.entries(process.env)) {
+        if (key.startsWith('PUPPETEER_')) {
+            childEnv[key] = value;
+        }
+    }
+
+    const { code, output } = await new Promise(resolve => {
+        execFile(process.execPath, [script, ...args], { cwd: dir, env: childEnv, timeout: RUN_TIMEOUT }, (error, stdout, stderr) => {
+            resolve({ code: error ? (error.code ?? 1) : 0, output: `${stdout}${stderr}` });
+        });
+    });
+
+    const resultPath = path.join(dir, resultFile);
+    const result = fs.existsSync(resultPath) ? JSON.parse(fs.readFileSync(resultPath, 'utf8')) : null;
+    const history = loadHistory(path.join(dir, env.TEST_MODE === 'true' ? 'test-booking-history.jsonl' : 'booking-history.jsonl'));
+    fs.rmSync(dir, { recursive: true, force: true });
+    return { code, output, result, history };
+}
+
+// 시나리오마다 새 모의 사이트 (needsBrowser: false면 브라우저 없이도 실행)
+async function withSite(t, options, fn, { needsBrowser = true } = {}) {
+    if (needsBrowser && browserError) {
+        t.skip(`브라우저 실행 불가: ${browserError}`);
+        return;
+    }
+    const site = new MockSite(options);
+    await site.start();
+    try {
+        await fn(site);
+    } finally {
+        await site.close();
+    }
+}
+
+const openClass = { time: '09:30', instructor: '김강사', room: 'A룸', state: 'open' };
+const fullClass = { ...openClass, state: 'full' };
+const closedClass = { ...openClass, state: 'closed' };
+
+test('SUCCESS: 예약하기 → Submit → 예약완료 검증', async (t) => {
+    await withSite(t, { classes: [openClass] }, async (site) => {
+        const { code, result, output } = await runScript(site);
+        assert.strictEqual(code, 0, output);
+        assert.strictEqual(result.status, 'SUCCESS');
+        assert.strictEqual(result.date, TODAY_RESULT_DATE);
+        assert.strictEqual(result.verification, 'CONFIRMED');
+        assert.strictEqual(site.getReservation('tester', TODAY, '09:30'), 'BOOKED');
+    });
+});
+
+test('WAITING: 정원 초과 confirm 수락 → 대기완료 검증', async (t) => {
+    await withSite(t, { classes: [fullClass] }, async (site) => {
+        const { code, result, output } = await runScript(site);
+        assert.strictEqual(code, 0, output);
+        assert.strictEqual(result.status, 'WAITING');
+        assert.strictEqual(result.verification, 'WAITLISTED');
+        assert.strictEqual(site.getReservation('tester', TODAY, '09:30'), 'WAITLISTED');
+        assert.deepStrictEqual([result.slot.time, result.slot.label], ['09:30', '09:30'], '감시용 수업 전체 기록');
+    });
+});
+
+test('ALREADY_BOOKED / ALREADY_WAITING: 기존 예약은 다시 누르지 않음', async (t) => {
+    for (const [status, expected] of [['BOOKED', 'ALREADY_BOOKED'], ['WAITLISTED', 'ALREADY_WAITING']]) {
+        await withSite(t, { classes: [openClass] }, async (site) => {
+            site.setReservation('tester', TODAY, '09:30', status);
+            const { code, result, output } = await runScript(site);
+            assert.strictEqual(code, 0, output);
+            assert.strictEqual(result.status, expected);
+            assert.ok(!site.requests.some(request => request.path === '/yeapp/res_form.php'));
+        });
+    }
+});
+
+test('UNAVAILABLE: 예약불가 수업', async (t) => {
+    await withSite(t, { classes: [closedClass] }, async (site) => {
+        const { code, result, output } = await runScript(site);
+        assert.strictEqual(code, 0, output);
+        assert.strictEqual(result.status, 'UNAVAILABLE');
+        assert.deepStrictEqual(site.reservationsOf('tester'), []);
+    });
+});
+
+test('FAILED: 시간표에 없는 수업은 재시도 후 실패', async (t) => {
+    await withSite(t, { classes: [openClass] }, async (site) => {
+        const { code, result } = await runScript(site, { schedule: everyDaySchedule({ time: '11:00' }) });
+        assert.strictEqual(code, 1);
+        assert.strictEqual(result.status, 'FAILED');
+        assert.strictEqual(result.retryCount, 2);
+    });
+});
+
+test('동시신청 충돌 alert 후 같은 페이지에서 재요청해 SUCCESS', async (t) => {
+    await withSite(t, { classes: [openClass], conflicts: 2 }, async (site) => {
+        const { code, result, output } = await runScript(site);
+        assert.strictEqual(code, 0, output);
+        assert.strictEqual(result.status, 'SUCCESS');
+        assert.strictEqual(result.retryCount, 0);
+        assert.deepStrictEqual(result.attempts.map(attempt => attempt.outcome), ['CONFLICT', 'CONFLICT', 'BOOKED']);
+        assert.deepStrictEqual(result.attempts[0].dialogs, [MESSAGES.conflict]);
+
+        // 로그인은 한 번만 (컨텍스트를 새로 만들지 않음)
+        assert.strictEqual(site.requests.filter(request => request.method === 'POST' && request.path === '/yeapp/yeapp.php').length, 1);
+    });
+});
+
+test('동시신청 충돌이 시간 예산을 넘으면 새 컨텍스트로 재시도', async (t) => {
+    await withSite(t, { classes: [openClass], conflicts: 100 }, async (site) => {
+        const { code, result } = await runScript(site, {
+            env: { CONFLICT_BUDGET_MS: '1000', CONFLICT_BACKOFF_MS: '200' }
+        });
+        assert.strictEqual(code, 1);
+        assert.strictEqual(result.status, 'FAILED');
+        assert.ok(result.attempts.length >= 2 * 2, `${result.attempts.length}회`);
+        assert.ok(result.attempts.every(attempt => attempt.outcome === 'CONFLICT'));
+    });
+});
+
+test('BOOKING_ENGINE=http: HTTP 요청으로 예약 후 브라우저로 검증', async (t) => {
+    await withSite(t, { classes: [openClass] }, async (site) => {
+        const { code, result, output } = await runScript(site, { env: { BOOKING_ENGINE: 'http' } });
+        assert.strictEqual(code, 0, output);
+        assert.strictEqual(result.status, 'SUCCESS');
+        assert.strictEqual(result.engine, 'http');
+        assert.strictEqual(result.verification, 'CONFIRMED');
+    });
+});
+
+test('TEST: 테스트 모드는 Submit 하지 않음', async (t) => {
+    await withSite(t, { classes: [openClass] }, async (site) => {
+        const { code, result, output } = await runScript(site, { env: { TEST_MODE: 'true' }, resultFile: 'test-result.json' });
+        assert.strictEqual(code, 0, output);
+        assert.strictEqual(result.status, 'TEST');
+        assert.deepStrictEqual(site.reservationsOf('tester'), []);
+    });
+});
+
+test('PREWARM: 목표 시각 전에 로그인, 목표 시각에는 새로고침 후 클릭', async (t) => {
+    // 목표 시각 = 지금(KST) + 15초, 사전 준비는 6초 전
+    const target = new Date(Date.now() + 9 * 60 * 60 * 1000 + 15000);
+    if (target.toISOString().slice(0, 10) !== TODAY) {
+        t.skip('자정 직전에는 목표 날짜가 바뀜');
+        return;
+    }
+
+    await withSite(t, { classes: [openClass] }, async (site) => {
+        const { code, result, output } = await runScript(site, {
+            env: {
+                IMMEDIATE_MODE: 'false',
+                TARGET_TIME: target.toISOString().slice(11, 19),
+                PREWARM: 'true',
+                PREWARM_MINUTES: '0.1'
+            }
+        });
+        assert.strictEqual(code, 0, output);
+        assert.strictEqual(result.status, 'SUCCESS');
+        assert.strictEqual(result.timing.prewarmed, true);
+        assert.ok(result.timing.timeToClickMs >= 0 && result.timing.timeToClickMs < 10000, `${result.timing.timeToClickMs}ms`);
+
+        // 로그인은 목표 시각 전에 한 번만
+        assert.strictEqual(site.requests.filter(request => request.method === 'POST' && request.path === '/yeapp/yeapp.php').length, 1);
+    });
+});
+
+test('POLL_UNTIL_OPEN: 날짜가 X인 동안 재시도 대신 폴링 후 예약', async (t) => {
+    await withSite(t, { classes: [openClass], opensAt: Date.now() + 8000 }, async (site) => {
+        const { code, result, output } = await runScript(site, {
+            env: { POLL_UNTIL_OPEN: 'true', POLL_INTERVAL_MS: '200', POLL_WINDOW_SECONDS: '30' }
+        });
+        assert.strictEqual(code, 0, output);
+        assert.strictEqual(result.status, 'SUCCESS');
+        assert.strictEqual(result.retryCount, 0);
+        assert.strictEqual(result.opening.state, 'OPEN');
+        assert.ok(result.opening.polls > 1, `${result.opening.polls}회`);
+    });
+});
+
+test('POLL_UNTIL_OPEN: 시간표에 수업이 없으면 GONE으로 폴링 중단', async (t) => {
+    await withSite(t, { classes: [openClass] }, async (site) => {
+        const { code, result } = await runScript(site, {
+            schedule: everyDaySchedule({ time: '11:00' }),
+            env: { POLL_UNTIL_OPEN: 'true', RETRY_COUNT: '1' }
+        });
+        assert.strictEqual(code, 1);
+        assert.strictEqual(result.status, 'FAILED');
+        assert.strictEqual(result.opening.state, 'GONE');
+        assert.strictEqual(result.opening.polls, 1);
+    });
+});
+
+test('월말: 다음 달 4일은 캘린더를 넘겨 예약 (이번 달 4일 칸을 누르지 않음)', async (t) => {
+    const [year, month, day] = TODAY.split('-').map(Number);
+    const leadDays = daysInMonth(year, month) - day + 4;
+    const target = addDays({ year, month, day }, leadDays);
+    const targetKey = `${target.year}-${String(target.month).padStart(2, '0')}-04`;
+
+    for (const engine of ['browser', 'http']) {
+        await withSite(t, { classes: [openClass], adjacentDays: true }, async (site) => {
+            const { code, result, output } = await runScript(site, {
+                schedule: { ...everyDaySchedule(), leadDays },
+                env: { BOOKING_ENGINE: engine }
+            });
+            assert.strictEqual(code, 0, output);
+            assert.strictEqual(result.status, 'SUCCESS');
+            assert.strictEqual(result.date, formatDate(target));
+            assert.strictEqual(result.engine, engine);
+            assert.deepStrictEqual(site.reservationsOf('tester'), [{ date: targetKey, time: '09:30', status: 'BOOKED' }]);
+        });
+    }
+});
+
+test('WEEKEND_SKIP / SCHEDULE_SKIP: 일정상 스킵하는 요일', async (t) => {
+    await withSite(t, {}, async (site) => {
+        const { code, result, output, history } = await runScript(site, { schedule: everyDaySchedule({ skip: '휴강' }) });
+        const weekday = new Date(`${TODAY}T00:00:00Z`).getUTCDay();
+        assert.strictEqual(code, 0, output);
+        assert.strictEqual(result.status, weekday === 0 || weekday === 6 ? 'WEEKEND_SKIP' : 'SCHEDULE_SKIP');
+        assert.strictEqual(result.reason, '휴강');
+        assert.deepStrictEqual(history.map(entry => [entry.date, entry.status, entry.outcome]), [[TODAY_RESULT_DATE, result.status, 'skip']]);
+        assert.deepStrictEqual(site.requests, []);
+    }, { needsBrowser: false });
+});
+
+test('HOLIDAY_SKIP: 센터 휴무일 파일에 있는 날짜는 사이트 접속 없이 스킵', async (t) => {
+    const file = path.join(os.tmpdir(), `pilates-e2e-closures-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ dates: { [TODAY]: '내부 공사' } }));
+    t.after(() => fs.rmSync(file, { force: true }));
+
+    await withSite(t, {}, async (site) => {
+        const { code, result, output, history } = await runScript(site, { env: { CLOSURES_FILE: file } });
+        assert.strictEqual(code, 0, output);
+        assert.strictEqual(result.status, 'HOLIDAY_SKIP');
+        assert.strictEqual(result.reason, '내부 공사 (센터 휴무)');
+        assert.deepStrictEqual(history.map(entry => [entry.status, entry.outcome]), [['HOLIDAY_SKIP', 'skip']]);
+        assert.deepStrictEqual(site.requests, []);
+    }, { needsBrowser: false });
+});
+
+test('CLOSED: 캘린더에 X로 표시된 날짜는 실패가 아닌 CLOSED', async (t) => {
+    await withSite(t, { classes: [openClass], closedDays: [TODAY] }, async (site) => {
+        const { code, result, output, history } = await runScript(site);
+        assert.strictEqual(code, 0, output);
+        assert.strictEqual(result.status, 'CLOSED');
+        assert.strictEqual(result.retryCount, 1);
+        assert.deepStrictEqual(history.map(entry => entry.outcome), ['skip']);
+        assert.deepStrictEqual(site.reservationsOf('tester'), []);
+    });
+});
+
+test('PARTIAL: 다중 계정 중 일부 계정만 FAILED', async (t) => {
+    await withSite(t, { users: { tester: 'secret', other: 'secret' }, classes: [openClass] }, async (site) => {
+        const accounts = [
+            { name: '정상', username: 'tester', password: 'secret' },
+            { name: '오류', username: 'other', password: 'secret', slot: { time: '11:00' } }
+        ];
+        const { code, result, history } = await runScript(site, { env: { PILATES_ACCOUNTS: JSON.stringify(accounts), RETRY_COUNT: '1' } });
+        assert.strictEqual(code, 1);
+        assert.strictEqual(result.status, 'PARTIAL');
+        assert.deepStrictEqual(result.accounts.map(item => [item.account, item.status]), [['정상', 'SUCCESS'], ['오류', 'FAILED']]);
+        assert.deepStrictEqual(history.map(entry => [entry.account, entry.outcome]), [['정상', 'booked'], ['오류', 'failed']]);
+        assert.strictEqual(site.getReservation('tester', TODAY, '09:30'), 'BOOKED');
+    });
+});
+
+test('LOGIN_FAILED: 잘못된 비밀번호는 재시도 없이 중단', async (t) => {
+    await withSite(t, { classes: [openClass] }, async (site) => {
+        const { code, result } = await runScript(site, { env: { PILATES_PASSWORD: 'wrong' } });
+        assert.strictEqual(code, 4);
+        assert.strictEqual(result.status, 'LOGIN_FAILED');
+        assert.strictEqual(result.retryCount, 0);
+        assert.match(result.message, new RegExp(MESSAGES.loginFailed));
+        assert.strictEqual(site.requests.filter(request => request.method === 'POST' && request.path === '/yeapp/yeapp.php').length, 1);
+    });
+});
+
+test('check-login: 계정별 로그인 확인', async (t) => {
+    await withSite(t, { users: { tester: 'secret', other: 'secret' } }, async (site) => {
+        const accounts = [
+            { name: '정상', username: 'tester', password: 'secret' },
+            { name: '오류', username: 'other', password: 'wrong' }
+        ];
+        const { code, result } = await runScript(site, {
+            args: ['check-login'],
+            env: { PILATES_ACCOUNTS: JSON.stringify(accounts) },
+            resultFile: 'login-check.json'
+        });
+        assert.strictEqual(code, 4);
+        assert.strictEqual(result.status, 'LOGIN_FAILED');
+        assert.deepStrictEqual(result.accounts.map(item => [item.account, item.status]), [['정상', 'LOGIN_OK'], ['오류', 'LOGIN_FAILED']]);
+
+        const single = await runScript(site, { args: ['check-login'], resultFile: 'login-check.json' });
+        assert.strictEqual(single.code, 0, single.output);
+        assert.strictEqual(single.result.status, 'LOGIN_OK');
+    });
+});
+
+test('cancel: CANCELLED / NOT_BOOKED', async (t) => {
+    await withSite(t, { classes: [openClass] }, async (site) => {
+        site.setReservation('tester', TODAY, '09:30', 'BOOKED');
+        const cancelArgs = ['cancel', '--date', TODAY, '--time', '09:30'];
+
+        const first = await runScript(site, { args: cancelArgs, resultFile: 'cancel-result.json' });
+        assert.strictEqual(first.code, 0, first.output);
+        assert.strictEqual(first.result.status, 'CANCELLED');
+        assert.strictEqual(site.getReservation('tester', TODAY, '09:30'), undefined);
+
+        const second = await runScript(site, { args: cancelArgs, resultFile: 'cancel-result.json' });
+        assert.strictEqual(second.code, 0, second.output);
+        assert.strictEqual(second.result.status, 'NOT_BOOKED');
+    });
+});
+
+test('list: 캘린더 * 날짜의 예약 목록', async (t) => {
+    await withSite(t, { classes: [openClass, { ...fullClass, time: '10:30' }] }, async (site) => {
+        site.setReservation('tester', TODAY, '09:30', 'BOOKED');
+        site.setReservation('tester', TODAY, '10:30', 'WAITLISTED');
+
+        const { code, result, output } = await runScript(site, { args: ['list'], resultFile: 'reservations.json' });
+        assert.strictEqual(code, 0, output);
+        assert.deepStrictEqual(result.reservations.map(item => [item.date, item.time, item.status]), [
+            [TODAY_RESULT_DATE, '09:30', '예약완료'],
+            [TODAY_RESULT_DATE, '10:30', '대기완료']
+        ]);
+    });
+});
+
+test('snapshot: 날짜 시간표 전체 행 저장 후 CSV 내보내기', async (t) => {
+    await withSite(t, { classes: [openClass, { ...fullClass, time: '10:30', instructor: '이강사' }] }, async (site) => {
+        const file = path.join(os.tmpdir(), `pilates-snapshots-${process.pid}.jsonl`);
+        const csv = path.join(os.tmpdir(), `pilates-snapshots-${process.pid}.csv`);
+        t.after(() => [file, csv].forEach(item => fs.rmSync(item, { force: true })));
+
+        const { code, output } = await runScript(site, {
+            args: ['snapshot', '--date', TODAY, '--count', '2', '--interval', '5', '--file', file, '--csv', csv]
+        });
+        assert.strictEqual(code, 0, output);
+
+        const snapshots = loadSnapshots(file);
+        assert.strictEqual(snapshots.length, 2);
+        assert.deepStrictEqual(snapshots[0].rows.map(row => [row.time, row.instructor, row.room, row.status]), [
+            ['09:30', '김강사', 'A룸', 'AVAILABLE'],
+            ['10:30', '이강사', 'A룸', 'WAITLIST_OPEN']
+        ]);
+        assert.strictEqual(fs.readFileSync(csv, 'utf8').trimEnd().split('\r\n').length, 5);
+        assert.strictEqual(site.getReservation('tester', TODAY, '09:30'), undefined);
+    });
+});
+
+test('snapshot --export: 저장된 스냅샷만 CSV로 (계정 정보 없이)', async (t) => {
+    await withSite(t, {}, async (site) => {
+        const file = path.join(os.tmpdir(), `pilates-snapshots-export-${process.pid}.jsonl`);
+        const csv = path.join(os.tmpdir(), `pilates-snapshots-export-${process.pid}.csv`);
+        t.after(() => [file, csv].forEach(item => fs.rmSync(item, { force: true })));
+        const row = { time: '09:30', instructor: '김강사', room: 'A룸', status: 'AVAILABLE', statusText: '예약하기', bookable: true, details: '김강사 A룸' };
+        fs.writeFileSync(file, [
+            { timestamp: '2026-10-19T00:00:00.000Z', date: '2026-10-26', rows: [row] },
+            { timestamp: '2026-10-19T00:00:00.000Z', date: '2026-10-27', rows: [row] }
+        ].map(snapshot => JSON.stringify(snapshot)).join('\n') + '\n');
+
+        const { code, output } = await runScript(site, {
+            args: ['snapshot', '--export', '--date', '2026-10-26', '--file', file, '--csv', csv],
+            env: { PILATES_USERNAME: '' }
+        });
+        assert.strictEqual(code, 0, output);
+        const lines = fs.readFileSync(csv, 'utf8').trimEnd().split('\r\n');
+        assert.deepStrictEqual(lines.slice(1), ['2026-10-19T00:00:00.000Z,2026-10-26,09:30,김강사,A룸,AVAILABLE,예약하기,김강사 A룸']);
+        assert.deepStrictEqual(site.requests, []);
+    }, { needsBrowser: false });
+});
+
+test('설정 오류: 잘못된 값은 시작 전에 모두 출력하고 종료', async (t) => {
+    await withSite(t, {}, async (site) => {
+        const { code, output, result } = await runScript(site, { env: { TARGET_TIME: '24:00', RETRY_COUNT: 'abc' } });
+        assert.strictEqual(code, 3);
+        assert.strictEqual(result, null);
+        assert.match(output, /잘못된 설정 2건/);
+        assert.match(output, /TARGET_TIME: HH:MM 또는 HH:MM:SS 형식의 시각이어야 합니다 \("24:00"\)/);
+        assert.match(output, /RETRY_COUNT: 정수여야 합니다/);
+        assert.deepStrictEqual(site.requests, []);
+    }, { needsBrowser: false });
+});
+
+test('report: 실행 기록 통계 (계정 정보 없이)', async (t) => {
+    await withSite(t, {}, async (site) => {
+        const file = path.join(os.tmpdir(), `pilates-history-${process.pid}.jsonl`);
+        const entries = [
+            { date: '2026-10-05', class: '09:30', status: 'SUCCESS', retryCount: 0, timing: { timeToClickMs: 300 } },
+            { date: '2026-10-12', class: '09:30', status: 'UNAVAILABLE', retryCount: 1, timing: { timeToClickMs: 900 } }
+        ].flatMap(result => historyEntries(result));
+        fs.writeFileSync(file, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+        t.after(() => fs.rmSync(file, { force: true }));
+
+        const { code, output } = await runScript(site, { args: ['report', '--file', file, '--json'], env: { PILATES_USERNAME: '' } });
+        assert.strictEqual(code, 0, output);
+        const report = JSON.parse(output);
+        assert.strictEqual(report.byWeekday['월요일'].bookedRate, 50);
+        assert.strictEqual(report.timeToClick.medianMs, 600);
+        assert.deepStrictEqual(report.retryCounts, { 0: 1, 1: 1 });
+
+        // node booking-script.js [명령] 실행도 유지
+        const legacy = await runScript(site, { args: ['report', '--file', file, '--json'], env: { PILATES_USERNAME: '' }, script: LEGACY_SCRIPT });
+        assert.strictEqual(legacy.code, 0, legacy.output);
+        assert.deepStrictEqual(JSON.parse(legacy.output), report);
+    }, { needsBrowser: false });
+});
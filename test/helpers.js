@@ -0,0 +1,20 @@
+// 테스트 공용 도우미
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 임시 디렉터리를 작업 디렉터리로 사용 (로그/결과 파일 격리), 테스트가 끝나면 원래 디렉터리로 돌아가고 삭제
+function useTempDir(t, name = 'test') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `pilates-${name}-`));
+    const cwd = process.cwd();
+    process.chdir(dir);
+    t.after(() => {
+        process.chdir(cwd);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return dir;
+}
+
+module.exports = {
+    useTempDir
+};
@@ -0,0 +1,106 @@
+// 실행 기록 항목 변환과 요일/수업별 통계
+const test = require('node:test');
+const assert = require('node:assert');
+const { outcomeOf, dayNameOf, historyEntries, parseHistory, median, summarizeHistory } = require('../lib/history');
+
+const run = (date, cls, status, retryCount = 0, timeToClickMs = null) =>
+    historyEntries({ date, class: cls, status, retryCount, timing: { timeToClickMs, prewarmed: false } })[0];
+
+test('outcomeOf / dayNameOf', () => {
+    assert.deepStrictEqual(['SUCCESS', 'ALREADY_WAITING', 'UNAVAILABLE', 'LOGIN_FAILED', 'WEEKEND_SKIP', 'TEST'].map(outcomeOf),
+        ['booked', 'waitlist', 'unavailable', 'failed', 'skip', 'test']);
+    assert.strictEqual(dayNameOf('2026-10-25'), '일요일');
+    assert.strictEqual(dayNameOf('2026-11-2'), '월요일');
+    assert.strictEqual(dayNameOf('잘못된 날짜'), null);
+});
+
+test('historyEntries: 다중 계정 결과는 계정별 항목', () => {
+    const entries = historyEntries({
+        timestamp: '2026-10-19T00:01:00.000Z',
+        date: '2026-10-26',
+        status: 'PARTIAL',
+        accounts: [
+            { account: 'me', date: '2026-10-26', class: '09:30', status: 'SUCCESS', retryCount: 1, engine: 'http',
+                timing: { timeToClickMs: 420, prewarmed: true }, attempts: [{}, {}], opening: { polls: 3 } },
+            { account: 'friend', date: '2026-10-26', class: '09:30', status: 'FAILED', retryCount: 2 }
+        ]
+    }, { executionMode: 'scheduled' });
+
+    assert.strictEqual(entries.length, 2);
+    assert.deepStrictEqual(entries[0], {
+        timestamp: '2026-10-19T00:01:00.000Z',
+        date: '2026-10-26',
+        weekday: '월요일',
+        account: 'me',
+        class: '09:30',
+        status: 'SUCCESS',
+        outcome: 'booked',
+        retryCount: 1,
+        timeToClickMs: 420,
+        attempts: 2,
+        engine: 'http',
+        prewarmed: true,
+        polled: 3,
+        executionMode: 'scheduled'
+    });
+    assert.strictEqual(entries[1].outcome, 'failed');
+    assert.strictEqual(entries[1].timeToClickMs, null);
+});
+
+test('parseHistory: 깨진 줄은 건너뜀', () => {
+    const text = `${JSON.stringify(run('2026-10-26', '09:30', 'SUCCESS'))}\n{"date":"2026-10\n\n`;
+    assert.strictEqual(parseHistory(text).length, 1);
+    assert.deepStrictEqual(parseHistory(''), []);
+});
+
+test('median', () => {
+    assert.strictEqual(median([]), null);
+    assert.strictEqual(median([30, 10, 20]), 20);
+    assert.strictEqual(median([40, 10, 20, 30]), 25);
+});
+
+test('summarizeHistory: 요일/수업별 비율, 클릭 중앙값, 재시도 분포', () => {
+    const entries = [
+        run('2026-10-05', '09:30', 'SUCCESS', 0, 300),
+        run('2026-10-12', '09:30', 'WAITING', 1, 900),
+        run('2026-10-19', '09:30', 'UNAVAILABLE', 0, 1500),
+        run('2026-10-26', '09:30', 'SUCCESS', 0, 200),
+        run('2026-10-07', '19:30', 'FAILED', 2),
+        run('2026-10-09', '09:30', 'WEEKEND_SKIP'),
+        run('2026-10-14', '09:30', 'TEST', 0, 50)
+    ];
+    const report = summarizeHistory(entries);
+
+    assert.strictEqual(report.skipped, 1);
+    assert.strictEqual(report.overall.runs, 5);
+    assert.deepStrictEqual(Object.keys(report.byWeekday), ['월요일', '수요일']);
+    assert.deepStrictEqual(report.byWeekday['월요일'], {
+        runs: 4,
+        booked: 2,
+        waitlist: 1,
+        unavailable: 1,
+        failed: 0,
+        bookedRate: 50,
+        waitlistRate: 25,
+        unavailableRate: 25,
+        failedRate: 0,
+        medianTimeToClickMs: 600,
+        averageRetries: 0.25
+    });
+    assert.deepStrictEqual(Object.keys(report.bySlot), ['09:30', '19:30']);
+    assert.strictEqual(report.bySlot['19:30'].failedRate, 100);
+    assert.strictEqual(report.bySlot['19:30'].medianTimeToClickMs, null);
+    assert.deepStrictEqual(report.timeToClick, { samples: 4, medianMs: 600, minMs: 200, maxMs: 1500 });
+    assert.deepStrictEqual(report.retryCounts, { 0: 3, 1: 1, 2: 1 });
+});
+
+test('summarizeHistory: since 이후 기록만', () => {
+    const entries = [
+        run('2026-9-28', '09:30', 'UNAVAILABLE'),
+        run('2026-10-5', '09:30', 'SUCCESS')
+    ];
+    const report = summarizeHistory(entries, { since: '2026-10-1' });
+    assert.strictEqual(report.overall.runs, 1);
+    assert.strictEqual(report.overall.bookedRate, 100);
+    assert.strictEqual(report.firstDate, '2026-10-5');
+});
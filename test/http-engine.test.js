@@ -0,0 +1,154 @@
+// HTTP 빠른 경로: HTML 파싱과 모의 사이트 대상 로그인/시간표/예약 요청
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    parseAttributes,
+    parseTableRows,
+    parseCalendarHtml,
+    parseForms,
+    extractDialogs,
+    HttpBookingClient
+} = require('../lib/http-engine');
+const { parseTimetableRows, findSlotRow, normalizeSlot } = require('../lib/class-slot');
+const { parseCalendarCells } = require('../lib/calendar');
+const { MockSite, MESSAGES, kstToday } = require('./mock-site');
+
+test('parseAttributes: 따옴표 종류와 값 없는 속성', () => {
+    assert.deepStrictEqual(parseAttributes(' href="/a?x=1&amp;y=2" onclick=\'return confirm("확인")\' data-id=3 checked'), {
+        href: '/a?x=1&y=2',
+        onclick: 'return confirm("확인")',
+        'data-id': '3',
+        checked: ''
+    });
+});
+
+test('parseTableRows: DOM 추출과 같은 원시 행 → parseTimetableRows', () => {
+    const html = `<table>
+        <tr><th>시간</th><th>강사</th></tr>
+        <tr><td>오후 7:30</td><td>김강사</td><td>A룸</td><td>예약완료 <a href="c.php">삭제</a></td></tr>
+        <tr><td>09:30</td><td>이강사</td><td>B&amp;C룸</td><td><a href="r.php?t=0930">예약하기</a></td></tr>
+    </table>`;
+    const rows = parseTimetableRows(parseTableRows(html));
+    assert.deepStrictEqual(rows.map(row => [row.index, row.time, row.status, row.actionIndex, row.hasActionLink]), [
+        [1, '19:30', 'BOOKED', 3, true],
+        [2, '09:30', 'AVAILABLE', 3, true]
+    ]);
+    assert.deepStrictEqual(rows[1].details, ['이강사', 'B&C룸']);
+});
+
+test('parseCalendarHtml: X/* 표시 날짜 셀', () => {
+    const html = '<table><tr><td></td><td><a href="d?1">1</a>*</td><td>2 X</td><td><a href="d?3">3</a></td></tr></table>';
+    const days = parseCalendarCells(parseCalendarHtml(html));
+    assert.deepStrictEqual(days.map(day => [day.index, day.day, day.starred, day.closed, day.hasLink]), [
+        [1, 1, true, false, true],
+        [2, 2, false, true, false],
+        [3, 3, false, false, true]
+    ]);
+});
+
+test('HttpBookingClient.openDate: 월말에는 다음 달 캘린더에서 날짜 찾기', async (t) => {
+    const site = new MockSite({ today: '2026-10-28', adjacentDays: true });
+    const baseUrl = await site.start();
+    t.after(() => site.close());
+    const client = new HttpBookingClient({ baseUrl });
+    await client.login('tester', 'secret');
+
+    // 10월 캘린더의 "4"(10월 4일, 마지막 주 11월 4일 칸)가 아니라 11월 캘린더의 4일
+    const timetable = await client.openDate({ year: 2026, month: 11, day: 4 });
+    assert.match(timetable.url, /date=2026-11-04$/);
+    assert.ok(site.requests.some(request => request.query.ym === '2026-11'), '다음 달 링크로 이동');
+
+    // 연말: 12월 → 다음 해 1월
+    site.today = '2026-12-29';
+    assert.match((await client.openDate({ year: 2027, month: 1, day: 5 })).url, /date=2027-01-05$/);
+    assert.match((await client.openDate({ year: 2026, month: 12, day: 30 })).url, /date=2026-12-30$/);
+
+    site.closedDays.add('2027-01-05');
+    assert.strictEqual(await client.openDate({ year: 2027, month: 1, day: 5 }), null);
+});
+
+test('parseForms / extractDialogs', () => {
+    const html = `<form method="post" action="save.php"><input type="hidden" name="d" value="1"><input type="submit" value="예약"></form>
+        <script>alert('예약이 \\'완료\\'되었습니다.'); confirm("정원 초과");</script>`;
+    const [form] = parseForms(html);
+    assert.strictEqual(form.method, 'POST');
+    assert.strictEqual(form.action, 'save.php');
+    assert.deepStrictEqual(form.inputs.map(input => [input.type, input.name]), [['hidden', 'd'], ['submit', undefined]]);
+    assert.deepStrictEqual(extractDialogs(html), ['예약이 \'완료\'되었습니다.']);
+    assert.deepStrictEqual(extractDialogs(html, 'confirm'), ['정원 초과']);
+});
+
+test('HttpBookingClient: 모의 사이트 예약 흐름', async (t) => {
+    const today = kstToday();
+    const [year, month, day] = today.split('-').map(Number);
+    const target = { year, month, day };
+    const site = new MockSite({
+        classes: [
+            { time: '09:30', instructor: '김강사', room: 'A룸', state: 'open' },
+            { time: '10:30', instructor: '이강사', room: 'B룸', state: 'full' }
+        ],
+        conflicts: 1
+    });
+    const baseUrl = await site.start();
+    t.after(() => site.close());
+
+    await t.test('잘못된 비밀번호는 사이트 알림과 함께 실패', async () => {
+        const client = new HttpBookingClient({ baseUrl });
+        await assert.rejects(client.login('tester', 'wrong'), error =>
+            error.message.includes(MESSAGES.loginFailed) && error.loginFailed === true);
+    });
+
+    const client = new HttpBookingClient({ baseUrl });
+
+    await t.test('로그인 후 캘린더 URL 저장', async () => {
+        await client.login('tester', 'secret');
+        assert.strictEqual(client.calendarUrl, `${baseUrl}/yeapp/yeapp.php?tm=102`);
+    });
+
+    const openRow = async (time) => {
+        const timetable = await client.openDate(target);
+        const row = findSlotRow(parseTimetableRows(timetable.rawRows), normalizeSlot({ time }));
+        return { timetable, row };
+    };
+
+    await t.test('일반예약: 폼 Submit, 동시신청 알림 후 재요청', async () => {
+        let { timetable, row } = await openRow('09:30');
+        assert.strictEqual(row.status, 'AVAILABLE');
+
+        const conflict = await client.reserve(timetable, timetable.rawRows[row.index], row.actionIndex);
+        assert.strictEqual(conflict.submitted, true);
+        assert.deepStrictEqual(conflict.alerts, [MESSAGES.conflict]);
+
+        ({ timetable, row } = await openRow('09:30'));
+        const booked = await client.reserve(timetable, timetable.rawRows[row.index], row.actionIndex);
+        assert.deepStrictEqual(booked.alerts, [MESSAGES.booked]);
+        assert.strictEqual(site.getReservation('tester', today, '09:30'), 'BOOKED');
+        assert.strictEqual((await openRow('09:30')).row.status, 'BOOKED');
+    });
+
+    await t.test('대기예약: confirm 거절 시 요청하지 않음, 수락 시 대기완료', async () => {
+        const { timetable, row } = await openRow('10:30');
+        assert.strictEqual(row.status, 'WAITLIST_OPEN');
+
+        const declined = await client.reserve(timetable, timetable.rawRows[row.index], row.actionIndex, () => false);
+        assert.strictEqual(declined.declined, true);
+        assert.strictEqual(declined.confirm, MESSAGES.waitlistConfirm);
+        assert.strictEqual(site.getReservation('tester', today, '10:30'), undefined);
+
+        const accepted = await client.reserve(timetable, timetable.rawRows[row.index], row.actionIndex, () => true);
+        assert.strictEqual(accepted.submitted, false);
+        assert.deepStrictEqual(accepted.alerts, [MESSAGES.waitlisted]);
+        assert.strictEqual(site.getReservation('tester', today, '10:30'), 'WAITLISTED');
+    });
+
+    await t.test('오픈 전에는 날짜가 X라 시간표를 열 수 없음', async () => {
+        site.opensAt = Date.now() + 60000;
+        assert.strictEqual(await client.openDate(target), null);
+        site.opensAt = null;
+        assert.ok(await client.openDate(target));
+    });
+
+    await t.test('javascript: 링크는 따라갈 수 없음', async () => {
+        await assert.rejects(client.follow({ href: 'javascript:void(0)', text: '예약하기' }, baseUrl), /HTTP로 따라갈 수 없는 링크/);
+    });
+});
@@ -0,0 +1,101 @@
+// 한국 날짜 계산: 월/연 경계, 요일, +09:00 문자열, 러너 TZ와 무관한 대상 날짜
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { kstParts, kstInstant, weekdayOf, daysInMonth, addDays, addMonths, formatDate, dateKey, toKSTISOString, formatKSTTime } = require('../lib/kst');
+const { resolveBooking } = require('../lib/schedule');
+
+const kst = text => Date.parse(`${text.replace(' ', 'T')}+09:00`);
+
+test('kstParts: UTC 15시는 한국 다음날 0시', () => {
+    assert.deepStrictEqual(kstParts(Date.parse('2026-12-31T15:00:00.250Z')), {
+        year: 2027, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 250, weekday: 5
+    });
+    assert.strictEqual(kstInstant(2027, 1, 1), Date.parse('2026-12-31T15:00:00.000Z'));
+});
+
+test('toKSTISOString: 실제 시각과 같은 +09:00 문자열', () => {
+    const instant = Date.parse('2026-10-19T14:59:59.123Z');
+    const text = toKSTISOString(instant);
+    assert.strictEqual(text, '2026-10-19T23:59:59.123+09:00');
+    assert.strictEqual(Date.parse(text), instant);
+    assert.strictEqual(formatKSTTime(instant), '23:59:59');
+    assert.strictEqual(formatKSTTime(instant, true), '23:59:59.123');
+});
+
+test('addDays/addMonths: 월말, 연말, 윤년', () => {
+    assert.deepStrictEqual(addDays({ year: 2026, month: 10, day: 28 }, 7), { year: 2026, month: 11, day: 4, weekday: 3 });
+    assert.deepStrictEqual(addDays({ year: 2026, month: 12, day: 29 }, 7), { year: 2027, month: 1, day: 5, weekday: 2 });
+    assert.deepStrictEqual(addDays({ year: 2028, month: 2, day: 25 }, 4), { year: 2028, month: 2, day: 29, weekday: 2 });
+    assert.deepStrictEqual(addDays({ year: 2027, month: 2, day: 25 }, 4), { year: 2027, month: 3, day: 1, weekday: 1 });
+    assert.deepStrictEqual(addMonths({ year: 2026, month: 12 }, 1), { year: 2027, month: 1 });
+    assert.deepStrictEqual(addMonths({ year: 2026, month: 1 }, -1), { year: 2025, month: 12 });
+    assert.strictEqual(daysInMonth(2028, 2), 29);
+    assert.strictEqual(daysInMonth(2026, 11), 30);
+    assert.strictEqual(weekdayOf({ year: 2026, month: 10, day: 25 }), 0);
+    assert.strictEqual(formatDate({ year: 2026, month: 11, day: 4 }), '2026-11-4');
+});
+
+test('dateKey: 날짜 객체/0 없는 날짜 문자열 → 정렬용 "YYYY-MM-DD"', () => {
+    assert.strictEqual(dateKey({ year: 2026, month: 11, day: 4 }), '2026-11-04');
+    assert.strictEqual(dateKey('2026-11-4'), '2026-11-04');
+    assert.ok(dateKey('2026-9-30') < dateKey('2026-10-1'));
+    assert.strictEqual(dateKey('잘못된 날짜'), '');
+    assert.strictEqual(dateKey(null), '');
+});
+
+test('resolveBooking: 오픈일 + leadDays 요일로 일정 결정 (월 경계)', () => {
+    const schedule = { leadDays: 7, days: { wed: { slots: [{ label: '09:30' }] } }, source: 'test' };
+    const decision = resolveBooking(schedule, { year: 2026, month: 10, day: 28 });
+    assert.deepStrictEqual([formatDate(decision.targetDate), decision.dayName, decision.skip], ['2026-11-4', '수요일', false]);
+    assert.strictEqual(resolveBooking(schedule, { year: 2026, month: 10, day: 29 }).reason, '목요일 예약 일정 없음');
+});
+
+// 러너 TZ별로 같은 시각에 대상 날짜/스킵 판단/결과 시각이 같은지 (자식 프로세스에서 실행)
+test('러너 TZ와 무관하게 같은 대상 날짜와 스킵 판단', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pilates-kst-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'schedule.json'), JSON.stringify({
+        leadDays: 7,
+        days: { mon: { time: '09:30' }, tue: { time: '09:30' }, wed: { time: '09:30' }, thu: { time: '09:30' }, sun: { time: '09:30' }, fri: { skip: '금요일 휴무' }, sat: { skip: '토요일 휴무' } }
+    }));
+
+    const script = `
+        const { SimulatedClock } = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'clock'))});
+        const { parseConfig } = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'config'))});
+        const { PreciseTimingPilatesBooking } = require(${JSON.stringify(path.join(__dirname, '..', 'booking-script'))});
+        console.log = () => {};
+        const config = parseConfig({ accounts: [{ name: 'a', username: 'a', password: 'a' }] }, { ACCOUNTS_FILE: 'none.json' });
+        const at = instant => new PreciseTimingPilatesBooking({ config, clock: new SimulatedClock(instant) });
+        (async () => {
+            const cases = ${JSON.stringify([kst('2026-12-31 23:30:00'), kst('2026-10-28 00:00:30'), kst('2026-10-24 10:00:00')])}.map(instant => {
+                const booking = at(instant);
+                const target = booking.getTargetDate();
+                return [booking.getTimestamp(), \`\${target.year}-\${target.month}-\${target.day}\`, target.dayOfWeek];
+            });
+            const skip = await at(${kst('2026-10-23 23:59:00')}).run();
+            process.stdout.write(JSON.stringify({ cases, skip: [skip.status, skip.date, skip.currentDay, skip.timestamp] }));
+        })();
+    `;
+
+    const outputs = ['UTC', 'Asia/Seoul', 'America/Los_Angeles', 'Pacific/Kiritimati'].map(tz => {
+        const result = spawnSync(process.execPath, ['-e', script], { cwd: dir, env: { ...process.env, TZ: tz }, encoding: 'utf8', timeout: 30000 });
+        assert.strictEqual(result.status, 0, result.stderr);
+        return JSON.parse(result.stdout);
+    });
+
+    assert.deepStrictEqual(outputs[0], {
+        cases: [
+            ['2026-12-31T23:30:00.000+09:00', '2027-1-8', 5],
+            ['2026-10-28T00:00:30.000+09:00', '2026-11-4', 3],
+            ['2026-10-24T10:00:00.000+09:00', '2026-10-31', 6]
+        ],
+        skip: ['WEEKEND_SKIP', '2026-10-31', '금요일', '2026-10-23T23:59:00.000+09:00']
+    });
+    for (const output of outputs.slice(1)) {
+        assert.deepStrictEqual(output, outputs[0]);
+    }
+});
@@ -0,0 +1,346 @@
+// mbgym 예약 사이트 로컬 모의 서버 (오프라인 테스트용)
+// 실제 사이트와 같은 경로/마크업 구조: yeapp.php?tm=102 로그인·캘린더, res_postform.php 시간표,
+// 예약 폼 Submit, 대기예약 confirm, 결과 alert, 예약 취소
+const http = require('http');
+const crypto = require('crypto');
+
+const LOGIN_PATH = '/yeapp/yeapp.php';
+const MESSAGES = {
+    loginFailed: '아이디 또는 비밀번호가 일치하지 않습니다.',
+    booked: '예약이 완료되었습니다.',
+    conflict: '동시신청이 많아 처리되지 않았습니다. 잠시 후 다시 시도해주세요.',
+    waitlistConfirm: '정원이 초과되었습니다. 대기예약 하시겠습니까?',
+    waitlisted: '대기예약이 완료되었습니다.',
+    cancelConfirm: '예약을 취소하시겠습니까?',
+    cancelled: '예약이 취소되었습니다.',
+    closed: '예약할 수 없는 수업입니다.'
+};
+
+// 한국 시간 기준 오늘 (YYYY-MM-DD)
+function kstToday() {
+    return new Date(Date.now() + 9 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+    })[char]);
+}
+
+function page(title, body) {
+    return `<!DOCTYPE html>
+<html lang="ko">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// alert 후 이동 (실제 사이트의 결과 안내 방식)
+function alertPage(message, location) {
+    return page('알림', `<script>alert(${JSON.stringify(message)}); location.href = ${JSON.stringify(location)};</script>`);
+}
+
+// options.users: { 아이디: 비밀번호 }
+// options.classes: 날짜마다 같은 시간표 [{ time, instructor, room, state: 'open' | 'full' | 'closed' }]
+// options.closedDays: 캘린더에 X로 표시할 날짜 (YYYY-MM-DD)
+// options.conflicts: 처음 N번의 예약 Submit에 동시신청 충돌 응답
+// options.today: 캘린더 기준 날짜 (기본값: 한국 시간 오늘)
+// options.adjacentDays: 첫 주/마지막 주 빈칸에 이전/다음 달 날짜도 표시 (월말 날짜 혼동 재현용)
+// options.clockOffsetMs: Date 응답 헤더에 더할 서버 시계 오차
+// options.opensAt: 예약 오픈 시각(ms) - 그 전에는 모든 날짜가 X, 시간표는 비어 있음
+class MockSite {
+    constructor(options = {}) {
+        this.users = { ...(options.users || { tester: 'secret' }) };
+        this.classes = (options.classes || [
+            { time: '09:30', instructor: '김강사', room: 'A룸', state: 'open' }
+        ]).map(item => ({ ...item }));
+        this.closedDays = new Set(options.closedDays || []);
+        this.conflicts = options.conflicts || 0;
+        this.today = options.today || null;
+        this.adjacentDays = !!options.adjacentDays;
+        this.clockOffsetMs = options.clockOffsetMs || 0;
+        this.opensAt = options.opensAt || null;
+        this.reservations = new Map();
+        this.sessions = new Map();
+        this.requests = [];
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    async start(port = 0) {
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', resolve);
+        });
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async close() {
+        this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(resolve));
+    }
+
+    // 예약 상태: 'BOOKED' | 'WAITLISTED' | undefined
+    reservationKey(user, date, time) {
+        return `${user}|${date}|${time}`;
+    }
+
+    setReservation(user, date, time, status) {
+        const key = this.reservationKey(user, date, time);
+        if (status) {
+            this.reservations.set(key, status);
+        } else {
+            this.reservations.delete(key);
+        }
+    }
+
+    getReservation(user, date, time) {
+        return this.reservations.get(this.reservationKey(user, date, time));
+    }
+
+    reservationsOf(user) {
+        return Array.from(this.reservations.entries())
+            .filter(([key]) => key.startsWith(`${user}|`))
+            .map(([key, status]) => {
+                const [, date, time] = key.split('|');
+                return { date, time, status };
+            })
+            .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const body = req.method === 'POST' ? await readBody(req) : new URLSearchParams();
+        const user = this.sessionUser(req);
+        this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), user });
+
+        const send = (status, html, headers = {}) => {
+            res.writeHead(status, {
+                'Content-Type': 'text/html; charset=utf-8',
+                Date: new Date(Date.now() + this.clockOffsetMs).toUTCString(),
+                ...headers
+            });
+            res.end(html);
+        };
+
+        if (url.pathname === LOGIN_PATH && req.method === 'POST') {
+            const name = body.get('name');
+            if (!name || this.users[name] === undefined || this.users[name] !== body.get('passwd')) {
+                return send(200, alertPage(MESSAGES.loginFailed, `${LOGIN_PATH}?tm=102`));
+            }
+            const sessionId = crypto.randomBytes(8).toString('hex');
+            this.sessions.set(sessionId, name);
+            return send(302, '', {
+                'Set-Cookie': `PHPSESSID=${sessionId}; Path=/; HttpOnly`,
+                Location: `${LOGIN_PATH}?tm=102`
+            });
+        }
+
+        if (url.pathname === '/yeapp/yeout.php') {
+            return send(302, '', {
+                'Set-Cookie': 'PHPSESSID=; Path=/; Max-Age=0',
+                Location: `${LOGIN_PATH}?tm=102`
+            });
+        }
+
+        if (url.pathname === LOGIN_PATH) {
+            return send(200, user ? this.renderCalendar(user, url.searchParams.get('ym')) : this.renderLogin());
+        }
+
+        if (!user) {
+            return send(302, '', { Location: `${LOGIN_PATH}?tm=102` });
+        }
+
+        const date = url.searchParams.get('date') || body.get('date');
+        const time = url.searchParams.get('time') || body.get('time');
+        const timetable = `/yeapp/res_postform.php?date=${date}`;
+
+        switch (url.pathname) {
+        case '/yeapp/res_postform.php':
+            return send(200, this.renderTimetable(user, date));
+
+        // 일반 예약: 폼 페이지 → Submit
+        case '/yeapp/res_form.php':
+            if (req.method === 'GET') {
+                return send(200, this.renderForm(date, time));
+            }
+            if (this.conflicts > 0) {
+                this.conflicts--;
+                return send(200, alertPage(MESSAGES.conflict, timetable));
+            }
+            if (this.findClass(time)?.state !== 'open') {
+                return send(200, alertPage(MESSAGES.closed, timetable));
+            }
+            this.setReservation(user, date, time, 'BOOKED');
+            return send(200, alertPage(MESSAGES.booked, timetable));
+
+        // 대기예약 (정원 초과 confirm 수락 후 이동)
+        case '/yeapp/res_wait.php':
+            if (this.findClass(time)?.state !== 'full') {
+                return send(200, alertPage(MESSAGES.closed, timetable));
+            }
+            this.setReservation(user, date, time, 'WAITLISTED');
+            return send(200, alertPage(MESSAGES.waitlisted, timetable));
+
+        case '/yeapp/res_cancel.php':
+            this.setReservation(user, date, time, null);
+            return send(200, alertPage(MESSAGES.cancelled, timetable));
+
+        default:
+            return send(404, page('404', '<p>페이지를 찾을 수 없습니다.</p>'));
+        }
+    }
+
+    sessionUser(req) {
+        const match = /(?:^|;\s*)PHPSESSID=([^;]+)/.exec(req.headers.cookie || '');
+        return match ? this.sessions.get(match[1]) || null : null;
+    }
+
+    isOpen() {
+        return !this.opensAt || Date.now() + this.clockOffsetMs >= this.opensAt;
+    }
+
+    findClass(time) {
+        return this.classes.find(item => item.time === time);
+    }
+
+    renderLogin() {
+        return page('로그인', `
+<form method="post" action="${LOGIN_PATH}?tm=102">
+  <input type="text" id="user_id" name="name">
+  <input type="password" id="passwd" name="passwd">
+  <input type="submit" value="로그인">
+</form>`);
+    }
+
+    // 월간 캘린더: 날짜 셀 "12", 내 예약 "12*", 예약 불가 "12 X"
+    renderCalendar(user, ym) {
+        const [todayYear, todayMonth] = (this.today || kstToday()).split('-').map(Number);
+        const [year, month] = ym ? ym.split('-').map(Number) : [todayYear, todayMonth];
+        const first = new Date(Date.UTC(year, month - 1, 1));
+        const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        const next = new Date(Date.UTC(year, month, 1));
+        const prev = new Date(Date.UTC(year, month - 2, 1));
+        const ymText = date => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+
+        // 날짜 칸: 예약 불가면 "12 X", 아니면 시간표 링크 (+ 내 예약 *)
+        const dateCell = (date, day, className = '') => {
+            const classAttr = className ? ` class="${className}"` : '';
+            if (this.closedDays.has(date) || !this.isOpen()) {
+                return `<td class="${className ? `${className} ` : ''}closed">${day} X</td>`;
+            }
+            const mine = Array.from(this.reservations.keys()).some(key => key.startsWith(`${user}|${date}|`));
+            return `<td${classAttr}><a href="/yeapp/res_postform.php?date=${date}">${day}</a>${mine ? '*' : ''}</td>`;
+        };
+        const dateText = date => `${ymText(date)}-${pad(date.getUTCDate())}`;
+
+        const cells = [];
+        for (let i = first.getUTCDay(); i > 0; i--) {
+            const date = new Date(Date.UTC(year, month - 1, 1 - i));
+            cells.push(this.adjacentDays ? dateCell(dateText(date), date.getUTCDate(), 'other') : '<td></td>');
+        }
+        for (let day = 1; day <= lastDay; day++) {
+            cells.push(dateCell(`${year}-${pad(month)}-${pad(day)}`, day));
+        }
+        for (let day = 1; cells.length % 7 !== 0; day++) {
+            const date = new Date(Date.UTC(year, month, day));
+            cells.push(this.adjacentDays ? dateCell(dateText(date), day, 'other') : '<td></td>');
+        }
+
+        const weeks = [];
+        for (let i = 0; i < cells.length; i += 7) {
+            weeks.push(`<tr>${cells.slice(i, i + 7).join('')}</tr>`);
+        }
+
+        return page(`${year}년 ${month}월`, `
+<div class="top"><span>${escapeHtml(user)}님</span> <a href="/yeapp/yeout.php">로그아웃</a></div>
+<div class="month">
+  <a href="${LOGIN_PATH}?tm=102&ym=${ymText(prev)}" title="이전 달">◀</a>
+  <strong>${year}년 ${month}월</strong>
+  <a href="${LOGIN_PATH}?tm=102&ym=${ymText(next)}" title="다음 달">▶</a>
+</div>
+<table class="calendar">
+  <tr><th>일</th><th>월</th><th>화</th><th>수</th><th>목</th><th>금</th><th>토</th></tr>
+  ${weeks.join('\n  ')}
+</table>`);
+    }
+
+    // 시간표: 시간 | 강사 | 룸 | 예약 상태/버튼
+    renderTimetable(user, date) {
+        const rows = this.closedDays.has(date) || !this.isOpen() ? [] : this.classes.map(item => {
+            const mine = this.getReservation(user, date, item.time);
+            const query = `date=${date}&time=${item.time}`;
+            let action;
+
+            if (mine === 'BOOKED') {
+                action = `예약완료 <a href="/yeapp/res_cancel.php?${query}" onclick="return confirm('${MESSAGES.cancelConfirm}')">삭제</a>`;
+            } else if (mine === 'WAITLISTED') {
+                action = `대기완료 <a href="/yeapp/res_cancel.php?${query}" onclick="return confirm('${MESSAGES.cancelConfirm}')">취소</a>`;
+            } else if (item.state === 'open') {
+                action = `<a href="/yeapp/res_form.php?${query}">예약하기</a>`;
+            } else if (item.state === 'full') {
+                action = `<a href="/yeapp/res_wait.php?${query}" onclick="return confirm('${MESSAGES.waitlistConfirm}')">대기예약</a>`;
+            } else {
+                action = '예약불가';
+            }
+
+            return `<tr><td>${item.time}</td><td>${escapeHtml(item.instructor || '')}</td><td>${escapeHtml(item.room || '')}</td><td>${action}</td></tr>`;
+        });
+
+        return page(`${date} 시간표`, `
+<div class="top"><a href="${LOGIN_PATH}?tm=102">캘린더</a> <a href="/yeapp/yeout.php">로그아웃</a></div>
+<h3>${date}</h3>
+<table class="timetable">
+  <tr><th>시간</th><th>강사</th><th>룸</th><th>예약</th></tr>
+  ${rows.join('\n  ') || '<tr><td colspan="4">수업이 없습니다.</td></tr>'}
+</table>`);
+    }
+
+    renderForm(date, time) {
+        const item = this.findClass(time) || {};
+        return page('예약 신청', `
+<form method="post" action="/yeapp/res_form.php">
+  <input type="hidden" name="date" value="${escapeHtml(date)}">
+  <input type="hidden" name="time" value="${escapeHtml(time)}">
+  <p>${escapeHtml(date)} ${escapeHtml(time)} ${escapeHtml(item.instructor || '')}</p>
+  <input type="submit" value="예약">
+</form>`);
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(new URLSearchParams(data)));
+        req.on('error', reject);
+    });
+}
+
+module.exports = {
+    MESSAGES,
+    MockSite,
+    kstToday
+};
+
+// 수동 확인용: node test/mock-site.js [포트]
+// PILATES_BASE_URL=http://127.0.0.1:<포트> PILATES_USERNAME=tester PILATES_PASSWORD=secret npm run book
+if (require.main === module) {
+    const site = new MockSite({
+        classes: [
+            { time: '09:30', instructor: '김강사', room: 'A룸', state: 'open' },
+            { time: '10:30', instructor: '이강사', room: 'B룸', state: 'full' },
+            { time: '19:30', instructor: '박강사', room: 'A룸', state: 'closed' }
+        ]
+    });
+    site.start(parseInt(process.argv[2]) || 8080).then(url => {
+        console.log(`🧪 모의 예약 사이트 실행: ${url}${LOGIN_PATH}?tm=102 (tester / secret)`);
+    });
+}
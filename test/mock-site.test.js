@@ -0,0 +1,144 @@
+// 모의 예약 사이트 자체 동작 확인 (브라우저 없이 HTTP 요청으로)
+const test = require('node:test');
+const assert = require('node:assert');
+const { MockSite, MESSAGES, kstToday } = require('./mock-site');
+
+// 쿠키를 유지하는 간단한 HTTP 클라이언트
+function client(baseUrl) {
+    let cookie = '';
+    return async (path, options = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            redirect: 'manual',
+            ...options,
+            headers: { ...(options.headers || {}), Cookie: cookie }
+        });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) {
+            cookie = setCookie.split(';')[0];
+        }
+        return { status: response.status, location: response.headers.get('location'), html: await response.text() };
+    };
+}
+
+async function login(request, name = 'tester', passwd = 'secret') {
+    return request('/yeapp/yeapp.php?tm=102', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ name, passwd }).toString()
+    });
+}
+
+test('모의 예약 사이트', async (t) => {
+    const today = kstToday();
+    const closedDay = `${today.slice(0, 8)}${today.endsWith('-01') ? '02' : '01'}`;
+    const site = new MockSite({
+        classes: [
+            { time: '09:30', instructor: '김강사', room: 'A룸', state: 'open' },
+            { time: '10:30', instructor: '이강사', room: 'B룸', state: 'full' },
+            { time: '19:30', instructor: '박강사', room: 'A룸', state: 'closed' }
+        ],
+        closedDays: [closedDay],
+        conflicts: 1
+    });
+    const baseUrl = await site.start();
+    t.after(() => site.close());
+
+    await t.test('로그인 전에는 로그인 폼', async () => {
+        const { html } = await client(baseUrl)('/yeapp/yeapp.php?tm=102');
+        assert.match(html, /id="user_id"/);
+        assert.match(html, /id="passwd"/);
+        assert.doesNotMatch(html, /yeout\.php/);
+    });
+
+    await t.test('잘못된 비밀번호는 alert 후 로그인 페이지로', async () => {
+        const { status, html } = await login(client(baseUrl), 'tester', 'wrong');
+        assert.strictEqual(status, 200);
+        assert.ok(html.includes(MESSAGES.loginFailed));
+    });
+
+    await t.test('로그인 후 캘린더에 로그아웃 링크와 X 표시', async () => {
+        const request = client(baseUrl);
+        const response = await login(request);
+        assert.strictEqual(response.status, 302);
+
+        const { html } = await request(response.location);
+        assert.match(html, /href="\/yeapp\/yeout\.php"/);
+        assert.match(html, new RegExp(`<td class="closed">${Number(closedDay.slice(8))} X</td>`));
+        assert.match(html, /title="다음 달">▶</);
+    });
+
+    await t.test('일반예약: 폼 Submit 충돌 후 예약완료와 캘린더 * 표시', async () => {
+        const request = client(baseUrl);
+        await login(request);
+
+        const timetable = await request(`/yeapp/res_postform.php?date=${today}`);
+        assert.match(timetable.html, /<td>09:30<\/td>.*예약하기/);
+        assert.match(timetable.html, /<td>10:30<\/td>.*대기예약/);
+        assert.match(timetable.html, /<td>19:30<\/td>.*예약불가/);
+
+        const form = await request(`/yeapp/res_form.php?date=${today}&time=09:30`);
+        assert.match(form.html, /type="submit"/);
+
+        const submit = () => request('/yeapp/res_form.php', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ date: today, time: '09:30' }).toString()
+        });
+        assert.ok((await submit()).html.includes(MESSAGES.conflict));
+        assert.strictEqual(site.getReservation('tester', today, '09:30'), undefined);
+        assert.ok((await submit()).html.includes(MESSAGES.booked));
+        assert.strictEqual(site.getReservation('tester', today, '09:30'), 'BOOKED');
+
+        const after = await request(`/yeapp/res_postform.php?date=${today}`);
+        assert.match(after.html, /예약완료 <a [^>]*>삭제<\/a>/);
+
+        const calendar = await request('/yeapp/yeapp.php?tm=102');
+        assert.match(calendar.html, new RegExp(`>${Number(today.slice(8))}</a>\\*</td>`));
+    });
+
+    await t.test('대기예약: confirm 링크 후 대기완료', async () => {
+        const request = client(baseUrl);
+        await login(request);
+
+        const timetable = await request(`/yeapp/res_postform.php?date=${today}`);
+        assert.ok(timetable.html.includes(MESSAGES.waitlistConfirm));
+
+        const { html } = await request(`/yeapp/res_wait.php?date=${today}&time=10:30`);
+        assert.ok(html.includes(MESSAGES.waitlisted));
+        assert.match((await request(`/yeapp/res_postform.php?date=${today}`)).html, /대기완료 <a [^>]*>취소<\/a>/);
+    });
+
+    await t.test('예약 취소', async () => {
+        const request = client(baseUrl);
+        await login(request);
+
+        const { html } = await request(`/yeapp/res_cancel.php?date=${today}&time=09:30`);
+        assert.ok(html.includes(MESSAGES.cancelled));
+        assert.deepStrictEqual(site.reservationsOf('tester'), [{ date: today, time: '10:30', status: 'WAITLISTED' }]);
+    });
+
+    await t.test('로그인 없이 시간표 접근 시 로그인 페이지로', async () => {
+        const { status, location } = await client(baseUrl)(`/yeapp/res_postform.php?date=${today}`);
+        assert.strictEqual(status, 302);
+        assert.strictEqual(location, '/yeapp/yeapp.php?tm=102');
+    });
+});
+
+test('모의 예약 사이트: adjacentDays면 첫 주/마지막 주에 이전/다음 달 날짜 표시', async (t) => {
+    const site = new MockSite({ today: '2026-10-28', adjacentDays: true, closedDays: ['2026-09-29', '2026-12-04'] });
+    const baseUrl = await site.start();
+    t.after(() => site.close());
+
+    const request = client(baseUrl);
+    const { html } = await request((await login(request)).location);
+    assert.match(html, /<title>2026년 10월<\/title>/);
+    assert.match(html, /<td class="other"><a href="\/yeapp\/res_postform\.php\?date=2026-09-27">27<\/a><\/td>/);
+    assert.match(html, /<td class="other closed">29 X<\/td>/);
+    assert.match(html, /<td><a href="\/yeapp\/res_postform\.php\?date=2026-10-04">4<\/a><\/td>/);
+
+    // 11월 마지막 주 (11-30 월요일) 뒤는 12월 날짜
+    const november = (await request('/yeapp/yeapp.php?tm=102&ym=2026-11')).html;
+    assert.match(november, /<title>2026년 11월<\/title>/);
+    assert.match(november, /<td class="other"><a href="\/yeapp\/res_postform\.php\?date=2026-12-01">1<\/a><\/td>/);
+    assert.match(november, /<td class="other closed">4 X<\/td>/);
+});
@@ -0,0 +1,80 @@
+// 다중 계정: 전체 상태 요약, 계정별 예약 일정과 상태 초기화
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseConfig } = require('../lib/config');
+const { resolveConfiguredBooking } = require('../lib/schedule');
+const { PreciseTimingPilatesBooking } = require('../booking-script');
+const { useTempDir } = require('./helpers');
+
+const ENV = { ACCOUNTS_FILE: path.join(os.tmpdir(), 'pilates-no-accounts.json') };
+const ACCOUNTS = [
+    { name: '민지', username: 'minji', password: '1' },
+    { name: '서연', username: 'seoyeon', password: '2' }
+];
+
+test('buildMultiAccountResult: 모든 계정이 예약/대기예약일 때만 SUCCESS', () => {
+    const config = parseConfig({ accounts: ACCOUNTS }, ENV);
+    const booking = new PreciseTimingPilatesBooking({ config, schedule: null, closures: null });
+    const summarize = (...statuses) => booking.buildMultiAccountResult(
+        statuses.map((status, index) => ({ account: `계정${index + 1}`, status, screenshot: status === 'FAILED' ? 'error.jpg' : undefined })));
+
+    const success = summarize('SUCCESS', 'WAITING');
+    assert.deepStrictEqual([success.status, success.bookingSuccess, success.message], ['SUCCESS', true, '2개 계정 중 2개 예약 완료']);
+    assert.strictEqual(summarize('ALREADY_BOOKED', 'SCHEDULE_SKIP').status, 'SUCCESS', '스킵 계정은 제외');
+
+    const partial = summarize('SUCCESS', 'UNAVAILABLE');
+    assert.deepStrictEqual([partial.status, partial.bookingSuccess, partial.message], ['PARTIAL', false, '2개 계정 중 1개 예약 완료, 1개 미완료 (UNAVAILABLE 1)']);
+
+    for (const status of ['UNAVAILABLE', 'CLOSED', 'FAILED', 'LOGIN_FAILED', 'TEST']) {
+        const shared = summarize(status, status);
+        assert.deepStrictEqual([shared.status, shared.bookingSuccess], [status, false], status);
+    }
+    assert.strictEqual(summarize('UNAVAILABLE', 'CLOSED').status, 'UNAVAILABLE');
+
+    const failed = summarize('UNAVAILABLE', 'FAILED');
+    assert.deepStrictEqual([failed.status, failed.screenshot], ['FAILED', 'error.jpg']);
+});
+
+test('계정 전용 일정이 없는 계정은 첫 계정 일정이 아닌 공용 scheduleFile 사용', (t) => {
+    const dir = useTempDir(t, 'multi');
+    fs.writeFileSync(path.join(dir, 'shared.json'), JSON.stringify({ days: { mon: { time: '09:30' } } }));
+    fs.writeFileSync(path.join(dir, 'minji.json'), JSON.stringify({ days: { mon: { time: '19:00' } } }));
+
+    const accounts = [{ ...ACCOUNTS[0], schedule: 'minji.json' }, ACCOUNTS[1]];
+    const config = parseConfig({ accounts, scheduleFile: 'shared.json' }, ENV);
+    const booking = new PreciseTimingPilatesBooking({ config, closures: null });
+
+    assert.strictEqual(booking.schedule.source, 'shared.json');
+    assert.deepStrictEqual(booking.bookers.map(booker => booker.schedule.source), ['minji.json', 'shared.json']);
+
+    const single = new PreciseTimingPilatesBooking({ config: parseConfig({ accounts: [accounts[0]], scheduleFile: 'shared.json' }, ENV), closures: null });
+    assert.strictEqual(single.schedule.source, 'minji.json');
+});
+
+test('resolveConfiguredBooking: 계정 전용 일정으로 예약하는 계정이 있으면 스킵하지 않음', (t) => {
+    const dir = useTempDir(t, 'multi');
+    fs.writeFileSync(path.join(dir, 'shared.json'), JSON.stringify({ days: { mon: { skip: '공용 일정 휴식' } } }));
+    fs.writeFileSync(path.join(dir, 'minji.json'), JSON.stringify({ days: { mon: { time: '19:00' } } }));
+    const skipHolidays = false;
+    // 2026-10-25 23:55 실행 → 10-26 오픈 → 대상 11-02(월)
+    const instant = Date.parse('2026-10-25T23:55:00+09:00');
+
+    const shared = resolveConfiguredBooking(parseConfig({ accounts: ACCOUNTS, scheduleFile: 'shared.json', skipHolidays }, ENV), instant);
+    assert.deepStrictEqual([shared.skip, shared.reason], [true, '공용 일정 휴식']);
+
+    const accounts = [ACCOUNTS[0], { ...ACCOUNTS[1], schedule: 'minji.json' }];
+    const decision = resolveConfiguredBooking(parseConfig({ accounts, scheduleFile: 'shared.json', skipHolidays }, ENV), instant);
+    assert.strictEqual(decision.skip, false);
+    assert.deepStrictEqual(decision.slots.map(slot => slot.label), ['19:00']);
+});
+
+test('계정별 인스턴스는 대기예약 거절/현재 선호 수업 상태를 생성자에서 초기화', () => {
+    const config = parseConfig({ accounts: ACCOUNTS }, ENV);
+    const booking = new PreciseTimingPilatesBooking({ config, schedule: null, closures: null });
+    for (const booker of booking.bookers) {
+        assert.deepStrictEqual([booker.waitlistDeclined, booker.currentPreference, booker.describeOutcome()], [false, null, 'UNCONFIRMED']);
+    }
+});
@@ -0,0 +1,215 @@
+// 알림 채널: 로컬 스텁 HTTP/SMTP 서버로 웹훅, 챗봇, 이메일 발송 확인
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { parseConfig } = require('../lib/config');
+const { formatMessage, Notifier } = require('../lib/notifier');
+
+const ENV = { ACCOUNTS_FILE: path.join(os.tmpdir(), 'pilates-no-accounts.json') };
+
+// 요청을 기록하는 HTTP 스텁 (status: 응답 코드)
+async function startHttpStub(t, status = 200) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ url: req.url, type: req.headers['content-type'], body: Buffer.concat(chunks).toString('latin1') });
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end('{"ok":true}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+// 메일 본문(DATA)을 기록하는 최소 SMTP 스텁 (STARTTLS/AUTH 없음)
+async function startSmtpStub(t) {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let data = null;
+        const reply = line => socket.write(`${line}\r\n`);
+
+        reply('220 stub ESMTP');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        messages.push(data.join('\r\n'));
+                        data = null;
+                        reply('250 OK queued');
+                    } else {
+                        data.push(line);
+                    }
+                } else if (/^(EHLO|HELO)/i.test(line)) {
+                    reply('250 stub');
+                } else if (/^DATA/i.test(line)) {
+                    data = [];
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (/^QUIT/i.test(line)) {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { port: server.address().port, messages };
+}
+
+function notifierFor(notifications) {
+    return Notifier.fromConfig(parseConfig({ notifications }, ENV).notifications);
+}
+
+// 메일 본문(quoted-printable/base64)에서 UTF-8 텍스트 부분 복원
+function decodeMail(raw) {
+    const base64 = /Content-Transfer-Encoding: base64\r\n\r\n([A-Za-z0-9+/=\r\n]+?)\r\n(?:\r\n|--)/.exec(raw);
+    if (base64) {
+        return Buffer.from(base64[1].replace(/\r\n/g, ''), 'base64').toString('utf8');
+    }
+    const body = raw.replace(/=\r\n/g, '');
+    return Buffer.from(body.replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1').toString('utf8');
+}
+
+test('formatMessage: 상태별 한국어 템플릿', () => {
+    const base = { date: '2026-10-27', class: '09:30', message: '정원 마감' };
+    const cases = {
+        SUCCESS: ['✅ 필라테스 예약 성공', '2026-10-27 09:30 수업 예약이 완료되었습니다.'],
+        WAITING: ['⏳ 필라테스 대기예약 등록', '2026-10-27 09:30 수업이 정원 초과로 대기예약 되었습니다.'],
+        UNAVAILABLE: ['🚫 필라테스 예약불가', '2026-10-27 09:30 수업을 예약하지 못했습니다. (정원 마감)'],
+        FAILED: ['❌ 필라테스 예약 실패', '2026-10-27 09:30 수업 예약에 실패했습니다. (정원 마감)'],
+        WEEKEND_SKIP: ['📅 필라테스 예약 스킵', '2026-10-27 예약을 건너뜁니다: 정원 마감']
+    };
+    for (const [status, [title, text]] of Object.entries(cases)) {
+        assert.deepStrictEqual(formatMessage({ ...base, status }), { title, text }, status);
+    }
+
+    const multi = formatMessage({
+        status: 'PARTIAL',
+        date: '2026-10-27',
+        message: '1/2 계정 성공',
+        accounts: [{ account: '민지', status: 'SUCCESS', class: '09:30' }, { account: '서연', status: 'FAILED' }]
+    });
+    assert.strictEqual(multi.text, '2026-10-27 예약 결과: 1/2 계정 성공\n- 민지: SUCCESS 09:30\n- 서연: FAILED');
+    assert.strictEqual(formatMessage({ ...base, status: 'SUCCESS', account: '민지' }).text, '[민지] 2026-10-27 09:30 수업 예약이 완료되었습니다.');
+});
+
+test('웹훅: 제목/본문과 결과 JSON을 POST', async (t) => {
+    const stub = await startHttpStub(t);
+    const notifier = notifierFor({ webhookUrl: `${stub.url}/hook` });
+
+    const outcomes = await notifier.send({ status: 'WAITING', date: '2026-10-27', class: '09:30' });
+    assert.deepStrictEqual(outcomes, [{ channel: 'webhook', ok: true, error: null }]);
+
+    const payload = JSON.parse(Buffer.from(stub.requests[0].body, 'latin1').toString('utf8'));
+    assert.strictEqual(stub.requests[0].url, '/hook');
+    assert.deepStrictEqual([payload.status, payload.title, payload.text], ['WAITING', '⏳ 필라테스 대기예약 등록', '2026-10-27 09:30 수업이 정원 초과로 대기예약 되었습니다.']);
+    assert.strictEqual(payload.result.class, '09:30');
+});
+
+test('챗봇: 스크린샷 없으면 sendMessage, 있으면 sendPhoto 첨부', async (t) => {
+    const stub = await startHttpStub(t);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pilates-notifier-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const screenshot = path.join(dir, 'error-booking-0930.jpg');
+    fs.writeFileSync(screenshot, 'JPEG-BYTES');
+
+    const notifier = notifierFor({ botToken: 'TOKEN', botChatId: '42', botApi: stub.url });
+    await notifier.send({ status: 'SUCCESS', date: '2026-10-27', class: '09:30' });
+    const outcomes = await notifier.send({ status: 'FAILED', date: '2026-10-27', class: '09:30', message: '시간표 없음', screenshot });
+    assert.deepStrictEqual(outcomes, [{ channel: 'chatbot', ok: true, error: null }]);
+
+    const [message, photo] = stub.requests;
+    assert.strictEqual(message.url, '/botTOKEN/sendMessage');
+    assert.deepStrictEqual(JSON.parse(Buffer.from(message.body, 'latin1').toString('utf8')), {
+        chat_id: '42',
+        text: '✅ 필라테스 예약 성공\n2026-10-27 09:30 수업 예약이 완료되었습니다.'
+    });
+
+    assert.strictEqual(photo.url, '/botTOKEN/sendPhoto');
+    assert.match(photo.type, /^multipart\/form-data/);
+    const form = Buffer.from(photo.body, 'latin1').toString('utf8');
+    assert.match(form, /name="photo"; filename="error-booking-0930\.jpg"\r\nContent-Type: image\/jpeg\r\n\r\nJPEG-BYTES/);
+    assert.match(form, /name="caption"\r\n\r\n❌ 필라테스 예약 실패\r?\n2026-10-27 09:30 수업 예약에 실패했습니다\. \(시간표 없음\)/);
+});
+
+test('SMTP: 제목/본문 메일과 스크린샷 첨부', async (t) => {
+    const smtp = await startSmtpStub(t);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pilates-notifier-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const screenshot = path.join(dir, 'error-verify-0930.jpg');
+    fs.writeFileSync(screenshot, 'JPEG-BYTES');
+
+    const notifier = notifierFor({
+        smtpHost: '127.0.0.1',
+        smtpPort: smtp.port,
+        emailFrom: 'bot@example.com',
+        emailTo: 'me@example.com'
+    });
+    const outcomes = await notifier.send({ status: 'UNAVAILABLE', date: '2026-10-27', class: '09:30', message: '예약불가', screenshot });
+    assert.deepStrictEqual(outcomes, [{ channel: 'smtp', ok: true, error: null }]);
+
+    const [mail] = smtp.messages;
+    assert.match(mail, /^To: me@example\.com$/m);
+    assert.match(mail, /^Subject: =\?UTF-8\?/m);
+    assert.match(decodeMail(mail), /2026-10-27 09:30 수업을 예약하지 못했습니다\. \(예약불가\)/);
+    assert.match(mail, /Content-Disposition: attachment; filename=error-verify-0930\.jpg/);
+    assert.match(mail, new RegExp(Buffer.from('JPEG-BYTES').toString('base64')));
+});
+
+test('Notifier: 실패한 채널은 오류만 기록하고 다른 채널은 발송, NOTIFY_ON 외 상태는 무시', async (t) => {
+    const broken = await startHttpStub(t, 500);
+    const working = await startHttpStub(t);
+    const notifier = notifierFor({ webhookUrl: broken.url, botToken: 'TOKEN', botChatId: '42', botApi: working.url, on: ['FAILED', 'WEEKEND_SKIP'] });
+
+    const outcomes = await notifier.send({ status: 'WEEKEND_SKIP', date: '2026-10-31', message: '토요일 휴무' });
+    assert.deepStrictEqual(outcomes, [
+        { channel: 'webhook', ok: false, error: 'HTTP 500' },
+        { channel: 'chatbot', ok: true, error: null }
+    ]);
+    assert.match(Buffer.from(working.requests[0].body, 'latin1').toString('utf8'), /2026-10-31 예약을 건너뜁니다: 토요일 휴무/);
+
+    assert.deepStrictEqual(await notifier.send({ status: 'SUCCESS', date: '2026-10-27', class: '09:30' }), []);
+    assert.strictEqual(working.requests.length, 1);
+});
+
+test('takeScreenshot: error 스크린샷은 JPEG(quality 적용)로 저장하고 실패 알림 첨부로 기록', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { PreciseTimingPilatesBooking } = require('../booking-script');
+    const config = parseConfig({ accounts: [{ name: '테스터', username: 'tester', password: 'secret' }] }, ENV);
+    const booking = new PreciseTimingPilatesBooking({ config, schedule: null, closures: null });
+    booking.log = async () => {};
+
+    // puppeteer 21과 같은 검사: quality는 jpeg/webp에만, type은 확장자와 일치
+    const calls = [];
+    const page = {
+        async screenshot(options) {
+            calls.push(options);
+            if (options.quality !== undefined && !['jpeg', 'webp'].includes(options.type)) {
+                throw new Error(`options.quality is unsupported for the ${options.type} screenshots`);
+            }
+        }
+    };
+
+    const filename = await booking.takeScreenshot(page, 'error-booking');
+    assert.match(filename, /^screenshots\/error-booking-.*\.jpg$/);
+    assert.deepStrictEqual([calls[0].type, calls[0].quality], ['jpeg', 50]);
+    assert.strictEqual(booking.lastErrorScreenshot, filename);
+
+    await booking.takeScreenshot(page, '03-booking-page');
+    assert.strictEqual(booking.lastErrorScreenshot, filename, '일반 스크린샷은 첨부 대상 아님');
+});
@@ -0,0 +1,93 @@
+// 서버 시계 보정: Date 헤더 구간 교집합 추정
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { estimateOffset, calibrateServerClock } = require('../lib/server-clock');
+const { SimulatedClock } = require('../lib/clock');
+const { parseConfig } = require('../lib/config');
+const { PreciseTimingPilatesBooking } = require('../booking-script');
+const { MockSite } = require('./mock-site');
+
+const ENV = { ACCOUNTS_FILE: path.join(os.tmpdir(), 'pilates-no-accounts.json') };
+
+// 가상 시계 기준으로 serverOffsetMs만큼 빠른 서버의 Date 헤더(초 단위)를 돌려주는 fetch, 왕복 80ms
+function fakeServerFetch(t, clock, serverOffsetMs) {
+    return t.mock.method(globalThis, 'fetch', async () => {
+        clock.advance(40);
+        const date = new Date(clock.now() + serverOffsetMs).toUTCString();
+        clock.advance(40);
+        return { headers: new Headers({ date }) };
+    });
+}
+
+test('estimateOffset: 샘플 구간의 교집합 중점', () => {
+    // 두 샘플의 offset 구간 [3900, 5000], [4850, 5950] → 교집합 4850~5000
+    const samples = [
+        { start: 1000, end: 1100, serverTime: 5000 },
+        { start: 2050, end: 2150, serverTime: 7000 }
+    ];
+    const estimate = estimateOffset(samples);
+    assert.strictEqual(estimate.consistent, true);
+    assert.strictEqual(estimate.offsetMs, 4925);
+    assert.strictEqual(estimate.uncertaintyMs, 75);
+    assert.strictEqual(estimate.rttMs, 100);
+});
+
+test('estimateOffset: 겹치지 않는 샘플은 구간 중점 평균', () => {
+    const estimate = estimateOffset([
+        { start: 0, end: 0, serverTime: 0 },
+        { start: 0, end: 0, serverTime: 10000 }
+    ]);
+    assert.strictEqual(estimate.consistent, false);
+    assert.strictEqual(estimate.offsetMs, 5500);
+    assert.strictEqual(estimate.uncertaintyMs, 500);
+});
+
+test('calibrateServerClock: 모의 사이트 서버 시계 오차 추정', async (t) => {
+    for (const clockOffsetMs of [3200, -1700]) {
+        const site = new MockSite({ clockOffsetMs });
+        const baseUrl = await site.start();
+        t.after(() => site.close());
+
+        const calibration = await calibrateServerClock(`${baseUrl}/yeapp/yeapp.php?tm=102`);
+        assert.strictEqual(calibration.samples, 8);
+        assert.ok(calibration.uncertaintyMs < 500, `uncertainty ${calibration.uncertaintyMs}`);
+        assert.ok(Math.abs(calibration.offsetMs - clockOffsetMs) <= calibration.uncertaintyMs + 20,
+            `offset ${calibration.offsetMs} (expected ${clockOffsetMs})`);
+    }
+});
+
+test('calibrateServerClock: 서버 응답이 없으면 오류', async () => {
+    const site = new MockSite();
+    const baseUrl = await site.start();
+    await site.close();
+
+    await assert.rejects(calibrateServerClock(baseUrl, { samples: 2 }), /서버 시계 조회 실패/);
+});
+
+test('calibrateServerClock: 주입한 가상 시계 기준으로 offset 계산과 샘플 간 대기', async (t) => {
+    const clock = new SimulatedClock('2026-10-19T23:58:00.250+09:00');
+    const fetch = fakeServerFetch(t, clock, 3200);
+
+    const calibration = await calibrateServerClock('http://mock/yeapp/yeapp.php?tm=102', { clock });
+    assert.strictEqual(fetch.mock.callCount(), 8);
+    assert.deepStrictEqual(clock.sleeps, Array(7).fill(137));
+    assert.strictEqual(calibration.rttMs, 80);
+    assert.ok(calibration.uncertaintyMs < 500, `uncertainty ${calibration.uncertaintyMs}`);
+    assert.ok(Math.abs(calibration.offsetMs - 3200) <= calibration.uncertaintyMs, `offset ${calibration.offsetMs}`);
+    assert.strictEqual(calibration.calibratedAt, '2026-10-19T23:58:01.849+09:00');
+});
+
+test('calibrateClock: 예약 클래스의 시계로 보정', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const clock = new SimulatedClock('2026-10-19T23:58:00+09:00');
+    fakeServerFetch(t, clock, -1700);
+    const config = parseConfig({ accounts: [{ name: '테스터', username: 'tester', password: 'secret' }] }, ENV);
+    const booking = new PreciseTimingPilatesBooking({ config, schedule: null, closures: null, clock });
+    booking.log = async () => {};
+
+    await booking.calibrateClock();
+    assert.ok(Math.abs(booking.clockOffsetMs + 1700) <= booking.clockCalibration.uncertaintyMs, `offset ${booking.clockOffsetMs}`);
+    assert.match(booking.clockCalibration.calibratedAt, /^2026-10-19T23:58:0\d\.\d{3}\+09:00$/);
+});
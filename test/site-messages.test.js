@@ -0,0 +1,59 @@
+// 예약 사이트 알림 메시지 분류 (실제/모의 사이트에서 기록한 문구)
+const test = require('node:test');
+const assert = require('node:assert');
+const { UNKNOWN_DIALOG, MESSAGE_CATALOGUE, classifyMessage } = require('../lib/site-messages');
+const { MESSAGES } = require('./mock-site');
+
+const RECORDED = [
+    ['정원이 초과되었습니다. 대기예약 하시겠습니까?', 'WAITLIST_PROMPT'],
+    ['정원 초과입니다. 대기예약하시겠습니까?', 'WAITLIST_PROMPT'],
+    ['요일별 예약횟수가 완료되었습니다.', 'DAILY_LIMIT_REACHED'],
+    ['동시신청이 많아 처리되지 않았습니다. 잠시 후 다시 시도해주세요.', 'CONFLICT'],
+    ['잠시 후 다시 시도해 주세요.', 'CONFLICT'],
+    ['예약이 완료되었습니다.', 'BOOKED'],
+    ['예약 성공', 'BOOKED'],
+    ['대기예약이 완료되었습니다.', 'WAITLISTED'],
+    ['예약을 취소하시겠습니까?', 'CANCEL_PROMPT'],
+    ['예약이 취소되었습니다.', 'CANCELLED'],
+    ['삭제되었습니다.', 'CANCELLED'],
+    ['이미 예약된 수업입니다.', 'ALREADY_BOOKED'],
+    ['예약할 수 없는 수업입니다.', 'CLOSED'],
+    ['아이디 또는 비밀번호가 일치하지 않습니다.', 'LOGIN_FAILED'],
+    ['회원번호를 확인해주세요.', 'LOGIN_FAILED'],
+    ['로그인 후 이용해주세요.', 'SESSION_EXPIRED'],
+    ['세션이 만료되었습니다. 다시 로그인해주세요.', 'SESSION_EXPIRED']
+];
+
+test('classifyMessage: 기록된 사이트 메시지', () => {
+    for (const [message, type] of RECORDED) {
+        assert.strictEqual(classifyMessage(message).type, type, message);
+    }
+});
+
+test('classifyMessage: 모의 사이트 메시지는 모두 알려진 유형', () => {
+    for (const message of Object.values(MESSAGES)) {
+        assert.notStrictEqual(classifyMessage(message).type, UNKNOWN_DIALOG, message);
+    }
+});
+
+test('classifyMessage: 목록에 없는 메시지는 UNKNOWN_DIALOG', () => {
+    for (const message of ['시스템 점검 중입니다.', '회원님 생일을 축하합니다!', '', null]) {
+        const classified = classifyMessage(message);
+        assert.strictEqual(classified.type, UNKNOWN_DIALOG);
+        assert.strictEqual(classified.success, false);
+    }
+});
+
+test('classifyMessage: 성공/재요청 구분', () => {
+    const flags = type => {
+        const entry = MESSAGE_CATALOGUE.find(item => item.type === type);
+        const classified = classifyMessage(RECORDED.find(([, recorded]) => recorded === type)[0]);
+        assert.strictEqual(classified.description, entry.description);
+        return [classified.success, classified.retry];
+    };
+    assert.deepStrictEqual(flags('BOOKED'), [true, false]);
+    assert.deepStrictEqual(flags('WAITLISTED'), [true, false]);
+    assert.deepStrictEqual(flags('DAILY_LIMIT_REACHED'), [true, false]);
+    assert.deepStrictEqual(flags('CONFLICT'), [false, true]);
+    assert.deepStrictEqual(flags('WAITLIST_PROMPT'), [false, false]);
+});
@@ -0,0 +1,76 @@
+// 시간표 스냅샷 행 변환, CSV 내보내기, 수업별 마감 추이
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CSV_COLUMNS, buildSnapshot, loadSnapshots, snapshotsToCsv, summarizeSnapshots } = require('../lib/snapshot');
+const { parseTimetableRows } = require('../lib/class-slot');
+const { parseTableRows } = require('../lib/http-engine');
+
+const timetable = (actions) => parseTimetableRows(parseTableRows(`<table>
+    <tr><th>시간</th><th>강사</th><th>룸</th><th>예약</th></tr>
+    <tr><td>09:30</td><td>김강사</td><td>A룸</td><td>${actions[0]}</td></tr>
+    <tr><td>10:30</td><td>이강사</td><td>B룸</td><td>${actions[1]}</td></tr>
+    <tr><td>19:30</td><td>박강사, "수석"</td><td>2층</td><td>${actions[2]}</td></tr>
+</table>`));
+
+test('buildSnapshot: 모든 행의 시간/강사/룸/상태', () => {
+    const snapshot = buildSnapshot('2026-10-19T00:00:05.000Z', '2026-10-26', timetable([
+        '<a href="r?1">예약하기</a>', '<a href="w?2">대기예약</a>', '예약불가'
+    ]));
+    assert.strictEqual(snapshot.date, '2026-10-26');
+    assert.deepStrictEqual(snapshot.rows.map(row => [row.time, row.instructor, row.room, row.status, row.statusText, row.bookable]), [
+        ['09:30', '김강사', 'A룸', 'AVAILABLE', '예약하기', true],
+        ['10:30', '이강사', 'B룸', 'WAITLIST_OPEN', '대기예약', true],
+        ['19:30', '박강사, "수석"', '2층', 'UNAVAILABLE', '예약불가', false]
+    ]);
+});
+
+test('buildSnapshot: 강사/룸 열이 없는 시간표', () => {
+    const rows = parseTimetableRows(parseTableRows('<table><tr><td>09:30</td><td>필라테스</td><td><a href="r">예약하기</a></td></tr></table>'));
+    const [row] = buildSnapshot('t', '2026-10-26', rows).rows;
+    assert.strictEqual(row.instructor, '필라테스');
+    assert.strictEqual(row.room, null);
+});
+
+test('snapshotsToCsv: 스냅샷 행마다 한 줄, 쉼표/따옴표 이스케이프', () => {
+    const snapshot = buildSnapshot('2026-10-19T00:00:05.000Z', '2026-10-26', timetable([
+        '<a href="r?1">예약하기</a>', '<a href="w?2">대기예약</a>', '예약불가'
+    ]));
+    const lines = snapshotsToCsv([snapshot, snapshot]).replace(/^\uFEFF/, '').trimEnd().split('\r\n');
+    assert.strictEqual(lines[0], CSV_COLUMNS.join(','));
+    assert.strictEqual(lines.length, 7);
+    assert.strictEqual(lines[1], '2026-10-19T00:00:05.000Z,2026-10-26,09:30,김강사,A룸,AVAILABLE,예약하기,김강사 A룸');
+    assert.strictEqual(lines[3], '2026-10-19T00:00:05.000Z,2026-10-26,19:30,"박강사, ""수석""",2층,UNAVAILABLE,예약불가,"박강사, ""수석"" 2층"');
+});
+
+test('summarizeSnapshots: 처음 마감된 시각과 열려 있던 시간', () => {
+    const at = second => `2026-10-19T00:00:${String(second).padStart(2, '0')}.000Z`;
+    const snapshots = [
+        buildSnapshot(at(30), '2026-10-26', timetable(['<a>예약하기</a>', '<a>예약하기</a>', '<a>대기예약</a>'])),
+        buildSnapshot(at(0), '2026-10-26', timetable(['<a>예약하기</a>', '<a>예약하기</a>', '<a>대기예약</a>'])),
+        buildSnapshot(at(50), '2026-10-26', timetable(['<a>대기예약</a>', '<a>예약하기</a>', '<a>대기예약</a>']))
+    ];
+    const summary = summarizeSnapshots(snapshots);
+    assert.deepStrictEqual(summary.map(slot => [slot.time, slot.snapshots, slot.open, slot.full, slot.firstFullAt, slot.openForMs, slot.lastStatus]), [
+        ['09:30', 3, 2, 1, at(50), 50000, 'WAITLIST_OPEN'],
+        ['10:30', 3, 3, 0, null, null, 'AVAILABLE'],
+        ['19:30', 3, 0, 3, at(0), 0, 'WAITLIST_OPEN']
+    ]);
+});
+
+test('loadSnapshots: 날짜 필터, 파일 없으면 빈 목록', (t) => {
+    const file = path.join(os.tmpdir(), `pilates-snapshots-${process.pid}.jsonl`);
+    t.after(() => fs.rmSync(file, { force: true }));
+    const rows = timetable(['<a>예약하기</a>', '<a>예약하기</a>', '예약불가']);
+    fs.writeFileSync(file, [
+        buildSnapshot('a', '2026-10-26', rows),
+        buildSnapshot('b', '2026-10-27', rows),
+        buildSnapshot('c', '2026-10-26', rows)
+    ].map(snapshot => JSON.stringify(snapshot)).join('\n') + '\n');
+
+    assert.deepStrictEqual(loadSnapshots(file, '2026-10-26').map(snapshot => snapshot.timestamp), ['a', 'c']);
+    assert.strictEqual(loadSnapshots(file).length, 3);
+    assert.deepStrictEqual(loadSnapshots(`${file}.missing`), []);
+});
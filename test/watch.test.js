@@ -0,0 +1,93 @@
+// 감시 모드: 상태 변화 기록/알림, 빈자리 자동 예약(--book) 결과, 날짜 열기 실패
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exitCodeOf } = require('../bin/pilates');
+const { normalizeSlot } = require('../lib/class-slot');
+const { SimulatedClock } = require('../lib/clock');
+const { parseConfig } = require('../lib/config');
+const { formatDate } = require('../lib/kst');
+const { PreciseTimingPilatesBooking } = require('../booking-script');
+const { useTempDir } = require('./helpers');
+
+const ENV = { ACCOUNTS_FILE: path.join(os.tmpdir(), 'pilates-no-accounts.json') };
+const ACCOUNTS = [{ name: '테스터', username: 'tester', password: 'secret' }];
+const OPTIONS = { date: '2026-10-25', time: '09:30', interval: 60, duration: 3, book: true };
+
+// 조회마다 actions 순서대로 09:30 행의 예약 셀 문구를 돌려주는 가짜 페이지/브라우저 (기록 파일은 임시 디렉터리에)
+function watcher(t, actions, { clicked = true } = {}) {
+    useTempDir(t, 'watch');
+    t.mock.method(console, 'log', () => {});
+    const config = parseConfig({ accounts: ACCOUNTS }, ENV);
+    const booking = new PreciseTimingPilatesBooking({ config, schedule: null, closures: null, clock: new SimulatedClock('2026-10-19T10:00:00+09:00') });
+    let poll = 0;
+    const page = {
+        evaluate: async () => [{
+            index: 1,
+            cells: [{ text: '09:30' }, { text: '김강사' }, { text: actions[Math.min(poll++, actions.length - 1)], hasLink: true }]
+        }]
+    };
+    booking.newPage = async () => page;
+    booking.login = async () => {};
+    t.mock.method(booking, 'navigateToBookingPage', async () => ({ year: 2026, month: 10, day: 25, clicked, closed: false }));
+    const notify = t.mock.method(booking, 'notify', async () => {});
+    const browser = { createIncognitoBrowserContext: async () => ({ close: async () => {} }) };
+    return { booking, notify, watch: () => booking.watchSlot(browser, OPTIONS) };
+}
+
+const history = () => fs.readFileSync('watch-history.jsonl', 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+test('watch --book: 예약 실패는 다음 조회에서 재시도, 예약되면 SEAT_BOOKED 기록/알림 후 종료', async (t) => {
+    const { booking, notify, watch } = watcher(t, ['예약하기', '예약하기']);
+    const attempts = [
+        { found: true, booked: false, unavailable: true, message: '09:30 수업 예약불가' },
+        { found: true, booked: true, message: '09:30 수업 예약하기 클릭' }
+    ];
+    const findClassAndBook = t.mock.method(booking, 'findClassAndBook', async () => attempts.shift());
+
+    const result = await watch();
+    assert.deepStrictEqual([result.status, result.error], ['BOOKED', null]);
+    assert.strictEqual(findClassAndBook.mock.callCount(), 2);
+    assert.deepStrictEqual(history().map(entry => [entry.from, entry.to, entry.event]), [
+        [null, 'AVAILABLE', 'SEAT_OPEN'],
+        ['AVAILABLE', 'BOOKED', 'SEAT_BOOKED']
+    ]);
+    assert.deepStrictEqual(notify.mock.calls.map(call => call.arguments[0].status), ['SEAT_OPEN', 'SEAT_BOOKED']);
+    assert.strictEqual(exitCodeOf({ watches: [result] }), 0);
+});
+
+test('watch --book: 끝까지 예약하지 못하면 결과 error로 실패', async (t) => {
+    const { booking, watch } = watcher(t, ['예약하기']);
+    t.mock.method(booking, 'findClassAndBook', async () => ({ found: true, booked: false, unavailable: true, message: '09:30 수업 예약불가' }));
+
+    const result = await watch();
+    assert.deepStrictEqual([result.status, result.error], ['AVAILABLE', '빈자리 예약 실패: 09:30 수업 예약불가']);
+    assert.deepStrictEqual(history().map(entry => entry.to), ['AVAILABLE']);
+    assert.strictEqual(exitCodeOf({ watches: [result] }), 1);
+});
+
+test('watch: 날짜를 열지 못하면 NOT_FOUND가 아닌 조회 실패', async (t) => {
+    const { booking, notify, watch } = watcher(t, ['대기예약'], { clicked: false });
+    const findClassAndBook = t.mock.method(booking, 'findClassAndBook', async () => ({}));
+
+    const result = await watch();
+    assert.deepStrictEqual([result.status, result.error], [null, '10월 25일 날짜를 열지 못함']);
+    assert.strictEqual(fs.existsSync('watch-history.jsonl'), false);
+    assert.strictEqual(notify.mock.callCount(), 0);
+    assert.strictEqual(findClassAndBook.mock.callCount(), 0);
+});
+
+test('watch: 결과 파일의 수업 전체(강사/룸)로 감시 대상 결정, slot 없는 이전 결과는 class 라벨', async (t) => {
+    const { booking } = watcher(t, ['대기완료']);
+    const slot = normalizeSlot({ time: '09:30', instructor: '이강사', room: 'B룸', waitlist: false });
+    fs.writeFileSync('booking-result.json', JSON.stringify({ date: '2026-10-25', class: slot.label, slot, status: 'UNAVAILABLE' }));
+
+    const target = await booking.resolveWatchTarget({});
+    assert.deepStrictEqual(target.slot, slot);
+    assert.deepStrictEqual([formatDate(target.date), target.status], ['2026-10-25', 'UNAVAILABLE']);
+
+    fs.writeFileSync('booking-result.json', JSON.stringify({ date: '2026-10-25', class: '19:30', status: 'WAITING' }));
+    assert.strictEqual((await booking.resolveWatchTarget({})).slot.label, '19:30');
+});
@@ -1,53 +1,67 @@
 // wait-until-midnight.js (새 파일명)
-const waitUntilMidnight = async () => {  // ⚠️ 함수명도 변경
+const { calibrateServerClock } = require('./lib/server-clock');
+const { loadConfig } = require('./lib/config');
+const { systemClock } = require('./lib/clock');
+const { kstParts, kstInstant, addDays, toKSTISOString } = require('./lib/kst');
+
+// options.config: 검증된 설정 (기본: 설정 파일/환경변수), options.clock: { now(), sleep(ms) } (기본: 시스템 시계)
+const waitUntilMidnight = async (options = {}) => {  // ⚠️ 함수명도 변경
   console.log('⏰ 자정 대기 스크립트 시작');
   
-  const getKSTTime = () => {
-    const now = new Date();
-    const kstOffset = 9 * 60;
-    const utcTime = now.getTime() + (now.getTimezoneOffset() * 60000);
-    return new Date(utcTime + (kstOffset * 60000));
-  };
+  const config = options.config || loadConfig();
+  const clock = options.clock || systemClock;
+  
+  // 예약 사이트 서버 시계 기준으로 대기 (CLOCK_CALIBRATION=false면 로컬 시계)
+  let serverOffsetMs = 0;
+  if (config.timing.clockCalibration) {
+    try {
+      const calibration = await calibrateServerClock(`${config.site.baseUrl}/yeapp/yeapp.php?tm=102`, { samples: config.timing.clockSamples, clock });
+      serverOffsetMs = calibration.offsetMs;
+      console.log(`🕰️ 서버 시계 보정: ${serverOffsetMs >= 0 ? '+' : ''}${serverOffsetMs}ms (±${calibration.uncertaintyMs}ms, 왕복 ${calibration.rttMs}ms)`);
+    } catch (error) {
+      console.log(`⚠️ 서버 시계 보정 실패 - 로컬 시계 사용: ${error.message}`);
+    }
+  }
   
-  const kstNow = getKSTTime();
-  console.log(`현재 한국 시간: ${kstNow.toLocaleString('ko-KR')}`);
+  // 서버 시계 기준 현재 시각 (epoch ms)
+  const getServerTime = () => clock.now() + serverOffsetMs;
   
-  const target = new Date(kstNow);
+  const kstNow = getServerTime();
+  console.log(`현재 한국 시간: ${toKSTISOString(kstNow)}`);
   
-  // 자정 설정
-  if (kstNow.getHours() === 23 && kstNow.getMinutes() >= 50) {
-    target.setDate(target.getDate() + 1);
-    target.setHours(0, 0, 0, 0);
-  } else if (kstNow.getHours() === 0 && kstNow.getMinutes() === 0) {
+  // 다음 자정까지 대기 (어느 시각에 시작해도 다음날 00:00:00, 00시 00분대면 이미 자정)
+  const now = kstParts(kstNow);
+  if (now.hour === 0 && now.minute === 0) {
     console.log('✅ 이미 자정입니다.');
     return;
-  } else {
-    target.setDate(target.getDate() + 1);
-    target.setHours(0, 0, 0, 0);
   }
   
+  const tomorrow = addDays(now, 1);
+  const target = kstInstant(tomorrow.year, tomorrow.month, tomorrow.day);
   const waitMs = target - kstNow;
   const waitMinutes = Math.floor(waitMs / 60000);
   const waitSeconds = Math.floor((waitMs % 60000) / 1000);
   
   console.log(`⏳ 대기 시간: ${waitMinutes}분 ${waitSeconds}초`);
-  console.log(`⏰ 예약 시작 예정: ${target.toLocaleString('ko-KR')}`);
-  
-  await new Promise(resolve => {
-    const interval = setInterval(() => {
-      const now = getKSTTime();
-      const remaining = target - now;
-      
-      if (remaining <= 0) {
-        clearInterval(interval);
-        console.log('✅ 자정 00분 00초 도달!');
-        resolve();
-      } else if (remaining < 10000) {
-        const seconds = Math.ceil(remaining / 1000);
-        console.log(`🔥 ${seconds}...`);
-      }
-    }, 100);
-  });
+  console.log(`⏰ 예약 시작 예정: ${toKSTISOString(target)}`);
+  
+  // 마지막 1분 전까지는 1분 단위, 이후 100ms 간격으로 확인 (남은 시간이 더 짧으면 그만큼만 대기)
+  let lastSeconds = null;
+  while (true) {
+    const remaining = target - getServerTime();
+    
+    if (remaining <= 0) {
+      console.log('✅ 자정 00분 00초 도달!');
+      return;
+    }
+    
+    const seconds = Math.ceil(remaining / 1000);
+    if (remaining < 10000 && seconds !== lastSeconds) {
+      console.log(`🔥 ${seconds}...`);
+      lastSeconds = seconds;
+    }
+    await clock.sleep(remaining > 60000 ? Math.min(remaining - 60000, 60000) : Math.min(100, remaining));
+  }
 };
 
 module.exports = { waitUntilMidnight };  // ⚠️ export 이름도 변경